@@ -0,0 +1,172 @@
+// ==========================================
+// COLUMN MAPPING (headless)
+// ------------------------------------------
+// Supplier sheets name and order their columns differently. Each upload
+// kind declares the fields the engine needs; a mapping assigns one sheet
+// header to each field and turns the rows into the shape the engine reads.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillColumns = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // `header` is the canonical stock column the engine reads; `aliases` are
+    // compared after normalizeHeader().
+    const COLUMN_FIELDS = {
+        stock: [
+            { key: "itemName", header: "Item Details", label: "Item Name", required: true, aliases: ["item", "itemname", "product", "productname", "particulars", "description", "name"] },
+            { key: "qty", header: "Qty.", label: "Quantity", required: true, aliases: ["quantity", "closingqty", "closingstock", "stock", "balanceqty"] },
+            { key: "price", header: "Price", label: "Price (per unit)", required: true, aliases: ["rate", "unitprice", "saleprice", "sellingprice", "cost"] },
+            { key: "gstPercent", header: "GST PERCENT", label: "GST %", required: true, aliases: ["gst", "gstrate", "gstpercentage", "taxrate", "tax", "taxpercent"] },
+            { key: "cessPercent", header: "CESS%", label: "Cess %", required: false, aliases: ["cess", "cessrate", "cesspercent", "cesspercentage"] },
+            { key: "mrp", header: "MRP", label: "MRP", required: false, aliases: ["maximumretailprice"] },
+            { key: "unit", header: "Unit", label: "Unit", required: false, aliases: ["units", "uom", "uqc"] },
+            { key: "hsn", header: "HSN", label: "HSN/SAC", required: false, aliases: ["hsnsac", "hsncode", "hsnsaccode", "sac"] },
+            { key: "qtyStep", header: "Qty Step", label: "Quantity Step (overrides the unit)", required: false, aliases: ["step", "qtystep", "quantitystep", "sellstep", "increment"] },
+            { key: "taxInclusive", header: "Tax Inclusive", label: "Price Includes Tax (Yes/No)", required: false, aliases: ["inclusive", "inclusiveoftax", "taxincl", "incltax", "priceincltax", "priceinclusive", "inclusiveprice", "pricesincludetax", "priceincludestax"] }
+        ],
+        billTargets: [
+            { key: "amount", header: "amount", label: "Bill Amount", required: true, position: 0, aliases: ["billamount", "total", "value", "credit", "amt"] },
+            { key: "date", header: "date", label: "Date", required: true, position: 1, aliases: ["billdate", "txndate", "transactiondate", "valuedate"] },
+            { key: "placeOfSupply", header: "placeOfSupply", label: "Place of Supply", required: false, position: 2, aliases: ["pos", "state", "statecode"] },
+            { key: "paymentReference", header: "paymentReference", label: "Payment Reference", required: false, aliases: ["reference", "paymentref", "refno", "referenceno", "utr", "utrno", "rrn", "upiref", "upireference", "transactionid", "txnid"] }
+        ],
+        // Bank statement lines. Credits come from their own column or from
+        // an amount with a Dr/Cr type column (see statement.js).
+        bankStatement: [
+            { key: "date", header: "date", label: "Date", required: true, aliases: ["txndate", "transactiondate", "trandate", "postdate", "postingdate", "valuedate", "valuedt", "dateoftransaction"] },
+            { key: "narration", header: "narration", label: "Narration", required: true, aliases: ["description", "particulars", "remarks", "details", "transactiondetails", "transactionremarks", "transactiondescription", "narrative"] },
+            { key: "credit", header: "credit", label: "Credit", required: false, aliases: ["deposit", "deposits", "depositamt", "depositamount", "creditamount", "creditamt", "creditamountinr", "cramount", "cr", "moneyin", "paidin"] },
+            { key: "debit", header: "debit", label: "Debit", required: false, aliases: ["withdrawal", "withdrawals", "withdrawalamt", "withdrawalamount", "debitamount", "debitamt", "debitamountinr", "dramount", "dr", "moneyout", "paidout"] },
+            { key: "amount", header: "amount", label: "Amount (with Dr/Cr)", required: false, aliases: ["amt", "transactionamount", "txnamount", "amountinr", "amountrs"] },
+            { key: "type", header: "type", label: "Dr/Cr", required: false, aliases: ["drcr", "crdr", "debitcredit", "transactiontype", "txntype"] },
+            { key: "reference", header: "reference", label: "Reference No.", required: false, aliases: ["refno", "chqrefno", "chequeno", "chqno", "referenceno", "referencenumber", "refnochequeno", "utr", "utrno", "rrn", "transactionid", "txnid"] }
+        ],
+        // Daily cash targets, e.g. the cash register's day totals.
+        dailyTargets: [
+            { key: "date", header: "date", label: "Date", required: true, position: 0, aliases: ["day", "billdate", "salesdate", "registerdate", "txndate"] },
+            { key: "amount", header: "amount", label: "Target Amount", required: true, position: 1, aliases: ["target", "targetamount", "dailytarget", "total", "cashtotal", "sales", "registertotal", "amt"] }
+        ],
+        // Stock received between runs; the sale price and rates are only
+        // needed for items not already in stock.
+        purchases: [
+            { key: "itemName", header: "Item Details", label: "Item Name", required: true, aliases: ["item", "itemname", "product", "productname", "particulars", "description", "name"] },
+            { key: "qty", header: "Qty.", label: "Quantity Received", required: true, aliases: ["quantity", "qtyreceived", "receivedqty", "purchaseqty", "inwardqty"] },
+            { key: "price", header: "Price", label: "Sale Price (new items)", required: false, aliases: ["rate", "unitprice", "saleprice", "sellingprice"] },
+            { key: "gstPercent", header: "GST PERCENT", label: "GST %", required: false, aliases: ["gst", "gstrate", "gstpercentage", "taxrate", "tax", "taxpercent"] },
+            { key: "cessPercent", header: "CESS%", label: "Cess %", required: false, aliases: ["cess", "cessrate", "cesspercent", "cesspercentage"] },
+            { key: "mrp", header: "MRP", label: "MRP", required: false, aliases: ["maximumretailprice"] },
+            { key: "unit", header: "Unit", label: "Unit", required: false, aliases: ["units", "uom", "uqc"] },
+            { key: "hsn", header: "HSN", label: "HSN/SAC", required: false, aliases: ["hsnsac", "hsncode", "hsnsaccode", "sac"] },
+            { key: "qtyStep", header: "Qty Step", label: "Quantity Step (new items)", required: false, aliases: ["step", "qtystep", "quantitystep", "sellstep", "increment"] },
+            { key: "taxInclusive", header: "Tax Inclusive", label: "Price Includes Tax (new items)", required: false, aliases: ["inclusive", "inclusiveoftax", "taxincl", "incltax", "priceincltax", "priceinclusive", "inclusiveprice", "pricesincludetax", "priceincludestax"] }
+        ]
+    };
+
+    function normalizeHeader(header) {
+        return String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+    }
+
+    /** Headers of sheet rows in first-seen order (blank cells drop keys, so every row is scanned). */
+    function collectHeaders(rows) {
+        const headers = [];
+        const seen = new Set();
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    headers.push(key);
+                }
+            });
+        });
+        return headers;
+    }
+
+    /** Identifies a file layout by its kind and header row. */
+    function layoutKey(kind, headers) {
+        return `${kind}:${headers.map(normalizeHeader).join("|")}`;
+    }
+
+    /**
+     * Guesses a mapping from the header row: exact canonical header first,
+     * then aliases. Target sheets fall back to column position, which is
+     * how they were always read (amount first, date second).
+     */
+    function autoDetectMapping(kind, headers) {
+        const fields = COLUMN_FIELDS[kind];
+        const normalized = headers.map(normalizeHeader);
+        const taken = new Set();
+        const mapping = {};
+
+        const claim = (field, index) => {
+            mapping[field.key] = headers[index];
+            taken.add(index);
+        };
+
+        fields.forEach(field => {
+            const exact = normalized.findIndex((h, i) => !taken.has(i) && h === normalizeHeader(field.header));
+            if (exact !== -1) claim(field, exact);
+        });
+
+        fields.forEach(field => {
+            if (mapping[field.key]) return;
+            const aliasIndex = normalized.findIndex((h, i) => !taken.has(i) && field.aliases.includes(h));
+            if (aliasIndex !== -1) claim(field, aliasIndex);
+        });
+
+        fields.forEach(field => {
+            if (mapping[field.key]) return;
+            if (field.required && field.position !== undefined && field.position < headers.length && !taken.has(field.position)) {
+                claim(field, field.position);
+            } else {
+                mapping[field.key] = "";
+            }
+        });
+
+        return mapping;
+    }
+
+    /** Labels of required fields that have no column assigned. */
+    function missingRequiredFields(kind, mapping) {
+        return COLUMN_FIELDS[kind]
+            .filter(field => field.required && !mapping[field.key])
+            .map(field => field.label);
+    }
+
+    /**
+     * Rewrites sheet rows to the canonical field headers. Stock rows keep
+     * their other columns so nothing the user uploaded is lost.
+     */
+    function applyMapping(kind, rows, mapping) {
+        const fields = COLUMN_FIELDS[kind];
+        const keepOtherColumns = kind === "stock";
+
+        return rows.map(row => {
+            const out = keepOtherColumns ? { ...row } : {};
+            fields.forEach(field => {
+                const source = mapping[field.key];
+                if (source) {
+                    out[field.header] = row[source];
+                } else if (keepOtherColumns) {
+                    delete out[field.header];
+                }
+            });
+            return out;
+        });
+    }
+
+    return {
+        COLUMN_FIELDS,
+        normalizeHeader,
+        collectHeaders,
+        layoutKey,
+        autoDetectMapping,
+        missingRequiredFields,
+        applyMapping
+    };
+}));
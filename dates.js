@@ -0,0 +1,216 @@
+// ==========================================
+// DATE PARSING (headless)
+// ------------------------------------------
+// Every incoming date is normalised to ISO "YYYY-MM-DD", the form the
+// Cash tab's date pickers already use. Accepted inputs: Excel serial
+// numbers, ISO strings, d/m/y or m/d/y with "/", "-" or "." separators
+// (order configurable) and month names ("05-Mar-2024", "Mar 5, 2024").
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillDates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+    // Excel's 1900 date system counts 1900-02-29 (serial 60), which never
+    // existed, so serials from 61 on are one day ahead of a plain count.
+    const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+    const MAX_EXCEL_SERIAL = 2958465; // 9999-12-31
+
+    // Sheet dates are read as serials only from 20000 (1954-10-03) on, so a
+    // year typed alone ("2024") or a stray count is not taken for a date.
+    const MIN_DATE_SERIAL = 20000;
+
+    const pad = num => String(num).padStart(2, '0');
+
+    function toIso(year, month, day) {
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    function isValidDay(year, month, day) {
+        if (month < 1 || month > 12 || day < 1) return false;
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return day <= daysInMonth;
+    }
+
+    function expandYear(year) {
+        return year < 100 ? 2000 + year : year;
+    }
+
+    function monthFromName(name) {
+        const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+        return index === -1 ? null : index + 1;
+    }
+
+    function fromExcelSerial(serial) {
+        if (!(serial >= 1 && serial <= MAX_EXCEL_SERIAL)) return null;
+        const whole = Math.floor(serial);
+        if (whole === 60) return null;
+        const days = whole < 60 ? whole + 1 : whole;
+        const date = new Date(EXCEL_EPOCH_UTC + days * 86400000);
+        return toIso(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    function result(iso, extra = {}) {
+        return { iso, ambiguous: false, warning: null, error: null, ...extra };
+    }
+
+    function failure(error) {
+        return result(null, { error });
+    }
+
+    /**
+     * Parses one date value.
+     * @param {*} value  Cell value: number, Date or text.
+     * @param {Object} [options]
+     * @param {boolean} [options.dayFirst=true]  Read "5/3/2024" as 5 March (false: May 3).
+     * @returns {{iso: string|null, ambiguous: boolean, warning: string|null, error: string|null}}
+     *          `ambiguous` is set when both day/month readings were valid and the
+     *          configured order decided; `warning` explains it or any other guess.
+     */
+    function parseDate(value, options = {}) {
+        const dayFirst = options.dayFirst !== false;
+
+        if (value === undefined || value === null || String(value).trim() === "") {
+            return failure("Date is missing");
+        }
+
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return failure("Invalid date");
+            return result(toIso(value.getFullYear(), value.getMonth() + 1, value.getDate()));
+        }
+
+        if (typeof value === 'number') {
+            const iso = value >= MIN_DATE_SERIAL ? fromExcelSerial(value) : null;
+            return iso ? result(iso) : failure(`${value} is not a valid Excel date number`);
+        }
+
+        const text = String(value).trim();
+        let match;
+
+        // Excel serial stored as text
+        if ((match = text.match(/^\d{1,7}(\.\d+)?$/))) {
+            const iso = Number(text) >= MIN_DATE_SERIAL ? fromExcelSerial(Number(text)) : null;
+            return iso ? result(iso) : failure(`"${text}" is not a valid date`);
+        }
+
+        // ISO / year-first, optionally followed by a time
+        if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/))) {
+            const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+            if (!isValidDay(year, month, day)) return failure(`"${text}" is not a real date`);
+            return result(toIso(year, month, day));
+        }
+
+        // 05-Mar-2024, 5 March 2024
+        if ((match = text.match(/^(\d{1,2})[-/.\s]+([A-Za-z]{3,9})[-/.,\s]+(\d{2,4})$/))) {
+            const month = monthFromName(match[2]);
+            const [day, year] = [Number(match[1]), expandYear(Number(match[3]))];
+            if (!month || !isValidDay(year, month, day)) return failure(`"${text}" is not a real date`);
+            return result(toIso(year, month, day));
+        }
+
+        // Mar 5, 2024
+        if ((match = text.match(/^([A-Za-z]{3,9})[-/.\s]+(\d{1,2})(?:st|nd|rd|th)?[,\s]+(\d{2,4})$/))) {
+            const month = monthFromName(match[1]);
+            const [day, year] = [Number(match[2]), expandYear(Number(match[3]))];
+            if (!month || !isValidDay(year, month, day)) return failure(`"${text}" is not a real date`);
+            return result(toIso(year, month, day));
+        }
+
+        // d/m/y or m/d/y, optionally followed by a time
+        if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})(?:\s.*)?$/))) {
+            const [first, second, year] = [Number(match[1]), Number(match[2]), expandYear(Number(match[3]))];
+            const asDayFirst = isValidDay(year, second, first) ? toIso(year, second, first) : null;
+            const asMonthFirst = isValidDay(year, first, second) ? toIso(year, first, second) : null;
+            const preferred = dayFirst ? asDayFirst : asMonthFirst;
+            const other = dayFirst ? asMonthFirst : asDayFirst;
+
+            if (preferred && other && preferred !== other) {
+                return result(preferred, {
+                    ambiguous: true,
+                    warning: `"${text}" could be ${preferred} or ${other}; read as ${dayFirst ? 'day/month' : 'month/day'}`
+                });
+            }
+            if (preferred) return result(preferred);
+            if (other) {
+                return result(other, {
+                    warning: `"${text}" only makes sense as ${dayFirst ? 'month/day' : 'day/month'}; read as ${other}`
+                });
+            }
+            return failure(`"${text}" is not a real date`);
+        }
+
+        return failure(`"${text}" is not a recognised date format`);
+    }
+
+    // ==========================================
+    // BUSINESS CALENDAR
+    // ------------------------------------------
+    // The days a shop trades on: every date in a range except its weekly
+    // off-days (0 = Sunday ... 6 = Saturday) and its holidays.
+    // ==========================================
+
+    const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+    function isoToUtc(iso) {
+        const [year, month, day] = iso.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    }
+
+    function weekdayOf(iso) {
+        return new Date(isoToUtc(iso)).getUTCDay();
+    }
+
+    /**
+     * Trading days from `startIso` to `endIso`, both included.
+     * @param {Object} [calendar]
+     * @param {number[]} [calendar.offDays=[0]]  Weekdays the shop is closed.
+     * @param {string[]} [calendar.holidays=[]]  ISO dates the shop is closed.
+     * @returns {string[]} ISO dates.
+     */
+    function businessDays(startIso, endIso, calendar = {}) {
+        const { offDays = [0], holidays = [] } = calendar;
+        const closed = new Set(holidays);
+        const days = [];
+        const end = isoToUtc(endIso);
+        for (let time = isoToUtc(startIso); time <= end; time += 86400000) {
+            const date = new Date(time);
+            const iso = toIso(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+            if (!offDays.includes(date.getUTCDay()) && !closed.has(iso)) days.push(iso);
+        }
+        return days;
+    }
+
+    /**
+     * Reads a holiday list: one date per line in any form parseDate reads,
+     * optionally followed by "# name". Blank lines are skipped.
+     * @returns {{dates: string[], errors: string[]}} ISO dates, and one message per unreadable line.
+     */
+    function parseDateList(text, options = {}) {
+        const found = new Set();
+        const errors = [];
+        String(text || "").split(/\r?\n/).forEach((line, index) => {
+            const value = line.split('#')[0].trim();
+            if (!value) return;
+            const parsed = parseDate(value, options);
+            if (parsed.error) errors.push(`Line ${index + 1}: ${parsed.error}`);
+            else found.add(parsed.iso);
+        });
+        return { dates: Array.from(found).sort(), errors };
+    }
+
+    return {
+        parseDate,
+        fromExcelSerial,
+        WEEKDAYS,
+        weekdayOf,
+        businessDays,
+        parseDateList
+    };
+}));
@@ -0,0 +1,127 @@
+// ==========================================
+// E-INVOICE SCHEMA (bundled)
+// ------------------------------------------
+// The parts of the IRP e-invoice JSON schema (version 1.1) that these
+// bills fill in, written as a JSON Schema subset that einvoice.js checks
+// locally. Sections the generator never produces (export, e-way bill,
+// payment, reference and dispatch details) are left out.
+// Kept as a script rather than a .json file so it also loads when the
+// page is opened from file://.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillEInvoiceSchema = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const GSTIN = { type: "string", minLength: 15, maxLength: 15, pattern: "^[0-9]{2}[0-9A-Z]{13}$" };
+    const STATE_CODE = { type: "string", minLength: 1, maxLength: 2, pattern: "^(9[67]|[0-3]?[0-9])$" };
+    const PIN = { type: "integer", minimum: 100000, maximum: 999999 };
+    const AMOUNT = { type: "number", minimum: 0, maximum: 999999999999.99 };
+    const SIGNED_AMOUNT = { type: "number", minimum: -99999999999.99, maximum: 99999999999.99 };
+    const GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28, 40];
+
+    const party = (extra) => ({
+        type: "object",
+        required: ["Gstin", "LglNm", "Addr1", "Loc", "Pin", "Stcd", ...Object.keys(extra)],
+        additionalProperties: false,
+        properties: {
+            Gstin: GSTIN,
+            LglNm: { type: "string", minLength: 3, maxLength: 100 },
+            TrdNm: { type: "string", minLength: 3, maxLength: 100 },
+            Addr1: { type: "string", minLength: 1, maxLength: 100 },
+            Addr2: { type: "string", minLength: 3, maxLength: 100 },
+            Loc: { type: "string", minLength: 3, maxLength: 50 },
+            Pin: PIN,
+            Stcd: STATE_CODE,
+            ...extra
+        }
+    });
+
+    return {
+        type: "object",
+        required: ["Version", "TranDtls", "DocDtls", "SellerDtls", "BuyerDtls", "ItemList", "ValDtls"],
+        additionalProperties: false,
+        properties: {
+            Version: { type: "string", enum: ["1.1"] },
+            TranDtls: {
+                type: "object",
+                required: ["TaxSch", "SupTyp"],
+                additionalProperties: false,
+                properties: {
+                    TaxSch: { type: "string", enum: ["GST"] },
+                    SupTyp: { type: "string", enum: ["B2B", "SEZWP", "SEZWOP", "EXPWP", "EXPWOP", "DEXP"] },
+                    RegRev: { type: "string", enum: ["Y", "N"] },
+                    IgstOnIntra: { type: "string", enum: ["Y", "N"] }
+                }
+            },
+            DocDtls: {
+                type: "object",
+                required: ["Typ", "No", "Dt"],
+                additionalProperties: false,
+                properties: {
+                    Typ: { type: "string", enum: ["INV", "CRN", "DBN"] },
+                    No: { type: "string", minLength: 1, maxLength: 16, pattern: "^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$" },
+                    Dt: { type: "string", pattern: "^[0-3][0-9]/[0-1][0-9]/20[0-9]{2}$" }
+                }
+            },
+            SellerDtls: party({}),
+            BuyerDtls: party({ Pos: STATE_CODE }),
+            ItemList: {
+                type: "array",
+                minItems: 1,
+                maxItems: 1000,
+                items: {
+                    type: "object",
+                    required: ["SlNo", "IsServc", "HsnCd", "UnitPrice", "TotAmt", "AssAmt", "GstRt", "TotItemVal"],
+                    additionalProperties: false,
+                    properties: {
+                        SlNo: { type: "string", minLength: 1, maxLength: 6 },
+                        PrdDesc: { type: "string", minLength: 3, maxLength: 300 },
+                        IsServc: { type: "string", enum: ["Y", "N"] },
+                        HsnCd: { type: "string", minLength: 4, maxLength: 8, pattern: "^[0-9]{4,8}$" },
+                        Qty: { type: "number", minimum: 0, maximum: 9999999999.999 },
+                        Unit: { type: "string", minLength: 3, maxLength: 8 },
+                        UnitPrice: AMOUNT,
+                        TotAmt: AMOUNT,
+                        Discount: AMOUNT,
+                        AssAmt: AMOUNT,
+                        GstRt: { type: "number", enum: GST_RATES },
+                        IgstAmt: AMOUNT,
+                        CgstAmt: AMOUNT,
+                        SgstAmt: AMOUNT,
+                        CesRt: { type: "number", minimum: 0, maximum: 100 },
+                        CesAmt: AMOUNT,
+                        CesNonAdvlAmt: AMOUNT,
+                        StateCesRt: { type: "number", minimum: 0, maximum: 100 },
+                        StateCesAmt: AMOUNT,
+                        StateCesNonAdvlAmt: AMOUNT,
+                        OthChrg: AMOUNT,
+                        TotItemVal: AMOUNT
+                    }
+                }
+            },
+            ValDtls: {
+                type: "object",
+                required: ["AssVal", "TotInvVal"],
+                additionalProperties: false,
+                properties: {
+                    AssVal: AMOUNT,
+                    CgstVal: AMOUNT,
+                    SgstVal: AMOUNT,
+                    IgstVal: AMOUNT,
+                    CesVal: AMOUNT,
+                    StCesVal: AMOUNT,
+                    Discount: AMOUNT,
+                    OthChrg: SIGNED_AMOUNT,
+                    RndOffAmt: { type: "number", minimum: -99.99, maximum: 99.99 },
+                    TotInvVal: AMOUNT
+                }
+            }
+        }
+    };
+}));
@@ -0,0 +1,229 @@
+// ==========================================
+// GST E-INVOICE JSON (headless)
+// ------------------------------------------
+// Builds IRP e-invoice documents (schema version 1.1) from generated
+// bills and checks them against the bundled schema before anything is
+// written. Line amounts come from buildBillRows so an e-invoice matches
+// the exported bills sheet to the paisa.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./gst'), require('./money'), require('./einvoice-schema'));
+    } else {
+        root.BillEInvoice = factory(root.BillEngine, root.BillGst, root.BillMoney, root.BillEInvoiceSchema);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, gst, money, schema) {
+    'use strict';
+
+    // ==========================================
+    // 1. SCHEMA CHECK
+    // ==========================================
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return "array";
+        if (value === null) return "null";
+        if (typeof value === 'number') return Number.isInteger(value) ? "integer" : "number";
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === "number" && actual === "integer");
+    }
+
+    /**
+     * Checks a value against the JSON Schema subset used by the bundled
+     * schema: type, required, properties, additionalProperties, items,
+     * min/maxItems, min/maxLength, pattern, minimum, maximum and enum.
+     * @returns {{path: string, message: string}[]}
+     */
+    function validateSchema(value, rule, path = "") {
+        const errors = [];
+        const fail = message => errors.push({ path: path || "(root)", message });
+
+        if (rule.type && !matchesType(value, rule.type)) {
+            fail(`should be ${rule.type}, got ${typeOf(value)}`);
+            return errors;
+        }
+        if (rule.enum && !rule.enum.includes(value)) fail(`should be one of ${rule.enum.join(", ")}`);
+
+        if (typeof value === 'string') {
+            if (rule.minLength !== undefined && value.length < rule.minLength) fail(`should be at least ${rule.minLength} characters`);
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) fail(`should be at most ${rule.maxLength} characters`);
+            if (rule.pattern && !new RegExp(rule.pattern).test(value)) fail(`"${value}" does not match ${rule.pattern}`);
+        }
+        if (typeof value === 'number') {
+            if (rule.minimum !== undefined && value < rule.minimum) fail(`should be at least ${rule.minimum}`);
+            if (rule.maximum !== undefined && value > rule.maximum) fail(`should be at most ${rule.maximum}`);
+        }
+        if (Array.isArray(value)) {
+            if (rule.minItems !== undefined && value.length < rule.minItems) fail(`should have at least ${rule.minItems} item(s)`);
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) fail(`should have at most ${rule.maxItems} items`);
+            if (rule.items) value.forEach((entry, index) => errors.push(...validateSchema(entry, rule.items, `${path}[${index}]`)));
+        }
+        if (typeOf(value) === "object") {
+            const properties = rule.properties || {};
+            (rule.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+            });
+            Object.keys(value).forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (properties[key]) {
+                    errors.push(...validateSchema(value[key], properties[key], childPath));
+                } else if (rule.additionalProperties === false) {
+                    errors.push({ path: childPath, message: "is not allowed" });
+                }
+            });
+        }
+        return errors;
+    }
+
+    /** Schema errors of one e-invoice document (empty when valid). */
+    function validateEInvoice(document) {
+        return validateSchema(document, schema);
+    }
+
+    // ==========================================
+    // 2. DOCUMENTS
+    // ==========================================
+
+    // Optional fields are left out rather than sent blank, which the IRP rejects.
+    function compact(object) {
+        const out = {};
+        Object.entries(object).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== "") out[key] = value;
+        });
+        return out;
+    }
+
+    // Free-text address: first line is Addr1, the rest Addr2.
+    function splitAddress(address) {
+        const lines = String(address || "").split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        return { Addr1: lines[0], Addr2: lines.slice(1).join(", ") };
+    }
+
+    function partyDetails(details, stateCode) {
+        return compact({
+            Gstin: String(details.gstin || "").trim().toUpperCase(),
+            LglNm: details.legalName || details.name,
+            TrdNm: details.tradeName,
+            ...splitAddress(details.address),
+            Loc: details.location,
+            Pin: Number(details.pin) || undefined,
+            Stcd: stateCode
+        });
+    }
+
+    /**
+     * Picks the configured buyer for a bill: an entry in `buyersByName` for
+     * the bill's purchaser, else the default `buyer`.
+     */
+    function resolveBuyer(bill, options) {
+        const byName = options.buyersByName || {};
+        return (bill.purchaserName && byName[bill.purchaserName]) || options.buyer || {};
+    }
+
+    /**
+     * One IRP e-invoice for a bill.
+     * @param {Object} bill
+     * @param {Object} options
+     * @param {number} options.billIndex  Position of the bill in the run (0-based).
+     * @param {string} [options.prefix]
+     * @param {number} [options.startIndex]
+     * @param {string} options.paymentMethod
+     * @param {string} options.sellerState
+     * @param {string} [options.placeOfSupply]  Batch place of supply.
+     * @param {{name, gstin, address, location, pin}} options.seller
+     * @param {{legalName, gstin, address, location, pin, state}} [options.buyer]  Default buyer.
+     * @param {Object} [options.buyersByName]  Buyer details keyed by purchaser name.
+     * @param {string} [options.defaultHsn]  HSN/SAC for lines without one.
+     */
+    function buildEInvoice(bill, options) {
+        const { billIndex, prefix = "BILL", startIndex = 1, seller = {}, defaultHsn = "" } = options;
+        const rows = engine.buildBillRows([bill], { ...options, prefix, startIndex: startIndex + billIndex, purchaserNames: [] });
+        const summary = engine.summarizeBill(bill, options);
+        const buyer = resolveBuyer(bill, options);
+        const sellerState = rows[0]["Seller State Code"];
+        const buyerState = gst.normalizeStateCode(buyer.state) || summary.placeOfSupply;
+
+        const items = rows.map((row, index) => {
+            const line = bill.items[index];
+            const hsn = String(line.hsn || defaultHsn || "").trim();
+            const assessable = row["Item Price"];
+            return compact({
+                SlNo: String(index + 1),
+                PrdDesc: row["Item Name"],
+                // SAC codes (chapter 99) are services
+                IsServc: hsn.startsWith("99") ? "Y" : "N",
+                HsnCd: hsn,
+                Qty: row["Quantity"],
+                Unit: gst.toUqc(line.unit),
+                UnitPrice: row["Unit Price"],
+                TotAmt: assessable,
+                Discount: 0,
+                AssAmt: assessable,
+                GstRt: row["GST %"],
+                IgstAmt: row["IGST Amount"],
+                CgstAmt: row["CGST Amount"],
+                SgstAmt: row["SGST Amount"],
+                // Cess here is charged on MRP, not on the assessable value, so it
+                // is reported as a non-ad-valorem amount rather than a rate.
+                CesRt: 0,
+                CesAmt: 0,
+                CesNonAdvlAmt: row["CESS Tax Amount"],
+                StateCesRt: 0,
+                StateCesAmt: 0,
+                StateCesNonAdvlAmt: 0,
+                OthChrg: 0,
+                TotItemVal: row["Item Total"]
+            });
+        });
+
+        return {
+            Version: "1.1",
+            TranDtls: { TaxSch: "GST", SupTyp: "B2B", RegRev: "N", IgstOnIntra: "N" },
+            DocDtls: { Typ: "INV", No: rows[0]["Bill No"], Dt: rows[0]["Date"] },
+            SellerDtls: partyDetails(seller, sellerState),
+            BuyerDtls: { ...partyDetails(buyer, buyerState), Pos: summary.placeOfSupply || buyerState },
+            ItemList: items,
+            ValDtls: {
+                AssVal: summary.taxable,
+                CgstVal: summary.cgst,
+                SgstVal: summary.sgst,
+                IgstVal: summary.igst,
+                CesVal: summary.cess,
+                StCesVal: 0,
+                Discount: 0,
+                OthChrg: 0,
+                RndOffAmt: summary.roundOff,
+                TotInvVal: summary.finalTotal
+            }
+        };
+    }
+
+    /**
+     * Builds and checks e-invoices for several bills.
+     * @param {{bill: Object, index: number}[]} entries  Bills and their positions in the run.
+     * @param {Object} options  As for buildEInvoice, without `billIndex`.
+     * @returns {{billNo: string, document: Object, errors: Object[]}[]}
+     */
+    function buildEInvoices(entries, options) {
+        return entries.map(({ bill, index }) => {
+            const document = buildEInvoice(bill, { ...options, billIndex: index });
+            const errors = validateEInvoice(document);
+            if (money.toPaise(document.ValDtls.TotInvVal) !== money.toPaise(document.ValDtls.AssVal + document.ValDtls.CgstVal +
+                document.ValDtls.SgstVal + document.ValDtls.IgstVal + document.ValDtls.CesVal + document.ValDtls.RndOffAmt)) {
+                errors.push({ path: "ValDtls.TotInvVal", message: "does not equal the sum of its parts" });
+            }
+            return { billNo: document.DocDtls.No, document, errors };
+        });
+    }
+
+    return {
+        validateSchema,
+        validateEInvoice,
+        buildEInvoice,
+        buildEInvoices
+    };
+}));
@@ -0,0 +1,1141 @@
+// ==========================================
+// BILL ENGINE (headless)
+// ------------------------------------------
+// Pure generation logic shared by the browser UI and Node scripts.
+// Nothing in this file may touch `document`, `window` or `alert()`:
+// callers pass stock rows, targets and options in and get bills,
+// the remaining stock and a skip report back.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./gst'), require('./dates'), require('./money'), require('./units'), require('./solver'));
+    } else {
+        root.BillEngine = factory(root.BillGst, root.BillDates, root.BillMoney, root.BillUnits, root.BillSolver);
+    }
+}(typeof self !== 'undefined' ? self : this, function (gst, dates, money, units, solver) {
+    'use strict';
+
+    // ==========================================
+    // 1. UTILITY FUNCTIONS
+    // ==========================================
+
+    // Folds any seed (number or text) into a 32-bit state.
+    function hashSeed(seed) {
+        const str = String(seed);
+        let h = 1779033703 ^ str.length;
+        for (let i = 0; i < str.length; i++) {
+            h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        return h >>> 0;
+    }
+
+    // Seeded PRNG (mulberry32). Every random draw of a run goes through one
+    // of these, so the same seed and inputs give the same bills.
+    function createRng(seed) {
+        let a = hashSeed(seed);
+        return function () {
+            a = (a + 0x6D2B79F5) | 0;
+            let t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Used when the user leaves the seed blank, so the run is still recorded
+    // with a seed that reproduces it.
+    function randomSeed() {
+        return Math.floor(Math.random() * 0x7fffffff).toString(36).toUpperCase();
+    }
+
+    function shuffleArray(array, rng = Math.random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    // Line total in rupees; see money.js for the rounding policy.
+    function calculateItemTotal(price, qty, gstPercent, cessPercent, mrp, taxInclusive = false) {
+        return money.fromPaise(money.lineAmounts(price, qty, gstPercent || 0, cessPercent || 0, mrp || 0, taxInclusive).total);
+    }
+
+    // Taxable value of the stock rows; tax-inclusive prices have their tax backed out.
+    function calculateTotalStockValue(data) {
+        let totalPaise = 0;
+        data.forEach(item => {
+            const qty = parseFloat(item["Qty."]) || 0;
+            const price = parseFloat(item["Price"]) || 0;
+            const taxInclusive = gst.readTaxInclusive(item[gst.TAX_INCLUSIVE_HEADER]) === true;
+            totalPaise += money.lineAmounts(price, qty, Number(item["GST PERCENT"]) || 0, Number(item["CESS%"]) || 0, Number(item["MRP"]) || 0, taxInclusive).taxable;
+        });
+        return money.fromPaise(totalPaise);
+    }
+
+    function waitFrame() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // HSN is optional and supplier sheets label it differently.
+    const HSN_HEADERS = ["HSN", "HSN/SAC", "HSN Code", "HSN/SAC Code", "SAC"];
+
+    function readHsn(item) {
+        for (const header of HSN_HEADERS) {
+            const value = item[header];
+            if (value !== undefined && value !== null && String(value).trim() !== "") return String(value).trim();
+        }
+        return "";
+    }
+
+    /**
+     * Stock rows keyed by item name, with numeric rates, the quantity left,
+     * the step each item is sold in and whether its price includes tax.
+     * @param {Object[]} data  Stock rows.
+     * @param {Object} [unitSteps]  Steps of the measured units keyed by UQC (see units.js).
+     */
+    function buildStockMap(data, unitSteps) {
+        const map = new Map();
+        for (const item of data) {
+            const key = item["Item Details"];
+            const qty = Number(item["Qty."]) || 0;
+            const taxInclusive = gst.readTaxInclusive(item[gst.TAX_INCLUSIVE_HEADER]) === true;
+
+            map.set(key, {
+                ...item,
+                openingQty: qty,
+                remainingQty: qty,
+                qtyStep: units.quantityStep(item, unitSteps),
+                taxInclusive,
+                singleUnitCost: calculateItemTotal(Number(item["Price"]), 1, Number(item["GST PERCENT"]), Number(item["CESS%"]), Number(item["MRP"]), taxInclusive),
+                "Price": Number(item["Price"]) || 0,
+                "GST PERCENT": Number(item["GST PERCENT"]) || 0,
+                "CESS%": Number(item["CESS%"]) || 0,
+                "MRP": Number(item["MRP"]) || 0,
+                "HSN": readHsn(item)
+            });
+        }
+        return map;
+    }
+
+    /** Paise amounts of `qty` of a stock map item. */
+    function itemLineAmounts(item, qty) {
+        return money.lineAmounts(item["Price"], qty, item["GST PERCENT"] || 0, item["CESS%"] || 0, item["MRP"] || 0, item.taxInclusive);
+    }
+
+    function getItemBillTotal(item, qty) {
+        return money.fromPaise(itemLineAmounts(item, qty).total);
+    }
+
+    // Deducts an accepted bill's quantities from the stock map and marks
+    // the items as used for the rotation set.
+    function applyBillToStock(stockMap, bill, usedItemIds) {
+        if (!bill.tempUsedMap) return;
+        for (let [name, qty] of bill.tempUsedMap.entries()) {
+            const item = stockMap.get(name);
+            item.remainingQty = parseFloat((item.remainingQty - qty).toFixed(3));
+            if (usedItemIds) usedItemIds.add(name);
+        }
+    }
+
+    function generateBillNumber(index, prefix = "BILL", padLength = 4) {
+        return `${prefix}${String(index).padStart(padLength, '0')}`;
+    }
+
+    function formatDisplayDate(dateStr) {
+        if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return dateStr;
+        const parts = dateStr.split('-');
+        return `${parts[2]}/${parts[1]}/${parts[0]}`;
+    }
+
+    // ==========================================
+    // 2. CORE GENERATOR LOGIC
+    // ==========================================
+
+    // Search budget of one solver bill. Bills of a few lines are tried
+    // first; only the full search (any number of lines) can prove a target
+    // out of reach. The time limit is a safety net: the node budget runs
+    // out long before it on any ordinary machine, so seeded runs repeat.
+    // Large stocks offer the solver a sample of their items: the node budget
+    // never reaches far down a longer list, and a bill can't have more
+    // lines than candidates, which keeps the search's depth in bounds.
+    const EXACT_SEARCH = { preferredLines: 3, preferredMaxLines: 8, maxNodes: 50000, timeLimitMs: 2000, maxCandidates: 400 };
+
+    // Solver searches (each with a fresh item order) a cash day's closing
+    // bill gets before the rest of the day is skipped.
+    const EXACT_RETRIES = 3;
+
+    /**
+     * Solver bill with a total between `minAmount` and `maxAmount`, as close
+     * to their middle as the search gets. Items not yet used today are
+     * tried first. Fails with `infeasible: true` when the remaining stock
+     * provably can't make such a bill (only said of stocks small enough to
+     * be searched whole).
+     */
+    async function solveBill(stockMap, minAmount, maxAmount, date, dailyUsedItemIds = new Set(), rng = Math.random) {
+        await waitFrame();
+        const lowPaise = money.toPaise(minAmount);
+        const highPaise = money.toPaise(maxAmount);
+        if (highPaise < lowPaise) return { items: [], total: 0, success: false, infeasible: true };
+
+        const available = Array.from(stockMap.values()).filter(item => item.remainingQty > 0.001);
+        const fresh = available.filter(item => !dailyUsedItemIds.has(item["Item Details"]));
+        const used = available.filter(item => dailyUsedItemIds.has(item["Item Details"]));
+        shuffleArray(fresh, rng);
+        shuffleArray(used, rng);
+        const ordered = fresh.concat(used).slice(0, EXACT_SEARCH.maxCandidates);
+        // Leaving items out means a failed search proves nothing about the stock
+        const trimmed = available.length > ordered.length;
+
+        const candidates = ordered.map(item => {
+            const stepMilli = money.toMilli(item.qtyStep);
+            return {
+                maxSteps: Math.floor(money.toMilli(item.remainingQty) / stepMilli),
+                lineTotal: steps => itemLineAmounts(item, steps * stepMilli / 1000).total
+            };
+        });
+        const search = {
+            targetPaise: Math.round((lowPaise + highPaise) / 2),
+            marginPaise: Math.floor((highPaise - lowPaise) / 2),
+            maxNodes: EXACT_SEARCH.maxNodes,
+            deadline: Date.now() + EXACT_SEARCH.timeLimitMs,
+            rng
+        };
+
+        let result = solver.solveExact(candidates, {
+            ...search, minLines: Math.min(EXACT_SEARCH.preferredLines, candidates.length), maxLines: EXACT_SEARCH.preferredMaxLines
+        });
+        if (result.status !== "found") result = solver.solveExact(candidates, search);
+        if (result.status !== "found") {
+            return { items: [], total: 0, success: false, infeasible: result.status === "infeasible" && !trimmed };
+        }
+
+        const tempUsed = new Map();
+        const picked = result.lines.map(({ index, steps }) => {
+            const item = ordered[index];
+            const qty = steps * money.toMilli(item.qtyStep) / 1000;
+            tempUsed.set(item["Item Details"], qty);
+            return { item, qty };
+        });
+        const billData = formatResult(picked, money.fromPaise(search.targetPaise), date);
+        billData.tempUsedMap = tempUsed;
+        return billData;
+    }
+
+    // RANGE bills come from a randomised search; EXACT bills from the solver.
+    async function generateBillFromMap(stockMap, targetMin, targetMax, dayTotalRemaining, date, margin = 5, mode = 'RANGE', currentFailures = 0, dailyUsedItemIds = new Set(), rng = Math.random) {
+        if (mode === 'EXACT') return solveBill(stockMap, targetMax - margin, targetMax + margin, date, dailyUsedItemIds, rng);
+
+        let availableItems = Array.from(stockMap.values())
+            .filter(item => item.remainingQty > 0.001);
+
+        let freshItems = availableItems.filter(item => !dailyUsedItemIds.has(item["Item Details"]));
+
+        availableItems.sort((a, b) => a.singleUnitCost - b.singleUnitCost);
+        freshItems.sort((a, b) => a.singleUnitCost - b.singleUnitCost);
+
+        const expensiveAll = [...availableItems].sort((a, b) => b.singleUnitCost - a.singleUnitCost);
+        const expensiveFresh = [...freshItems].sort((a, b) => b.singleUnitCost - a.singleUnitCost);
+
+        const itemCount = availableItems.length;
+        if (itemCount === 0) return { items: [], total: 0, success: false, reason: "No items" };
+
+        let effortMultiplier = 1.0;
+        if (currentFailures > 50) effortMultiplier = 0.5;
+        if (currentFailures > 200) effortMultiplier = 0.1;
+        if (currentFailures > 400) effortMultiplier = 0.02;
+
+        const baseAttempts = [
+            { count: 4, attempts: 50 },
+            { count: 3, attempts: 50 },
+            { count: 2, attempts: 100 },
+            { count: 1, attempts: 20 }
+        ];
+
+        for (const tier of baseAttempts) {
+            const minItems = tier.count;
+            const maxAttempts = Math.max(1, Math.floor(tier.attempts * effortMultiplier));
+
+            if (availableItems.length < minItems) continue;
+
+            let selectionPool = [];
+
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                if (attempt % 50 === 0) await waitFrame();
+
+                let useFreshPool = false;
+                if (attempt < 2 && freshItems.length >= minItems) {
+                    useFreshPool = true;
+                }
+
+                if (useFreshPool) {
+                    if (attempt === 0) selectionPool = expensiveFresh;
+                    else {
+                        selectionPool = [...freshItems];
+                        shuffleArray(selectionPool, rng);
+                    }
+                } else {
+                    if (attempt === 2) selectionPool = expensiveAll;
+                    else {
+                        selectionPool = [...availableItems];
+                        shuffleArray(selectionPool, rng);
+                    }
+                }
+
+                let currentBill = [];
+                let currentTotalPaise = 0;
+                let currentTotal = 0;
+                let pickedCount = 0;
+                let tempUsed = new Map();
+
+                const getRem = (i) => {
+                    const used = tempUsed.get(i["Item Details"]) || 0;
+                    return Math.max(0, i.remainingQty - used);
+                };
+
+                for (const item of selectionPool) {
+                    if (currentTotal >= targetMin && pickedCount >= minItems) {
+                        if (attempt === 0 || attempt === 2 || rng() > 0.5) break;
+                    }
+
+                    const actualRemaining = getRem(item);
+                    if (actualRemaining <= 0.001) continue;
+
+                    const roomLeft = targetMax - currentTotal;
+                    if (roomLeft < 1) continue;
+
+                    // Quantities are whole steps of the item's unit
+                    const step = item.qtyStep;
+                    if (step * item.singleUnitCost > roomLeft) continue;
+
+                    let maxQtyBudget = roomLeft / item.singleUnitCost;
+                    let absMax = Math.min(actualRemaining, maxQtyBudget);
+                    let qty = 0;
+
+                    if (step < 1) {
+                        if (absMax < step) continue;
+                        let factor = (attempt === 0 || attempt === 2) ? 0.9 : (rng() * 0.8 + 0.2);
+                        qty = units.floorToStep(absMax * factor, step);
+                        if (pickedCount < minItems && qty > absMax / 2) {
+                            qty = units.floorToStep(absMax / 2, step);
+                        }
+                    } else {
+                        let stepMax = Math.floor(absMax / step + 1e-9);
+                        if (stepMax < 1) continue;
+                        if (pickedCount < minItems) stepMax = Math.min(stepMax, 2);
+                        qty = (Math.floor(rng() * stepMax) + 1) * money.toMilli(step) / 1000;
+                    }
+
+                    if (qty <= 0) continue;
+
+                    let cost = getItemBillTotal(item, qty);
+                    currentBill.push({ item, qty, cost });
+                    currentTotalPaise += money.toPaise(cost);
+                    currentTotal = money.fromPaise(currentTotalPaise);
+                    pickedCount++;
+                    tempUsed.set(item["Item Details"], (tempUsed.get(item["Item Details"]) || 0) + qty);
+                }
+
+                if (currentTotal >= targetMin && currentTotal <= targetMax && pickedCount >= minItems) {
+                    const futureDayRemaining = dayTotalRemaining - currentTotal;
+
+                    if (futureDayRemaining <= margin || futureDayRemaining > 50) {
+                        const billData = formatResult(currentBill, targetMax, date);
+                        billData.tempUsedMap = tempUsed;
+                        return billData;
+                    }
+                }
+            }
+        }
+        return { items: [], total: 0, success: false };
+    }
+
+    /** One bill line for `qty` of a stock map item, with its paise-exact totals. */
+    function buildBillLine(item, qty, date) {
+        const amounts = itemLineAmounts(item, qty);
+        return {
+            name: item["Item Details"],
+            hsn: item["HSN"] || "",
+            unit: item["Unit"] || "",
+            qty: qty,
+            unitPrice: item["Price"],
+            taxInclusive: Boolean(item.taxInclusive),
+            gstPercent: item["GST PERCENT"],
+            cessPercent: item["CESS%"],
+            mrp: item["MRP"],
+            cessTaxAmount: money.fromPaise(amounts.cess),
+            itemTotal: money.fromPaise(amounts.total),
+            date: date
+        };
+    }
+
+    /** Bill total in rupees: the exact paise sum of its lines. */
+    function sumBillLines(items) {
+        return money.fromPaise(items.reduce((sum, line) => sum + money.toPaise(line.itemTotal), 0));
+    }
+
+    function formatResult(billArray, target, date) {
+        const finalItems = billArray.map(entry => buildBillLine(entry.item, entry.qty, date));
+        return { items: finalItems, total: sumBillLines(finalItems), targetAmount: target, success: true };
+    }
+
+    // ==========================================
+    // 3. GENERATION RUNS
+    // ==========================================
+
+    /**
+     * Matches one UPI target with an EXACT bill and takes it from stock.
+     * Returns the bill, or null after logging the miss in `skipped`.
+     * @param {{placeOfSupply?: string, paymentReference?: string}} details  Carried onto the bill.
+     */
+    async function matchUpiTarget(stockMap, target, date, details, usedItemIds, rng, skipped) {
+        const paymentReference = String(details.paymentReference || "").trim();
+        const bill = await generateBillFromMap(stockMap, target, target, target, date, 5, 'EXACT', 0, usedItemIds, rng);
+
+        if (!bill.success) {
+            const why = bill.infeasible
+                ? "the remaining stock cannot make it (within ₹5)"
+                : "the search limit was reached";
+            const reference = paymentReference ? ` (ref ${paymentReference})` : "";
+            skipped.push({
+                date,
+                targetAmount: target,
+                remaining: target,
+                fullDay: true,
+                infeasible: bill.infeasible,
+                paymentReference,
+                message: `FAILURE: ${formatDisplayDate(date)} - No bill found for ₹${target.toFixed(2)}${reference}: ${why}`
+            });
+            return null;
+        }
+        const posCode = gst.normalizeStateCode(details.placeOfSupply);
+        if (posCode) bill.placeOfSupply = posCode;
+        if (paymentReference) bill.paymentReference = paymentReference;
+        applyBillToStock(stockMap, bill, usedItemIds);
+        return bill;
+    }
+
+    // Cash bill limits: at least ₹10 and at most ₹10,000 per bill.
+    function cashBillLimits(minBill, maxBill) {
+        return { minBill: Math.max(minBill, 10), maxBill: Math.min(maxBill, 10000) };
+    }
+
+    /**
+     * Fills one cash day: RANGE bills until the target is nearly met, then one
+     * EXACT bill for what is left. Stock is taken from `stockMap` as bills are
+     * accepted; a shortfall or a cancel is logged in `run.skipped`.
+     * @param {Object} run  What spans days: `rng`, `minBill`, `maxBill`,
+     *        `previousBills` (earlier days' cash bills), `skipped`, `dayIndex`,
+     *        `dayCount`, `onProgress` and `isCancelled`.
+     * @returns {Promise<{bills: Object[], cancelled: boolean}>}
+     */
+    async function fillCashDay(stockMap, date, targetAmount, run) {
+        const { rng, minBill, maxBill, previousBills, skipped, dayIndex, dayCount, onProgress, isCancelled } = run;
+
+        // Day totals are kept in paise so they equal the sum of the bills
+        const targetPaise = money.toPaise(targetAmount);
+        let accumulatedPaise = 0;
+        let dateAccumulated = 0;
+        let consecutiveFailures = 0;
+        let exactGiveUps = 0;
+
+        let todaysBills = [];
+        let dailyUsedItemIds = new Set(); // Reset rotation daily
+
+        const skipRest = (remaining, reason) => {
+            const percentSkipped = ((remaining / targetAmount) * 100).toFixed(1);
+            const fullDay = dateAccumulated === 0;
+
+            let message = `Date: ${formatDisplayDate(date)} - Skipped ${percentSkipped}% (₹${remaining.toFixed(2)} remaining)`;
+            if (fullDay) {
+                message = `FAILURE: ${formatDisplayDate(date)} Skipped 100% (No valid bills generated). Moving to next day.`;
+            }
+            if (reason) message += ` ${reason}`;
+
+            skipped.push({ date, targetAmount, remaining, fullDay, infeasible: Boolean(reason), message });
+        };
+
+        while (dateAccumulated < targetAmount) {
+
+            const remaining = money.fromPaise(targetPaise - accumulatedPaise);
+
+            if (remaining <= 5) {
+                break;
+            }
+
+            if (consecutiveFailures % 20 === 0) {
+                if (onProgress) {
+                    onProgress({
+                        date, dayIndex, dayCount,
+                        accumulated: dateAccumulated, targetAmount, failures: consecutiveFailures,
+                        billsToday: todaysBills.length, billsTotal: previousBills.length + todaysBills.length,
+                        skippedDays: skipped.length
+                    });
+                }
+                await waitFrame();
+            }
+
+            if (isCancelled()) {
+                const percentDone = ((dateAccumulated / targetAmount) * 100).toFixed(1);
+                skipped.push({
+                    date, targetAmount, remaining, fullDay: dateAccumulated === 0, cancelled: true,
+                    message: `CANCELLED: ${formatDisplayDate(date)} stopped at ${percentDone}% (₹${remaining.toFixed(2)} remaining). Later days were not generated.`
+                });
+                return { bills: todaysBills, cancelled: true };
+            }
+
+            let currentMargin = 5;
+            let mode = 'RANGE';
+
+            let randomTarget = minBill + rng() * (maxBill - minBill);
+            let randomMin = Math.max(minBill, randomTarget * 0.95);
+            let randomMax = Math.min(maxBill, randomTarget * 1.05);
+
+            let targetMin = randomMin;
+            let targetMax = randomMax;
+
+            if (consecutiveFailures > 20) targetMin = 10;
+
+            if (remaining <= maxBill) {
+                mode = 'EXACT';
+                targetMin = remaining;
+                targetMax = remaining;
+                currentMargin = 50;
+            } else {
+                if (targetMax > remaining) targetMax = remaining;
+            }
+
+            let bill = await generateBillFromMap(stockMap, targetMin, targetMax, remaining, date, currentMargin, mode, consecutiveFailures, dailyUsedItemIds, rng);
+
+            if (mode === 'EXACT' && !bill.success) {
+                if (bill.infeasible) {
+                    skipRest(remaining, `The remaining stock cannot make a bill within ₹${currentMargin} of it.`);
+                    break;
+                }
+                if (++exactGiveUps >= EXACT_RETRIES) {
+                    skipRest(remaining);
+                    break;
+                }
+            }
+
+            // The random search keeps missing: let the solver look for any
+            // bill the limits allow that still leaves more than ₹50 for later.
+            if (mode === 'RANGE' && !bill.success && consecutiveFailures > 20 && consecutiveFailures % 50 === 21) {
+                // Close to the target there is no such bill to look for
+                const largest = Math.min(maxBill, money.fromPaise(targetPaise - accumulatedPaise - 5001));
+                if (largest >= targetMin) {
+                    bill = await solveBill(stockMap, targetMin, largest, date, dailyUsedItemIds, rng);
+                    if (bill.infeasible) {
+                        skipRest(remaining, `No bill of ₹${targetMin.toFixed(2)}-₹${largest.toFixed(2)} can be made from the remaining stock.`);
+                        break;
+                    }
+                }
+            }
+
+            if (bill.success) {
+                const recentBills = previousBills.slice(-3).concat(todaysBills.slice(-3));
+                const last3Totals = recentBills.slice(-3).map(b => b.total);
+
+                if (last3Totals.includes(bill.total) && consecutiveFailures < 50 && mode !== 'EXACT') {
+                    consecutiveFailures++;
+                    continue;
+                }
+
+                applyBillToStock(stockMap, bill, dailyUsedItemIds);
+
+                todaysBills.push(bill);
+                accumulatedPaise += money.toPaise(bill.total);
+                dateAccumulated = money.fromPaise(accumulatedPaise);
+                consecutiveFailures = 0;
+            } else {
+                consecutiveFailures++;
+
+                if (consecutiveFailures > 500) {
+                    skipRest(remaining);
+                    break;
+                }
+            }
+        }
+
+        return { bills: todaysBills, cancelled: false };
+    }
+
+    /**
+     * UPI run: one EXACT bill per target row.
+     * @param {Object[]} stockRows  Raw stock sheet rows.
+     * @param {{amount: number, date: *, placeOfSupply?: string, paymentReference?: string}[]} targets
+     *        Dates may be in any form `dates.parseDate` reads; bills carry ISO dates
+     *        and the target's payment reference.
+     * @param {Object} [options]
+     * @param {string|number} [options.seed]  Reproduces a previous run; a fresh one is drawn when omitted.
+     * @param {boolean} [options.dayFirst=true]  Day/month order for dates like 5/3/2024.
+     * @param {Object} [options.unitSteps]  Steps of the measured units (see buildStockMap).
+     * @param {Function} [options.onProgress]  Called with
+     *        `{ index, total, billsTotal, skippedCount }` before each target.
+     * @param {Function} [options.isCancelled]  Polled before each target; when it
+     *        returns true the run stops and returns what it has so far.
+     * @returns {Promise<{bills: Object[], stockMap: Map, skipped: Object[], seed: string, cancelled: boolean}>}
+     */
+    async function generateUpiBills(stockRows, targets, options = {}) {
+        const { onProgress, isCancelled = () => false } = options;
+        const seed = String(options.seed || randomSeed());
+        const rng = createRng(seed);
+        const stockMap = buildStockMap(stockRows, options.unitSteps);
+        const bills = [];
+        const skipped = [];
+
+        // Create a Set to track rotation for UPI as well
+        const upiUsedItemIds = new Set();
+        let cancelled = false;
+
+        for (let index = 0; index < targets.length; index++) {
+            // Yield so a cancel request (or a repaint) can get in between targets
+            if (index > 0 && index % 20 === 0) await waitFrame();
+            if (isCancelled()) {
+                cancelled = true;
+                break;
+            }
+            if (onProgress) onProgress({ index, total: targets.length, billsTotal: bills.length, skippedCount: skipped.length });
+
+            const { amount, date: rawDate } = targets[index];
+            const target = parseFloat(amount);
+            const date = dates.parseDate(rawDate, { dayFirst: options.dayFirst }).iso;
+            if (isNaN(target) || !date) continue;
+
+            // Use EXACT mode for UPI
+            const bill = await matchUpiTarget(stockMap, target, date, targets[index], upiUsedItemIds, rng, skipped);
+            if (bill) bills.push(bill);
+        }
+
+        return { bills, stockMap, skipped, seed, cancelled };
+    }
+
+    /**
+     * Cash run: fills each day's target with RANGE bills between the
+     * min/max limits, closing the day with one EXACT bill.
+     * @param {Object[]} stockRows  Raw stock sheet rows.
+     * @param {{date: string, targetAmount: number}[]} dateTargets
+     * @param {Object} options
+     * @param {number} options.minBill
+     * @param {number} options.maxBill
+     * @param {string[]} [options.purchaserNames]
+     * @param {string|number} [options.seed]  Reproduces a previous run; a fresh one is drawn when omitted.
+     * @param {Object} [options.unitSteps]  Steps of the measured units (see buildStockMap).
+     * @param {Function} [options.onProgress]  Called while a day is running with
+     *        `{ date, dayIndex, dayCount, accumulated, targetAmount, failures, billsToday, billsTotal, skippedDays }`.
+     * @param {Function} [options.isCancelled]  Polled between bills; when it returns
+     *        true the run stops, keeping every bill accepted so far.
+     * @returns {Promise<{bills: Object[], stockMap: Map, skipped: Object[], seed: string, cancelled: boolean}>}
+     */
+    async function generateCashBills(stockRows, dateTargets, options) {
+        const { purchaserNames = [], onProgress, isCancelled = () => false } = options;
+        const { minBill, maxBill } = cashBillLimits(options.minBill, options.maxBill);
+        const seed = String(options.seed || randomSeed());
+        const rng = createRng(seed);
+
+        const stockMap = buildStockMap(stockRows, options.unitSteps);
+        const allGeneratedBills = [];
+        const skipped = [];
+
+        const purchaserHistory = {};
+        const availablePurchasers = purchaserNames.length > 0 ? [...purchaserNames] : ['N/A'];
+        let cancelled = false;
+
+        for (let dayIndex = 0; dayIndex < dateTargets.length && !cancelled; dayIndex++) {
+            const { date, targetAmount } = dateTargets[dayIndex];
+
+            if (targetAmount <= 0) continue;
+
+            const day = await fillCashDay(stockMap, date, targetAmount, {
+                rng, minBill, maxBill, previousBills: allGeneratedBills, skipped,
+                dayIndex, dayCount: dateTargets.length, onProgress, isCancelled
+            });
+            cancelled = day.cancelled;
+
+            assignPurchasers(day.bills, availablePurchasers, purchaserHistory, rng);
+            allGeneratedBills.push(...day.bills);
+        }
+
+        return { bills: allGeneratedBills, stockMap, skipped, seed, cancelled };
+    }
+
+    /**
+     * Combined run: UPI targets and daily cash targets drawn from one stock
+     * map, so the two can't sell the same units. Dates are worked in order;
+     * on each date the UPI bills (exact amounts, the harder match) go first
+     * and the cash day is filled from what is left.
+     * @param {Object[]} stockRows  Raw stock sheet rows.
+     * @param {{amount: number, date: *, placeOfSupply?: string, paymentReference?: string}[]} upiTargets  As for generateUpiBills.
+     * @param {{date: string, targetAmount: number}[]} cashTargets  As for generateCashBills.
+     * @param {Object} options  `minBill`, `maxBill`, `purchaserNames`, `seed`, `unitSteps`
+     *        and `dayFirst` as for the single runs, plus:
+     * @param {Function} [options.onProgress]  Called with `{ date, dayIndex, dayCount,
+     *        paymentMethod, upiBills, cashBills, skippedCount }` as work moves on.
+     * @param {Function} [options.isCancelled]  Polled between bills.
+     * @returns {Promise<{upiBills: Object[], cashBills: Object[], stockMap: Map, skipped: Object[], seed: string, cancelled: boolean}>}
+     *          Skip entries carry the `paymentMethod` they belong to.
+     */
+    async function generateCombinedBills(stockRows, upiTargets, cashTargets, options) {
+        const { purchaserNames = [], onProgress, isCancelled = () => false } = options;
+        const { minBill, maxBill } = cashBillLimits(options.minBill, options.maxBill);
+        const seed = String(options.seed || randomSeed());
+        const rng = createRng(seed);
+        const stockMap = buildStockMap(stockRows, options.unitSteps);
+
+        const upiByDate = new Map();
+        upiTargets.forEach(details => {
+            const target = parseFloat(details.amount);
+            const date = dates.parseDate(details.date, { dayFirst: options.dayFirst }).iso;
+            if (isNaN(target) || !date) return;
+            if (!upiByDate.has(date)) upiByDate.set(date, []);
+            upiByDate.get(date).push({ target, details });
+        });
+        const cashByDate = new Map(cashTargets.filter(t => t.targetAmount > 0).map(t => [t.date, t.targetAmount]));
+        const runDates = [...new Set([...upiByDate.keys(), ...cashByDate.keys()])].sort();
+
+        const upiBills = [];
+        const cashBills = [];
+        const upiSkipped = [];
+        const cashSkipped = [];
+        const upiUsedItemIds = new Set();
+        let upiCount = 0;
+        const purchaserHistory = {};
+        const availablePurchasers = purchaserNames.length > 0 ? [...purchaserNames] : ['N/A'];
+        let cancelled = false;
+
+        const report = (date, dayIndex, paymentMethod) => {
+            if (onProgress) {
+                onProgress({
+                    date, dayIndex, dayCount: runDates.length, paymentMethod,
+                    upiBills: upiBills.length, cashBills: cashBills.length, skippedCount: upiSkipped.length + cashSkipped.length
+                });
+            }
+        };
+
+        for (let dayIndex = 0; dayIndex < runDates.length && !cancelled; dayIndex++) {
+            const date = runDates[dayIndex];
+
+            for (const { target, details } of upiByDate.get(date) || []) {
+                // Yield so a cancel request (or a repaint) can get in between targets
+                if (++upiCount % 20 === 0) await waitFrame();
+                if (isCancelled()) {
+                    cancelled = true;
+                    upiSkipped.push({
+                        date, targetAmount: target, remaining: target, fullDay: true, cancelled: true,
+                        message: `CANCELLED: ${formatDisplayDate(date)} UPI targets from here on were not generated.`
+                    });
+                    break;
+                }
+                report(date, dayIndex, "UPI");
+                const bill = await matchUpiTarget(stockMap, target, date, details, upiUsedItemIds, rng, upiSkipped);
+                if (bill) upiBills.push(bill);
+            }
+
+            if (cancelled || !cashByDate.has(date)) continue;
+            const day = await fillCashDay(stockMap, date, cashByDate.get(date), {
+                rng, minBill, maxBill, previousBills: cashBills, skipped: cashSkipped,
+                dayIndex, dayCount: runDates.length, isCancelled,
+                onProgress: () => report(date, dayIndex, "Cash")
+            });
+            cancelled = day.cancelled;
+            assignPurchasers(day.bills, availablePurchasers, purchaserHistory, rng);
+            cashBills.push(...day.bills);
+        }
+
+        const skipped = [
+            ...upiSkipped.map(entry => ({ ...entry, paymentMethod: "UPI" })),
+            ...cashSkipped.map(entry => ({ ...entry, paymentMethod: "Cash" }))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+
+        return { upiBills, cashBills, stockMap, skipped, seed, cancelled };
+    }
+
+    // Hands out the day's purchaser names in a shuffled rotation, avoiding
+    // giving the same purchaser two bills of (almost) the same total in a row.
+    function assignPurchasers(todaysBills, availablePurchasers, purchaserHistory, rng = Math.random) {
+        if (todaysBills.length === 0) return;
+
+        let dailyNamePool = [...availablePurchasers];
+        if (dailyNamePool.length > 1) shuffleArray(dailyNamePool, rng);
+
+        let nameIdx = 0;
+
+        for (let b of todaysBills) {
+            let assignedName = "N/A";
+
+            if (availablePurchasers.length > 0 && availablePurchasers[0] !== 'N/A') {
+                let bestCandidate = null;
+                let attempts = 0;
+
+                while (attempts < dailyNamePool.length) {
+                    let candidate = dailyNamePool[nameIdx % dailyNamePool.length];
+                    let lastTotal = purchaserHistory[candidate] || 0;
+
+                    if (Math.abs(lastTotal - b.total) > 1) {
+                        bestCandidate = candidate;
+                        nameIdx++;
+                        break;
+                    }
+
+                    nameIdx++;
+                    attempts++;
+                }
+
+                if (!bestCandidate) {
+                    bestCandidate = dailyNamePool[nameIdx % dailyNamePool.length];
+                    nameIdx++;
+                }
+
+                assignedName = bestCandidate;
+                purchaserHistory[assignedName] = b.total;
+            }
+
+            b.purchaserName = assignedName;
+        }
+    }
+
+    // ==========================================
+    // 4. EXPORT ROWS
+    // ==========================================
+
+    function resolveSupplyStates(options) {
+        const sellerState = gst.normalizeStateCode(options.sellerState) || "";
+        const batchPlaceOfSupply = gst.normalizeStateCode(options.placeOfSupply) || sellerState;
+        return { sellerState, batchPlaceOfSupply };
+    }
+
+    // Paise breakup of one bill line, recomputed from its rate inputs so
+    // every exported column reconciles: taxable + cgst + sgst + igst + cess = total.
+    // `unitRate` is the pre-tax rate per unit; for a tax-inclusive price it
+    // is the backed-out taxable value per unit, to the paisa.
+    function lineTaxBreakup(item, interState) {
+        const gstRate = item.gstPercent || 0;
+        const amounts = money.lineAmounts(item.unitPrice, item.qty, gstRate, item.cessPercent || 0, item.mrp || 0, item.taxInclusive);
+        const unitRate = item.taxInclusive ? money.mulDivRound(amounts.taxable, 1000, money.toMilli(item.qty)) : money.toPaise(item.unitPrice);
+        return { ...amounts, gstRate, unitRate, rates: gst.splitRates(gstRate, interState), split: money.splitGst(amounts.gst, interState) };
+    }
+
+    /**
+     * Tax breakup of one bill in rupees, as it will be exported.
+     * @param {Object} bill
+     * @param {Object} options  `sellerState`, batch `placeOfSupply` and
+     *        `paymentMethod` ("Cash" bills are rounded to the rupee).
+     * @returns {{taxable: number, cgst: number, sgst: number, igst: number, cess: number,
+     *            total: number, roundOff: number, finalTotal: number, placeOfSupply: string, interState: boolean}}
+     */
+    function summarizeBill(bill, options = {}) {
+        const { sellerState, batchPlaceOfSupply } = resolveSupplyStates(options);
+        const placeOfSupply = gst.normalizeStateCode(bill.placeOfSupply) || batchPlaceOfSupply;
+        const interState = gst.isInterState(sellerState, placeOfSupply);
+
+        const paise = { taxable: 0, cgst: 0, sgst: 0, igst: 0, cess: 0, total: 0 };
+        bill.items.forEach(item => {
+            const breakup = lineTaxBreakup(item, interState);
+            paise.taxable += breakup.taxable;
+            paise.cgst += breakup.split.cgst;
+            paise.sgst += breakup.split.sgst;
+            paise.igst += breakup.split.igst;
+            paise.cess += breakup.cess;
+            paise.total += breakup.total;
+        });
+
+        const { rounded, roundOff } = options.paymentMethod === "Cash"
+            ? money.roundToRupee(paise.total)
+            : { rounded: paise.total, roundOff: 0 };
+
+        const summary = { placeOfSupply, interState, roundOff: money.fromPaise(roundOff), finalTotal: money.fromPaise(rounded) };
+        Object.keys(paise).forEach(key => { summary[key] = money.fromPaise(paise[key]); });
+        return summary;
+    }
+
+    /**
+     * Flattens bills into the row-per-item layout of the bills sheet.
+     * @param {Object[]} bills
+     * @param {Object} options
+     * @param {string} [options.prefix]
+     * @param {number} [options.startIndex]
+     * @param {string} options.paymentMethod  "UPI" or "Cash".
+     * @param {string[]} [options.purchaserNames]  Fallback names for bills without one.
+     * @param {Function} [options.rng]  Seeded PRNG for the fallback name shuffle.
+     * @param {string} [options.sellerState]  Seller's state (code or name).
+     * @param {string} [options.placeOfSupply]  Batch place of supply; a bill's own
+     *        `placeOfSupply` wins. Defaults to the seller state (intra-state).
+     */
+    function buildBillRows(bills, options) {
+        const { prefix = "BILL", startIndex = 1, paymentMethod, purchaserNames = [], rng = Math.random } = options;
+        const { sellerState, batchPlaceOfSupply } = resolveSupplyStates(options);
+
+        const rows = [];
+        const namesToAssign = purchaserNames.length > 0 && paymentMethod === "Cash" ? [...purchaserNames] : ['N/A'];
+        if (paymentMethod === "Cash" && namesToAssign.length > 1) shuffleArray(namesToAssign, rng);
+
+        let purchaserIndexCounter = 0;
+        const totalNames = namesToAssign.length;
+
+        bills.forEach((bill, index) => {
+            let billPurchaserName = bill.purchaserName;
+            if (!billPurchaserName) {
+                billPurchaserName = namesToAssign[purchaserIndexCounter % totalNames];
+                purchaserIndexCounter++;
+            }
+
+            const placeOfSupply = gst.normalizeStateCode(bill.placeOfSupply) || batchPlaceOfSupply;
+            const interState = gst.isInterState(sellerState, placeOfSupply);
+
+            // Calculate CGST/SGST, or IGST for inter-state supplies
+            const lines = bill.items.map(item => ({ item, breakup: lineTaxBreakup(item, interState) }));
+            const billTotalPaise = lines.reduce((sum, line) => sum + line.breakup.total, 0);
+
+            let roundOffPaise = 0;
+            let finalBillTotalPaise = billTotalPaise;
+
+            if (paymentMethod === "Cash") {
+                const { rounded, roundOff } = money.roundToRupee(billTotalPaise);
+                roundOffPaise = roundOff;
+                finalBillTotalPaise = rounded;
+            }
+
+            lines.forEach(({ item, breakup }) => {
+                const billNo = generateBillNumber(index + startIndex, prefix);
+                const { gstRate, rates, split } = breakup;
+
+                rows.push({
+                    "Bill No": billNo,
+                    "Purchaser Name": billPurchaserName,
+                    "Payment Method": paymentMethod,
+                    "Payment Reference": bill.paymentReference || "",
+                    "Item Name": item.name,
+                    "HSN": item.hsn || "",
+                    "Quantity": item.qty,
+                    "Unit": item.unit || "",
+                    "Unit Price": money.fromPaise(breakup.unitRate),
+                    "Price Incl. Tax": item.taxInclusive ? item.unitPrice : "",
+                    "Item Price": money.fromPaise(breakup.taxable),
+                    "GST %": gstRate,
+                    "CGST %": rates.cgstRate,
+                    "CGST Amount": money.fromPaise(split.cgst),
+                    "SGST %": rates.sgstRate,
+                    "SGST Amount": money.fromPaise(split.sgst),
+                    "IGST %": rates.igstRate,
+                    "IGST Amount": money.fromPaise(split.igst),
+                    "Total Tax Amount": money.fromPaise(breakup.gst),
+                    "CESS Tax Amount": money.fromPaise(breakup.cess),
+                    "Date": formatDisplayDate(item.date),
+                    "Item Total": money.fromPaise(breakup.total),
+                    "Bill Total (Unrounded)": money.fromPaise(billTotalPaise),
+                    "Round off": money.fromPaise(roundOffPaise),
+                    "Bill Total (Final)": money.fromPaise(finalBillTotalPaise),
+                    "Seller State Code": sellerState,
+                    "Place of Supply": placeOfSupply,
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * GSTR-1 style HSN-wise summary: one row per HSN, UQC and GST rate.
+     * Takes the same state options as `buildBillRows` so the IGST and
+     * CGST/SGST columns agree with the bills sheet.
+     */
+    function buildHsnSummaryRows(bills, options = {}) {
+        const { sellerState, batchPlaceOfSupply } = resolveSupplyStates(options);
+        const groups = new Map();
+
+        bills.forEach(bill => {
+            const placeOfSupply = gst.normalizeStateCode(bill.placeOfSupply) || batchPlaceOfSupply;
+            const interState = gst.isInterState(sellerState, placeOfSupply);
+
+            bill.items.forEach(item => {
+                const { taxable, cess, total, gstRate, split } = lineTaxBreakup(item, interState);
+                const hsn = item.hsn || "";
+                const uqc = gst.toUqc(item.unit);
+                const key = `${hsn}|${uqc}|${gstRate}`;
+
+                if (!groups.has(key)) {
+                    groups.set(key, { hsn, uqc, gstRate, qtyMilli: 0, totalValue: 0, taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 });
+                }
+                const group = groups.get(key);
+                group.qtyMilli += money.toMilli(item.qty);
+                group.totalValue += total;
+                group.taxableValue += taxable;
+                group.igst += split.igst;
+                group.cgst += split.cgst;
+                group.sgst += split.sgst;
+                group.cess += cess;
+            });
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => a.hsn.localeCompare(b.hsn) || a.gstRate - b.gstRate || a.uqc.localeCompare(b.uqc))
+            .map(g => ({
+                "HSN": g.hsn,
+                "UQC": g.uqc,
+                "Total Quantity": g.qtyMilli / 1000,
+                "Total Value": money.fromPaise(g.totalValue),
+                "Rate": g.gstRate,
+                "Taxable Value": money.fromPaise(g.taxableValue),
+                "Integrated Tax Amount": money.fromPaise(g.igst),
+                "Central Tax Amount": money.fromPaise(g.cgst),
+                "State/UT Tax Amount": money.fromPaise(g.sgst),
+                "Cess Amount": money.fromPaise(g.cess),
+            }));
+    }
+
+    function buildStockRows(stockMap) {
+        const updatedStock = [];
+        for (const [_, item] of stockMap.entries()) {
+            updatedStock.push({
+                "Item Details": item["Item Details"],
+                "HSN": item["HSN"],
+                "Qty.": item.remainingQty,
+                "Unit": item["Unit"],
+                "Price": item["Price"],
+                "GST PERCENT": item["GST PERCENT"],
+                "CESS%": item["CESS%"],
+                "MRP": item["MRP"],
+                "Qty Step": item[units.STEP_HEADER] === undefined ? "" : item[units.STEP_HEADER],
+                [gst.TAX_INCLUSIVE_HEADER]: item.taxInclusive ? "Yes" : "No",
+                "Amount": money.fromPaise(itemLineAmounts(item, item.remainingQty).taxable),
+            });
+        }
+        return updatedStock;
+    }
+
+    /**
+     * Stock movement ledger: per item, the opening quantity, the quantity
+     * sold on each bill date, the closing quantity and its value, plus the
+     * checks that tie it back to the bills.
+     * Quantities are compared in thousandths so float drift can't hide or
+     * fake a mismatch.
+     * @returns {{rows: Object[], checks: Object[]}}  `checks` rows are
+     *          `{ Check, Expected, Actual, Result }`.
+     */
+    function buildStockLedger(stockMap, bills) {
+        const billDates = [...new Set(bills.map(bill => bill.items[0].date))].sort();
+        const soldMilli = new Map(); // item name -> Map(date -> qty in thousandths)
+        const salesPaise = new Map(); // item name -> line totals
+        let billTotalPaise = 0;
+
+        bills.forEach(bill => {
+            billTotalPaise += money.toPaise(bill.total);
+            bill.items.forEach(line => {
+                if (!soldMilli.has(line.name)) soldMilli.set(line.name, new Map());
+                const byDate = soldMilli.get(line.name);
+                byDate.set(line.date, (byDate.get(line.date) || 0) + money.toMilli(line.qty));
+                salesPaise.set(line.name, (salesPaise.get(line.name) || 0) + money.toPaise(line.itemTotal));
+            });
+        });
+
+        const rows = [];
+        const mismatched = [];
+        let salesTotalPaise = 0;
+        let closingValuePaise = 0;
+
+        for (const item of stockMap.values()) {
+            const name = item["Item Details"];
+            const byDate = soldMilli.get(name) || new Map();
+            const openingMilli = money.toMilli(item.openingQty);
+            const closingMilli = money.toMilli(item.remainingQty);
+            const totalSoldMilli = [...byDate.values()].reduce((sum, qty) => sum + qty, 0);
+            const closingValue = itemLineAmounts(item, item.remainingQty).taxable;
+            const sales = salesPaise.get(name) || 0;
+            const balanced = openingMilli - totalSoldMilli === closingMilli;
+
+            salesTotalPaise += sales;
+            closingValuePaise += closingValue;
+            if (!balanced) mismatched.push(name);
+
+            const row = {
+                "Item Details": name,
+                "HSN": item["HSN"],
+                "Unit": item["Unit"] || "",
+                "Opening Qty": item.openingQty
+            };
+            billDates.forEach(date => {
+                row[`Sold ${formatDisplayDate(date)}`] = (byDate.get(date) || 0) / 1000;
+            });
+            Object.assign(row, {
+                "Total Sold": totalSoldMilli / 1000,
+                "Closing Qty": item.remainingQty,
+                "Price": item["Price"],
+                "Closing Value": money.fromPaise(closingValue),
+                "Sales Value": money.fromPaise(sales),
+                "Check": balanced ? "OK" : "MISMATCH"
+            });
+            rows.push(row);
+        }
+
+        // Lines for items missing from the stock sheet can't be reconciled at all
+        const unknownItems = [...soldMilli.keys()].filter(name => !stockMap.has(name));
+        const result = ok => (ok ? "OK" : "MISMATCH");
+
+        const checks = [
+            {
+                "Check": "Opening - Sold = Closing (items)",
+                "Expected": rows.length,
+                "Actual": rows.length - mismatched.length,
+                "Result": result(mismatched.length === 0)
+            },
+            {
+                "Check": "Sales value = Sum of bill totals",
+                "Expected": money.fromPaise(billTotalPaise),
+                "Actual": money.fromPaise(salesTotalPaise),
+                "Result": result(salesTotalPaise === billTotalPaise && unknownItems.length === 0)
+            },
+            {
+                "Check": "Sold items found in stock",
+                "Expected": soldMilli.size,
+                "Actual": soldMilli.size - unknownItems.length,
+                "Result": result(unknownItems.length === 0)
+            },
+            {
+                "Check": "Closing stock value",
+                "Expected": "",
+                "Actual": money.fromPaise(closingValuePaise),
+                "Result": ""
+            }
+        ];
+        if (mismatched.length > 0) {
+            checks.push({ "Check": "Items not reconciling", "Expected": "", "Actual": mismatched.join(", "), "Result": "MISMATCH" });
+        }
+        if (unknownItems.length > 0) {
+            checks.push({ "Check": "Sold items not in stock", "Expected": "", "Actual": unknownItems.join(", "), "Result": "MISMATCH" });
+        }
+
+        return { rows, checks };
+    }
+
+    return {
+        hashSeed,
+        createRng,
+        randomSeed,
+        shuffleArray,
+        calculateItemTotal,
+        calculateTotalStockValue,
+        waitFrame,
+        readHsn,
+        buildStockMap,
+        itemLineAmounts,
+        getItemBillTotal,
+        applyBillToStock,
+        generateBillNumber,
+        formatDisplayDate,
+        generateBillFromMap,
+        solveBill,
+        buildBillLine,
+        sumBillLines,
+        formatResult,
+        generateUpiBills,
+        generateCashBills,
+        generateCombinedBills,
+        cashBillLimits,
+        assignPurchasers,
+        summarizeBill,
+        buildBillRows,
+        buildHsnSummaryRows,
+        buildStockRows,
+        buildStockLedger
+    };
+}));
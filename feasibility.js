@@ -0,0 +1,212 @@
+// ==========================================
+// FEASIBILITY PRE-CHECK (headless)
+// ------------------------------------------
+// A quick look at whether the stock can carry a run's targets, before
+// spending minutes generating it. Stock is valued as it will be billed
+// (tax included, per-line rounding), and the dates are walked in the
+// order the engine works them to find where the stock is likely to run
+// short. The result also carries suggested bill limits and targets.
+// Everything here is an estimate: a clean check does not promise a run
+// without skips, it only rules out the ones that can't work.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./money'), require('./dates'));
+    } else {
+        root.BillFeasibility = factory(root.BillEngine, root.BillMoney, root.BillDates);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, money, dates) {
+    'use strict';
+
+    // Past this share of the stock value the last bills get hard to make
+    // up exactly, so days beyond it are flagged as at risk.
+    const RISK_SHARE = 0.9;
+
+    // UPI bills are matched to within ₹5 (see matchUpiTarget).
+    const UPI_MARGIN_PAISE = 500;
+
+    function rupees(paise) {
+        return `₹${money.fromPaise(paise).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // Paise total of one selling step of an item: the smallest line it can go on a bill as.
+    function stepCost(item) {
+        return engine.itemLineAmounts(item, item.qtyStep).total;
+    }
+
+    function stockLineValue(item) {
+        return engine.itemLineAmounts(item, item.remainingQty).total;
+    }
+
+    /**
+     * Checks a run's targets against its stock before generating.
+     * @param {Object[]} stockRows  Mapped stock rows.
+     * @param {Object} [run]
+     * @param {{amount: *, date: *}[]} [run.upiTargets]  UPI bill amounts, as for generateUpiBills.
+     * @param {{date: string, targetAmount: number}[]} [run.cashTargets]  Daily cash targets.
+     * @param {number} [run.minBill]  Cash bill limits; needed when there are cash targets.
+     * @param {number} [run.maxBill]
+     * @param {Object} [run.unitSteps]  As for buildStockMap.
+     * @param {boolean} [run.dayFirst=true]  Day/month order of the UPI dates.
+     * @returns {{stockValue: number, upiTotal: number, cashTotal: number, cheapest: Object|null, dearest: Object|null,
+     *            findings: {level: string, message: string}[], days: Object[], suggestions: Object[]}}
+     *          Amounts in rupees. `days` lists every date in run order as
+     *          `{ date, upi, cash, cumulative, status, notes }` with status "ok",
+     *          "at risk" or "short". A suggestion is `{ message }` plus `minBill`
+     *          and `maxBill`, or `cashScale` (multiply each cash target by it), when
+     *          it can be applied directly.
+     */
+    function analyzeRun(stockRows, run = {}) {
+        const { upiTargets = [], cashTargets = [], unitSteps, dayFirst } = run;
+        const stockMap = engine.buildStockMap(stockRows, unitSteps);
+        const items = Array.from(stockMap.values()).filter(item => item.remainingQty > 0.001);
+        const findings = [];
+        const suggestions = [];
+        const finding = (level, message) => findings.push({ level, message });
+
+        const stockPaise = items.reduce((sum, item) => sum + stockLineValue(item), 0);
+        const costs = items.map(item => ({ name: item["Item Details"], paise: stepCost(item), value: stockLineValue(item) }))
+            .sort((a, b) => a.paise - b.paise);
+        const cheapest = costs[0] || null;
+        const dearest = costs[costs.length - 1] || null;
+
+        // Targets grouped by date, UPI amounts first as the engine runs them
+        const byDate = new Map();
+        const dayOf = date => {
+            if (!byDate.has(date)) byDate.set(date, { date, upi: [], cashPaise: 0 });
+            return byDate.get(date);
+        };
+        upiTargets.forEach(({ amount, date: rawDate }) => {
+            const target = parseFloat(amount);
+            const date = dates.parseDate(rawDate, { dayFirst }).iso;
+            if (!isNaN(target) && date) dayOf(date).upi.push(money.toPaise(target));
+        });
+        cashTargets.filter(t => t.targetAmount > 0).forEach(t => { dayOf(t.date).cashPaise += money.toPaise(t.targetAmount); });
+
+        const upiPaise = Array.from(byDate.values()).reduce((sum, day) => sum + day.upi.reduce((a, b) => a + b, 0), 0);
+        const cashPaise = Array.from(byDate.values()).reduce((sum, day) => sum + day.cashPaise, 0);
+        const demandPaise = upiPaise + cashPaise;
+
+        if (items.length === 0) finding("error", "The stock has no items with quantity left.");
+
+        // --- Cash bill limits against the cheapest and dearest items ---
+        let cashUsablePaise = stockPaise;
+        const requested = { minBill: Number(run.minBill), maxBill: Number(run.maxBill) };
+        if (cashPaise > 0 && Number.isFinite(requested.minBill) && Number.isFinite(requested.maxBill)) {
+            const { maxBill } = engine.cashBillLimits(requested.minBill, requested.maxBill);
+            const maxPaise = money.toPaise(maxBill);
+
+            if (requested.minBill > requested.maxBill) {
+                finding("error", `Min bill ₹${requested.minBill} is above max bill ₹${requested.maxBill}.`);
+                suggestions.push({ message: "Swap the min and max bill amounts.", minBill: requested.maxBill, maxBill: requested.minBill });
+            }
+            if (cheapest && cheapest.paise > maxPaise) {
+                finding("error", `The cheapest item ("${cheapest.name}", ${rupees(cheapest.paise)} a step) costs more than the max bill ${rupees(maxPaise)}, so no cash bill can be made.`);
+            }
+
+            const tooDear = costs.filter(cost => cost.paise > maxPaise);
+            if (tooDear.length > 0) {
+                cashUsablePaise -= tooDear.reduce((sum, cost) => sum + cost.value, 0);
+                finding("warning", `${tooDear.length} item(s) worth ${rupees(stockPaise - cashUsablePaise)} cost more than the max bill a step and can't go on cash bills (dearest: "${dearest.name}", ${rupees(dearest.paise)}).`);
+            }
+            const coverAll = Math.min(Math.ceil(money.fromPaise(dearest ? dearest.paise : 0)), 10000);
+            const coverable = costs.filter(cost => cost.paise <= coverAll * 100).length;
+            if (coverable > costs.length - tooDear.length) {
+                suggestions.push({
+                    message: `Raise the max bill to ₹${coverAll} so ${coverable} of ${costs.length} items can go on cash bills.`,
+                    minBill: Math.min(requested.minBill, coverAll), maxBill: coverAll
+                });
+            }
+        }
+
+        // --- Stock value against the targets ---
+        if (demandPaise > stockPaise) {
+            finding("error", `Targets add up to ${rupees(demandPaise)} but the stock is worth ${rupees(stockPaise)} including tax: ${rupees(demandPaise - stockPaise)} short.`);
+        } else if (demandPaise > stockPaise * RISK_SHARE) {
+            finding("warning", `Targets use ${(demandPaise / stockPaise * 100).toFixed(1)}% of the stock value; the last bills may not come out exact.`);
+        }
+        if (cashPaise > cashUsablePaise) {
+            finding("error", `Cash targets add up to ${rupees(cashPaise)} but only ${rupees(cashUsablePaise)} of stock fits under the max bill.`);
+        }
+        if (demandPaise > stockPaise * RISK_SHARE || cashPaise > cashUsablePaise) {
+            const room = Math.floor(Math.min(stockPaise * RISK_SHARE - upiPaise, cashUsablePaise * RISK_SHARE));
+            if (cashPaise > 0 && room > 0) {
+                const cashScale = Math.floor(room / cashPaise * 1000) / 1000;
+                if (cashScale < 1) {
+                    suggestions.push({
+                        message: `Scale the daily cash targets to ${(cashScale * 100).toFixed(1)}% (${rupees(Math.floor(cashPaise * cashScale))} in all) to stay within ${RISK_SHARE * 100}% of the stock.`,
+                        cashScale
+                    });
+                }
+            }
+            const needed = Math.max(Math.ceil(demandPaise / RISK_SHARE) - stockPaise, Math.ceil(cashPaise / RISK_SHARE) - cashUsablePaise);
+            if (needed > 0) suggestions.push({ message: `Add about ${rupees(needed)} of stock (including tax) through a purchases file.` });
+        }
+
+        // --- Each date in run order ---
+        const days = [];
+        let cumulative = 0;
+        let cashCumulative = 0;
+        Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)).forEach(day => {
+            const notes = [];
+            let status = "ok";
+            const flag = (level, note) => {
+                notes.push(note);
+                if (level === "short" || status === "ok") status = level;
+            };
+
+            day.upi.forEach(target => {
+                if (cheapest && target + UPI_MARGIN_PAISE < cheapest.paise) {
+                    flag("short", `UPI ${rupees(target)} is below the cheapest item (${rupees(cheapest.paise)})`);
+                }
+                cumulative += target;
+                if (cumulative > stockPaise) flag("short", `UPI ${rupees(target)} is more than the stock left`);
+            });
+
+            if (day.cashPaise > 0) {
+                if (cheapest && day.cashPaise < cheapest.paise) {
+                    flag("short", `cash target ${rupees(day.cashPaise)} is below the cheapest item (${rupees(cheapest.paise)})`);
+                }
+                cumulative += day.cashPaise;
+                cashCumulative += day.cashPaise;
+                if (cumulative > stockPaise) {
+                    flag("short", `the stock runs out by this date (${rupees(cumulative)} needed, ${rupees(stockPaise)} in stock)`);
+                } else if (cashCumulative > cashUsablePaise) {
+                    flag("short", `cash needs ${rupees(cashCumulative)} by this date but only ${rupees(cashUsablePaise)} of stock fits under the max bill`);
+                }
+            }
+            if (status === "ok" && cumulative > stockPaise * RISK_SHARE) {
+                flag("at risk", `over ${RISK_SHARE * 100}% of the stock is used by this date`);
+            }
+
+            days.push({
+                date: day.date,
+                upi: money.fromPaise(day.upi.reduce((a, b) => a + b, 0)),
+                cash: money.fromPaise(day.cashPaise),
+                cumulative: money.fromPaise(cumulative),
+                status,
+                notes
+            });
+        });
+
+        const shortDays = days.filter(day => day.status === "short").length;
+        if (shortDays > 0) finding("warning", `${shortDays} date(s) are likely to be skipped in part or in full.`);
+
+        return {
+            stockValue: money.fromPaise(stockPaise),
+            upiTotal: money.fromPaise(upiPaise),
+            cashTotal: money.fromPaise(cashPaise),
+            cheapest: cheapest && { name: cheapest.name, amount: money.fromPaise(cheapest.paise) },
+            dearest: dearest && { name: dearest.name, amount: money.fromPaise(dearest.paise) },
+            findings,
+            days,
+            suggestions
+        };
+    }
+
+    return {
+        RISK_SHARE,
+        analyzeRun
+    };
+}));
@@ -0,0 +1,164 @@
+// ==========================================
+// GST STATES & TAX SPLIT (headless)
+// ------------------------------------------
+// State codes as used on GSTINs and in "place of supply", the rule
+// that decides between CGST/SGST (intra-state) and IGST (inter-state),
+// and whether a stock price already includes tax.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillGst = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const GST_STATES = [
+        { code: "01", name: "Jammu and Kashmir" },
+        { code: "02", name: "Himachal Pradesh" },
+        { code: "03", name: "Punjab" },
+        { code: "04", name: "Chandigarh" },
+        { code: "05", name: "Uttarakhand" },
+        { code: "06", name: "Haryana" },
+        { code: "07", name: "Delhi" },
+        { code: "08", name: "Rajasthan" },
+        { code: "09", name: "Uttar Pradesh" },
+        { code: "10", name: "Bihar" },
+        { code: "11", name: "Sikkim" },
+        { code: "12", name: "Arunachal Pradesh" },
+        { code: "13", name: "Nagaland" },
+        { code: "14", name: "Manipur" },
+        { code: "15", name: "Mizoram" },
+        { code: "16", name: "Tripura" },
+        { code: "17", name: "Meghalaya" },
+        { code: "18", name: "Assam" },
+        { code: "19", name: "West Bengal" },
+        { code: "20", name: "Jharkhand" },
+        { code: "21", name: "Odisha" },
+        { code: "22", name: "Chhattisgarh" },
+        { code: "23", name: "Madhya Pradesh" },
+        { code: "24", name: "Gujarat" },
+        { code: "26", name: "Dadra and Nagar Haveli and Daman and Diu" },
+        { code: "27", name: "Maharashtra" },
+        { code: "29", name: "Karnataka" },
+        { code: "30", name: "Goa" },
+        { code: "31", name: "Lakshadweep" },
+        { code: "32", name: "Kerala" },
+        { code: "33", name: "Tamil Nadu" },
+        { code: "34", name: "Puducherry" },
+        { code: "35", name: "Andaman and Nicobar Islands" },
+        { code: "36", name: "Telangana" },
+        { code: "37", name: "Andhra Pradesh" },
+        { code: "38", name: "Ladakh" },
+        { code: "96", name: "Other Country" },
+        { code: "97", name: "Other Territory" }
+    ];
+
+    // Unit spellings seen in stock sheets mapped to GSTR-1 unit quantity codes.
+    const UQC_ALIASES = {
+        PCS: ["pcs", "pc", "piece", "pieces"],
+        NOS: ["nos", "no", "no.", "number", "numbers"],
+        KGS: ["kg", "kgs", "kilogram", "kilograms"],
+        GMS: ["g", "gm", "gms", "gram", "grams"],
+        LTR: ["l", "ltr", "ltrs", "litre", "litres", "liter", "liters"],
+        MLT: ["ml", "mlt", "millilitre", "milliliter"],
+        MTR: ["m", "mtr", "mtrs", "meter", "meters", "metre", "metres"],
+        BOX: ["box", "boxes"],
+        BAG: ["bag", "bags"],
+        BTL: ["btl", "bottle", "bottles"],
+        CAN: ["can", "cans"],
+        CTN: ["ctn", "carton", "cartons"],
+        DOZ: ["doz", "dozen", "dozens"],
+        PAC: ["pac", "pack", "packs", "packet", "packets", "pkt"],
+        PRS: ["prs", "pair", "pairs"],
+        ROL: ["rol", "roll", "rolls"],
+        SET: ["set", "sets"],
+        SQF: ["sqf", "sqft", "sq ft"],
+        SQM: ["sqm", "sq m"],
+        QTL: ["qtl", "quintal", "quintals"],
+        TON: ["ton", "tons", "tonne", "tonnes"],
+        UNT: ["unt", "unit", "units"]
+    };
+
+    /** Maps a stock "Unit" value to its UQC, or "OTH" when not recognised. */
+    function toUqc(unit) {
+        const text = String(unit || "").trim().toLowerCase();
+        if (!text) return "OTH";
+        for (const [code, aliases] of Object.entries(UQC_ALIASES)) {
+            if (text === code.toLowerCase() || aliases.includes(text)) return code;
+        }
+        return "OTH";
+    }
+
+    /**
+     * Resolves a state given as a code ("27", 27), "27-Maharashtra" or a
+     * name ("maharashtra") to its two-digit code. Returns null when unknown.
+     */
+    function normalizeStateCode(input) {
+        if (input === undefined || input === null) return null;
+        const text = String(input).trim();
+        if (!text) return null;
+
+        const codeMatch = text.match(/^(\d{1,2})(\b|$)/);
+        if (codeMatch) {
+            const code = codeMatch[1].padStart(2, '0');
+            return GST_STATES.some(s => s.code === code) ? code : null;
+        }
+
+        const lower = text.toLowerCase();
+        const byName = GST_STATES.find(s => s.name.toLowerCase() === lower);
+        return byName ? byName.code : null;
+    }
+
+    function getStateName(code) {
+        const state = GST_STATES.find(s => s.code === code);
+        return state ? state.name : "";
+    }
+
+    // Without a known seller state everything is treated as intra-state,
+    // which is how bills were always split before.
+    function isInterState(sellerState, placeOfSupply) {
+        const seller = normalizeStateCode(sellerState);
+        const pos = normalizeStateCode(placeOfSupply);
+        if (!seller || !pos) return false;
+        return seller !== pos;
+    }
+
+    /** GST rates of a line: CGST/SGST halves, or the whole rate as IGST. */
+    function splitRates(gstRate, interState) {
+        if (interState) return { cgstRate: 0, sgstRate: 0, igstRate: gstRate };
+        return { cgstRate: gstRate / 2, sgstRate: gstRate / 2, igstRate: 0 };
+    }
+
+    // Stock column marking an item whose price includes GST and cess.
+    const TAX_INCLUSIVE_HEADER = "Tax Inclusive";
+
+    const TAX_INCLUSIVE_VALUES = {
+        yes: true, y: true, true: true, 1: true, inclusive: true, incl: true,
+        no: false, n: false, false: false, 0: false, exclusive: false, excl: false
+    };
+
+    /**
+     * Reads a "Tax Inclusive" cell: true or false, false when blank, null
+     * when the text is not a yes/no answer.
+     */
+    function readTaxInclusive(value) {
+        if (typeof value === 'boolean') return value;
+        const text = String(value === undefined || value === null ? "" : value).trim().toLowerCase();
+        if (text === "") return false;
+        return Object.prototype.hasOwnProperty.call(TAX_INCLUSIVE_VALUES, text) ? TAX_INCLUSIVE_VALUES[text] : null;
+    }
+
+    return {
+        GST_STATES,
+        TAX_INCLUSIVE_HEADER,
+        readTaxInclusive,
+        normalizeStateCode,
+        getStateName,
+        isInterState,
+        splitRates,
+        toUqc
+    };
+}));
@@ -0,0 +1,144 @@
+// ==========================================
+// RUN HISTORY (headless)
+// ------------------------------------------
+// Builds the record kept for every run: which files and settings went in,
+// the seed, the bill numbers issued, what came out per day and what was
+// skipped. Records are plain data so the page can keep them in IndexedDB
+// and export them as an audit trail.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./money'));
+    } else {
+        root.BillHistory = factory(root.BillEngine, root.BillMoney);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, money) {
+    'use strict';
+
+    /** SHA-256 of file bytes as lowercase hex. */
+    async function sha256Hex(bytes) {
+        const digest = await crypto.subtle.digest("SHA-256", bytes);
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join("");
+    }
+
+    /**
+     * Bills and totals per date, in date order.
+     * @param {Object[]} bills
+     * @param {{date: string, targetAmount: number}[]} [targets]  Day targets, when the run had them.
+     */
+    function summarizeDays(bills, targets = []) {
+        const days = new Map();
+        const dayFor = date => {
+            if (!days.has(date)) days.set(date, { date, bills: 0, totalPaise: 0, targetPaise: null });
+            return days.get(date);
+        };
+        targets.forEach(({ date, targetAmount }) => {
+            if (targetAmount > 0) dayFor(date).targetPaise = money.toPaise(targetAmount);
+        });
+        bills.forEach(bill => {
+            const day = dayFor(bill.items[0].date);
+            day.bills++;
+            day.totalPaise += money.toPaise(bill.total);
+        });
+
+        return [...days.values()]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ date, bills: count, totalPaise, targetPaise }) => ({
+                date,
+                bills: count,
+                total: money.fromPaise(totalPaise),
+                target: targetPaise === null ? null : money.fromPaise(targetPaise)
+            }));
+    }
+
+    /**
+     * Builds a history record.
+     * @param {Object} run
+     * @param {string} run.paymentMethod  "UPI" or "Cash".
+     * @param {string} run.status  "exported" or "discarded".
+     * @param {string} run.seed
+     * @param {Object} run.settings  Setting name -> value, as shown to the user.
+     * @param {{role: string, name: string, size: number, sha256: string, sheet: string}[]} run.inputs
+     * @param {Object[]} run.bills
+     * @param {Object[]} [run.targets]  Day targets ({ date, targetAmount }).
+     * @param {Object[]} [run.skipped]  Engine skip entries.
+     * @param {{prefix: string, start: number, year: string|null}} run.numbering
+     * @param {Object} [run.outputs]  Sheet rows by file, kept so the run can be downloaded again.
+     * @param {string} run.createdAt  ISO timestamp.
+     */
+    function buildRunRecord(run) {
+        const { paymentMethod, status, seed, settings, inputs, bills, targets = [], skipped = [], numbering, outputs = null, createdAt } = run;
+        const count = bills.length;
+        const totalPaise = bills.reduce((sum, bill) => sum + money.toPaise(bill.total), 0);
+
+        return {
+            createdAt,
+            paymentMethod,
+            status,
+            seed,
+            settings,
+            inputs,
+            billRange: {
+                prefix: numbering.prefix,
+                year: numbering.year,
+                start: numbering.start,
+                count,
+                first: count > 0 ? engine.generateBillNumber(numbering.start, numbering.prefix) : "",
+                last: count > 0 ? engine.generateBillNumber(numbering.start + count - 1, numbering.prefix) : ""
+            },
+            total: money.fromPaise(totalPaise),
+            days: summarizeDays(bills, targets),
+            skipped: skipped.map(entry => ({ date: entry.date, message: entry.message })),
+            outputs
+        };
+    }
+
+    /** Records as an audit trail: everything except the stored output sheets. */
+    function auditTrail(records) {
+        return records.map(({ outputs, ...record }) => ({ ...record, hasOutputs: Boolean(outputs) }));
+    }
+
+    /** Audit trail as sheet rows: one sheet each for runs, days, input files and skips. */
+    function auditSheets(records) {
+        const runs = [];
+        const days = [];
+        const inputs = [];
+        const skipped = [];
+
+        records.forEach(record => {
+            const runId = record.id;
+            runs.push({
+                "Run ID": runId,
+                "Created": record.createdAt,
+                "Payment Method": record.paymentMethod,
+                "Status": record.status,
+                "Seed": record.seed,
+                "Bills": record.billRange.count,
+                "First Bill": record.billRange.first,
+                "Last Bill": record.billRange.last,
+                "Financial Year": record.billRange.year || "",
+                "Total": record.total,
+                "Skipped": record.skipped.length,
+                "Settings": Object.entries(record.settings).map(([name, value]) => `${name}: ${value}`).join("; ")
+            });
+            record.days.forEach(day => days.push({
+                "Run ID": runId, "Date": day.date, "Bills": day.bills, "Total": day.total, "Target": day.target === null ? "" : day.target
+            }));
+            record.inputs.forEach(input => inputs.push({
+                "Run ID": runId, "Role": input.role, "File": input.name, "Sheet": input.sheet || "", "Size (bytes)": input.size, "SHA-256": input.sha256
+            }));
+            record.skipped.forEach(entry => skipped.push({ "Run ID": runId, "Date": entry.date, "Message": entry.message }));
+        });
+
+        return { "Runs": runs, "Days": days, "Inputs": inputs, "Skipped": skipped };
+    }
+
+    return {
+        sha256Hex,
+        summarizeDays,
+        buildRunRecord,
+        auditTrail,
+        auditSheets
+    };
+}));
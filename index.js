@@ -1,343 +1,316 @@
 // ==========================================
-// 1. UTILITY FUNCTIONS
+// 1. ENGINE BINDINGS
+// ------------------------------------------
+// All generation logic lives in engine.js (loaded before this file as
+// `BillEngine`). This file only reads the page, calls the engine and
+// writes the results back out.
 // ==========================================
 
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
-}
+const {
+    createRng,
+    calculateTotalStockValue,
+    formatDisplayDate,
+    generateBillNumber,
+    generateUpiBills,
+    generateCashBills,
+    generateCombinedBills,
+    summarizeBill,
+    buildBillRows,
+    buildHsnSummaryRows,
+    buildStockRows,
+    buildStockLedger
+} = BillEngine;
+const { toPaise, fromPaise } = BillMoney;
 
-function calculateItemTotal(price, qty, gstPercent, cessPercent, mrp) {
-    const base = price * qty;
-    const gstTax = (base * gstPercent) / 100;
-    const cessTax = ((mrp || 0) * qty * (cessPercent || 0)) / 100;
-    return +(base + gstTax + cessTax).toFixed(2);
-}
+// ==========================================
+// 2. EXPORT & UI LOGIC
+// ==========================================
 
-function calculateTotalStockValue(data, displayElementId) {
-    let totalValue = 0;
-    data.forEach(item => {
-        const qty = parseFloat(item["Qty."]) || 0;
-        const price = parseFloat(item["Price"]) || 0;
-        totalValue += (qty * price);
-    });
+function showStockTotal(data, displayElementId) {
+    const totalValue = calculateTotalStockValue(data);
     const displayEl = document.getElementById(displayElementId);
     if (displayEl) {
         displayEl.textContent = `Total Available Stock: ₹ ${totalValue.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
     }
 }
 
-function waitFrame() {
-    return new Promise(resolve => setTimeout(resolve, 0));
+const { GST_STATES, TAX_INCLUSIVE_HEADER, normalizeStateCode } = BillGst;
+const { COLUMN_FIELDS, collectHeaders, layoutKey, autoDetectMapping, missingRequiredFields, applyMapping } = BillColumns;
+const { validateStockRows, validateBillTargetRows, validateDailyTargetRows, validatePurchaserRows } = BillValidation;
+
+function readDayFirst(selectId) {
+    return readSelectValue(selectId) !== "monthFirst";
 }
 
-function buildStockMap(data) {
-    const map = new Map();
-    for (const item of data) {
-        const key = item["Item Details"];
-        const qty = Number(item["Qty."]) || 0;
-        
-        // CHECK: Is the input quantity a fraction? (e.g., 1.5)
-        const isInputFloat = Math.abs(qty % 1) > 0.0001;
-
-        map.set(key, {
-            ...item,
-            remainingQty: qty,
-            originalIsFloat: isInputFloat, // Store this for later checks
-            singleUnitCost: calculateItemTotal(Number(item["Price"]), 1, Number(item["GST PERCENT"]), Number(item["CESS%"]), Number(item["MRP"])),
-            "Price": Number(item["Price"]) || 0,
-            "GST PERCENT": Number(item["GST PERCENT"]) || 0,
-            "CESS%": Number(item["CESS%"]) || 0,
-            "MRP": Number(item["MRP"]) || 0
-        });
-    }
-    return map;
+const SELLER_STATE_KEY = "billGenerator.sellerState";
+const SELLER_DETAILS_KEY = "billGenerator.sellerDetails";
+const SELLER_DETAIL_FIELDS = { name: "sellerName", gstin: "sellerGstin", address: "sellerAddress", location: "sellerCity", pin: "sellerPin" };
+const EINVOICE_BUYER_KEY = "billGenerator.einvoiceBuyer";
+const UNIT_STEPS_KEY = "billGenerator.unitSteps";
+const PRICES_INCLUSIVE_KEY = "billGenerator.pricesIncludeTax";
+const UNIT_STEP_FIELDS = { KGS: "stepKgs", GMS: "stepGms", LTR: "stepLtr", MLT: "stepMlt", MTR: "stepMtr" };
+const EINVOICE_BUYER_FIELDS = { legalName: "einvBuyerName", gstin: "einvBuyerGstin", address: "einvBuyerAddress", location: "einvBuyerCity", pin: "einvBuyerPin", state: "einvBuyerState", defaultHsn: "einvDefaultHsn" };
+
+// Reads a group of form fields into an object keyed like `fields`.
+function readFieldGroup(fields) {
+    const details = {};
+    Object.entries(fields).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        details[key] = el ? el.value.trim() : "";
+    });
+    return details;
 }
 
-function getItemBillTotal(item, qty) {
-    return calculateItemTotal(
-        item["Price"],
-        qty,
-        item["GST PERCENT"] || 0,
-        item["CESS%"] || 0,
-        item["MRP"] || 0
-    );
+// Restores a field group from localStorage and saves it again on every change.
+function bindFieldGroup(fields, storageKey) {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || "{}");
+    Object.entries(fields).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if(!el) return;
+        el.value = saved[key] || "";
+        el.onchange = () => localStorage.setItem(storageKey, JSON.stringify(readFieldGroup(fields)));
+    });
 }
 
-// STRICT FLOAT LOGIC
-function canSellInFloat(item) {
-    if (item["MRP"] > 10000) return true;
-    if (item.originalIsFloat) return true;
-    return false;
+function readSellerDetails() {
+    return readFieldGroup(SELLER_DETAIL_FIELDS);
 }
 
-// ==========================================
-// 2. CORE GENERATOR LOGIC
-// ==========================================
+// Configured selling steps keyed by UQC; blank fields keep the unit's default.
+function readUnitSteps() {
+    const steps = {};
+    Object.entries(readFieldGroup(UNIT_STEP_FIELDS)).forEach(([uqc, value]) => {
+        if (value !== "") steps[uqc] = Number(value);
+    });
+    return steps;
+}
 
-let billCounter = 0;
+function populateStateSelect(select, blankLabel) {
+    select.innerHTML = `<option value="">${blankLabel}</option>` +
+        GST_STATES.map(s => `<option value="${s.code}">${s.code} - ${s.name}</option>`).join('');
+}
 
-async function generateBillFromMap(stockMap, targetMin, targetMax, dayTotalRemaining, date, margin = 5, mode = 'RANGE', currentFailures = 0, dailyUsedItemIds = new Set()) {
-    billCounter++;
-    
-    let availableItems = Array.from(stockMap.values())
-        .filter(item => item.remainingQty > 0.001); 
-        
-    let freshItems = availableItems.filter(item => !dailyUsedItemIds.has(item["Item Details"]));
-    
-    availableItems.sort((a, b) => a.singleUnitCost - b.singleUnitCost);
-    freshItems.sort((a, b) => a.singleUnitCost - b.singleUnitCost);
+function readSelectValue(id) {
+    const el = document.getElementById(id);
+    return el ? el.value : "";
+}
 
-    const expensiveAll = [...availableItems].sort((a, b) => b.singleUnitCost - a.singleUnitCost);
-    const expensiveFresh = [...freshItems].sort((a, b) => b.singleUnitCost - a.singleUnitCost);
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
 
-    const itemCount = availableItems.length;
-    if (itemCount === 0) return { items: [], total: 0, success: false, reason: "No items" };
+// --- COLUMN MAPPING ---
+// Each upload keeps its raw rows plus the mapping the user confirmed, so a
+// changed mapping can be re-applied without reading the file again.
 
-    let effortMultiplier = 1.0;
-    if (currentFailures > 50) effortMultiplier = 0.5;   
-    if (currentFailures > 200) effortMultiplier = 0.1; 
-    if (currentFailures > 400) effortMultiplier = 0.02; 
+const COLUMN_MAP_KEY_PREFIX = "billGenerator.columnMap.";
 
-    const baseAttempts = [
-        { count: 4, attempts: 50 },
-        { count: 3, attempts: 50 },
-        { count: 2, attempts: 100 }, 
-        { count: 1, attempts: 20 }
-    ];
+function loadColumnMapping(kind, headers) {
+    try {
+        const saved = localStorage.getItem(COLUMN_MAP_KEY_PREFIX + layoutKey(kind, headers));
+        if (saved) return JSON.parse(saved);
+    } catch (e) {
+        console.warn("Ignoring unreadable saved column mapping", e);
+    }
+    return autoDetectMapping(kind, headers);
+}
 
-    for (const tier of baseAttempts) {
-        const minItems = tier.count;
-        const maxAttempts = Math.max(1, Math.floor(tier.attempts * effortMultiplier));
+function saveColumnMapping(source) {
+    localStorage.setItem(COLUMN_MAP_KEY_PREFIX + layoutKey(source.kind, source.headers), JSON.stringify(source.mapping));
+}
 
-        if (availableItems.length < minItems) continue;
+function createMappedSource(kind, rows) {
+    const headers = collectHeaders(rows);
+    return { kind, rows, headers, mapping: loadColumnMapping(kind, headers) };
+}
 
-        let minPossibleCost = 0;
-        for(let i=0; i<minItems; i++) minPossibleCost += availableItems[i].singleUnitCost;
+// Returns the mapped rows, or null while a required field is unassigned.
+function mapSourceRows(source) {
+    if (missingRequiredFields(source.kind, source.mapping).length > 0) return null;
+    return applyMapping(source.kind, source.rows, source.mapping);
+}
 
-        if (minPossibleCost > targetMax && minPossibleCost > dayTotalRemaining) {
-             // Continue
-        }
+function renderColumnMapping(containerId, source, onChange) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
 
-        let selectionPool = [];
+    const missing = missingRequiredFields(source.kind, source.mapping);
+    let html = `<div class="column-map-detected">Detected columns: ${source.headers.map(escapeHtml).join(', ') || '(none)'}</div>`;
+    html += '<table class="column-map"><thead><tr><th>Field</th><th>Column in file</th></tr></thead><tbody>';
 
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            if (attempt % 50 === 0) await waitFrame();
+    COLUMN_FIELDS[source.kind].forEach(field => {
+        const options = [`<option value="">-- not in file --</option>`]
+            .concat(source.headers.map(h => `<option value="${escapeHtml(h)}"${source.mapping[field.key] === h ? ' selected' : ''}>${escapeHtml(h)}</option>`));
+        html += `<tr><td>${field.label}${field.required ? ' *' : ''}</td><td><select data-field="${field.key}">${options.join('')}</select></td></tr>`;
+    });
 
-            let useFreshPool = false;
-            if (attempt < 2 && freshItems.length >= minItems) {
-                useFreshPool = true;
-            }
+    html += '</tbody></table>';
+    if (missing.length > 0) {
+        html += `<div class="column-map-missing">Assign a column for: ${missing.join(', ')}</div>`;
+    }
+    container.innerHTML = html;
+
+    container.querySelectorAll('select[data-field]').forEach(select => {
+        select.onchange = () => {
+            source.mapping[select.dataset.field] = select.value;
+            saveColumnMapping(source);
+            renderColumnMapping(containerId, source, onChange);
+            onChange();
+        };
+    });
+}
 
-            if (useFreshPool) {
-                if (attempt === 0) selectionPool = expensiveFresh; 
-                else {
-                    selectionPool = [...freshItems];
-                    shuffleArray(selectionPool);
-                }
-            } else {
-                if (attempt === 2) selectionPool = expensiveAll;
-                else {
-                    selectionPool = [...availableItems];
-                    shuffleArray(selectionPool);
-                }
-            }
+// --- VALIDATION REPORT ---
 
-            let currentBill = [];
-            let currentTotal = 0;
-            let pickedCount = 0;
-            let tempUsed = new Map();
-            
-            const getRem = (i) => {
-                const used = tempUsed.get(i["Item Details"]) || 0;
-                return Math.max(0, i.remainingQty - used);
-            };
+function hasValidationErrors(report) {
+    return !report || report.errors.length > 0;
+}
 
-            for (const item of selectionPool) {
-                if (currentTotal >= targetMin && pickedCount >= minItems) {
-                     if (attempt === 0 || attempt === 2 || Math.random() > 0.5) break; 
-                }
-                
-                const actualRemaining = getRem(item);
-                if (actualRemaining <= 0.001) continue;
-
-                const roomLeft = targetMax - currentTotal;
-                if (roomLeft < 1) continue;
-
-                const allowFloat = canSellInFloat(item);
-                if (!allowFloat && item.singleUnitCost > roomLeft) continue;
-
-                let maxQtyBudget = roomLeft / item.singleUnitCost;
-                let absMax = Math.min(actualRemaining, maxQtyBudget);
-                let qty = 0;
-
-                if (allowFloat) {
-                    if (absMax < 0.01) continue;
-                    let factor = (attempt === 0 || attempt === 2) ? 0.9 : (Math.random() * 0.8 + 0.2);
-                    qty = parseFloat((absMax * factor).toFixed(2));
-                    if (pickedCount < minItems && qty > absMax / 2) {
-                         qty = parseFloat((absMax / 2).toFixed(2));
-                    }
-                } else {
-                    let intMax = Math.floor(absMax);
-                    if (intMax < 1) continue;
-                    if (pickedCount < minItems) intMax = Math.min(intMax, 2);
-                    qty = Math.floor(Math.random() * intMax) + 1;
-                }
-
-                if (qty <= 0) continue;
-
-                let cost = getItemBillTotal(item, qty);
-                currentBill.push({ item, qty, cost });
-                currentTotal += cost;
-                pickedCount++;
-                tempUsed.set(item["Item Details"], (tempUsed.get(item["Item Details"]) || 0) + qty);
-            }
+function renderValidationReport(containerId, report) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (!report || (report.errors.length === 0 && report.warnings.length === 0)) {
+        container.innerHTML = report ? '<div class="validation-ok">No problems found.</div>' : '';
+        return;
+    }
 
-            let isValid = false;
-            const tolerance = mode === 'EXACT' ? margin : 0;
+    const renderItems = (entries, cls) => entries
+        .map(e => `<li class="${cls}">Row ${e.row} (${escapeHtml(e.field)}): ${escapeHtml(e.message)}</li>`)
+        .join('');
 
-            if (mode === 'RANGE') {
-                if (currentTotal >= targetMin && currentTotal <= targetMax && pickedCount >= minItems) isValid = true;
-            } else {
-                 if (Math.abs(targetMax - currentTotal) <= tolerance && pickedCount >= minItems) isValid = true;
-            }
+    let html = `<div class="validation-summary">${report.errors.length} error(s), ${report.warnings.length} warning(s)`;
+    if (report.errors.length > 0) html += ' - fix the errors and upload again to enable generation';
+    html += '</div>';
+    html += `<ul class="validation-list">${renderItems(report.errors, 'validation-error')}${renderItems(report.warnings, 'validation-warning')}</ul>`;
+    container.innerHTML = html;
+}
 
-            if (isValid) {
-                const futureDayRemaining = dayTotalRemaining - currentTotal;
-                
-                if (futureDayRemaining <= margin || futureDayRemaining > 50) { 
-                    const billData = formatResult(currentBill, currentTotal, targetMax, date);
-                    billData.tempUsedMap = tempUsed;
-                    return billData;
-                }
-            }
-        }
-    }
-    return { items: [], total: 0, success: false };
-}
-
-function formatResult(billArray, total, target, date) {
-    const finalItems = billArray.map(entry => {
-        const cessTaxAmount = ((entry.item["MRP"] || 0) * entry.qty * (entry.item["CESS%"] || 0)) / 100;
-        return {
-            name: entry.item["Item Details"],
-            qty: entry.qty,
-            unitPrice: entry.item["Price"],
-            gstPercent: entry.item["GST PERCENT"],
-            cessPercent: entry.item["CESS%"],
-            mrp: entry.item["MRP"],
-            cessTaxAmount: cessTaxAmount,
-            itemTotal: entry.cost,
-            date: date
-        };
-    });
-    return { items: finalItems, total: +total.toFixed(2), targetAmount: target, success: true };
+function readSeedInput(seedId) {
+    const seedElement = document.getElementById(seedId);
+    return seedElement ? seedElement.value.trim() : "";
 }
 
 // ==========================================
-// 3. EXPORT & UI LOGIC
+// BACKGROUND RUNS
+// ------------------------------------------
+// Generation runs in worker.js so long runs don't freeze the page. Pages
+// opened from file:// can't start workers in most browsers, so the engine
+// then runs here on the main thread with the same callbacks.
 // ==========================================
 
-function exportBillsToExcel(bills, filename, prefixId, indexId, paymentMethod) {
-    const prefixElement = document.getElementById(prefixId);
-    const indexElement = document.getElementById(indexId);
-    const prefix = prefixElement ? prefixElement.value : "BILL";
-    const startIndex = indexElement ? (parseInt(indexElement.value, 10) || 1) : 1;
-    
-    const rows = [];
-    const namesToAssign = purchaserNames.length > 0 && paymentMethod === "Cash" ? [...purchaserNames] : ['N/A'];
-    if (paymentMethod === "Cash" && namesToAssign.length > 1) shuffleArray(namesToAssign);
-    
-    let purchaserIndexCounter = 0;
-    const totalNames = namesToAssign.length;
-    
-    bills.forEach((bill, index) => {
-        let billPurchaserName = bill.purchaserName;
-        if (!billPurchaserName) {
-             billPurchaserName = namesToAssign[purchaserIndexCounter % totalNames];
-             purchaserIndexCounter++;
-        }
-        
-        let roundOff = 0;
-        let finalBillTotal = bill.total;
-        
-        if (paymentMethod === "Cash") {
-            const roundedTotal = Math.round(bill.total);
-            roundOff = +(roundedTotal - bill.total).toFixed(2);
-            finalBillTotal = roundedTotal;
-        }
+function canUseWorker() {
+    return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+}
 
-        bill.items.forEach(item => {
-            const billNo = generateBillNumber(index + startIndex, prefix);
-            const taxAmount = item.itemTotal - (item.unitPrice * item.qty) - (item.cessTaxAmount || 0);
-            
-            // Calculate CGST and SGST
-            const gstRate = item.gstPercent || 0;
-            const cgstRate = gstRate / 2;
-            const sgstRate = gstRate / 2;
-            const cgstAmount = taxAmount / 2;
-            const sgstAmount = taxAmount / 2;
-
-            rows.push({
-                "Bill No": billNo,
-                "Purchaser Name": billPurchaserName, 
-                "Payment Method": paymentMethod, 
-                "Item Name": item.name,
-                "Quantity": item.qty,
-                "Unit Price": item.unitPrice,
-                "Item Price": +(item.unitPrice * item.qty).toFixed(2),
-                "GST %": gstRate,
-                "CGST %": cgstRate,
-                "CGST Amount": +(cgstAmount).toFixed(2),
-                "SGST %": sgstRate,
-                "SGST Amount": +(sgstAmount).toFixed(2),
-                "Total Tax Amount": +(taxAmount).toFixed(2),
-                "CESS Tax Amount": +(item.cessTaxAmount || 0).toFixed(2),
-                "Date": formatDisplayDate(item.date),
-                "Item Total": item.itemTotal,
-                "Bill Total (Unrounded)": bill.total,
-                "Round off": roundOff, 
-                "Bill Total (Final)": finalBillTotal, 
-            });
-        });
+// Engine runs by mode. Combined runs take `{ upi, cash }` targets.
+const GENERATION_RUNS = {
+    upi: (stockRows, targets, options) => generateUpiBills(stockRows, targets, options),
+    cash: (stockRows, targets, options) => generateCashBills(stockRows, targets, options),
+    combined: (stockRows, targets, options) => generateCombinedBills(stockRows, targets.upi, targets.cash, options)
+};
+
+/**
+ * Starts a UPI, Cash or combined run.
+ * @returns {{promise: Promise<Object>, cancel: Function}}  The promise resolves
+ *          with the engine result, including the bills made before a cancel.
+ */
+function runGeneration(mode, stockRows, targets, options, onProgress) {
+    if (!canUseWorker()) {
+        let cancelRequested = false;
+        const promise = GENERATION_RUNS[mode](stockRows, targets, { ...options, onProgress, isCancelled: () => cancelRequested });
+        return { promise, cancel: () => { cancelRequested = true; } };
+    }
+
+    const worker = new Worker('worker.js');
+    const promise = new Promise((resolve, reject) => {
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === "progress") {
+                onProgress(message.progress);
+                return;
+            }
+            worker.terminate();
+            if (message.type === "done") resolve(message.result);
+            else reject(new Error(message.message));
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            reject(new Error(event.message || "Generation worker failed"));
+        };
     });
+    worker.postMessage({ type: "start", mode, stockRows, targets, options });
+    return { promise, cancel: () => worker.postMessage({ type: "cancel" }) };
+}
 
-    const ws = XLSX.utils.json_to_sheet(rows);
-    const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Bills");
-    XLSX.writeFile(wb, filename);
+// Shows the progress panel of one tab and wires its Cancel button.
+function openProgressPanel(panelId, cancel) {
+    const panel = document.getElementById(panelId);
+    if (!panel) return { update() {}, close() {} };
+
+    const bar = panel.querySelector(".progress-bar-fill");
+    const text = panel.querySelector(".progress-text");
+    const stats = panel.querySelector(".progress-stats");
+    const cancelBtn = panel.querySelector(".progress-cancel");
+
+    panel.style.display = "block";
+    bar.style.width = "0%";
+    text.textContent = "Starting...";
+    stats.textContent = "";
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.onclick = () => {
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = "Cancelling...";
+        cancel();
+    };
+
+    return {
+        update(percent, label, detail) {
+            bar.style.width = `${Math.min(100, Math.max(0, percent)).toFixed(0)}%`;
+            text.textContent = label;
+            stats.textContent = detail;
+        },
+        close() {
+            panel.style.display = "none";
+            cancelBtn.onclick = null;
+        }
+    };
 }
 
-function exportUpdatedStockToXLSX(stockMap, filename) {
-    const updatedStock = [];
-    for (const [_, item] of stockMap.entries()) {
-        updatedStock.push({
-            "Item Details": item["Item Details"],
-            "Qty.": item.remainingQty, 
-            "Unit": item["Unit"],
-            "Price": item["Price"],
-            "GST PERCENT": item["GST PERCENT"],
-            "MRP": item["MRP"],
-            "Amount": +(item.remainingQty * item["Price"]).toFixed(2),
-        });
-    }
-    const ws = XLSX.utils.json_to_sheet(updatedStock);
+// Writes sheets ({ name: rows }) to one workbook file.
+function writeWorkbook(sheets, filename) {
     const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "Stock");
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), name));
     XLSX.writeFile(wb, filename);
 }
 
-function generateBillNumber(index, prefix = "BILL", padLength = 4) {
-    return `${prefix}${String(index).padStart(padLength, '0')}`;
+// `runInfo` holds the seed and the settings of the run. It is written as a
+// "Run Info" sheet so the same bills can be regenerated later.
+// Returns the written sheets so the run history can keep them.
+function exportBillsToExcel(bills, filename, { prefix, startIndex }, paymentMethod, placeOfSupplyId, runInfo) {
+    const sellerState = readSelectValue("sellerState");
+    const placeOfSupply = readSelectValue(placeOfSupplyId) || sellerState;
+
+    const rng = createRng(`${runInfo.seed}/export`);
+    const rows = buildBillRows(bills, { prefix, startIndex, paymentMethod, purchaserNames, rng, sellerState, placeOfSupply });
+
+    const hsnRows = buildHsnSummaryRows(bills, { sellerState, placeOfSupply });
+
+    const infoRows = Object.entries({ ...runInfo, "Bill Prefix": prefix, "Start Index": startIndex, "Seller State Code": sellerState, "Place of Supply": placeOfSupply })
+        .map(([setting, value]) => ({ "Setting": setting, "Value": value }));
+
+    const sheets = { "Bills": rows, "HSN Summary": hsnRows, "Run Info": infoRows };
+    writeWorkbook(sheets, filename);
+    return sheets;
 }
 
-function formatDisplayDate(dateStr) {
-    if (!dateStr || dateStr.length !== 10) return dateStr;
-    const parts = dateStr.split('-');
-    return `${parts[2]}/${parts[1]}/${parts[0]}`;
+// Closing stock plus the movement ledger and its reconciliation checks,
+// so the file shows how every item got from opening to closing.
+function exportUpdatedStockToXLSX(stockMap, filename, bills) {
+    const ledger = buildStockLedger(stockMap, bills);
+    const sheets = { "Stock": buildStockRows(stockMap), "Stock Ledger": ledger.rows, "Reconciliation": ledger.checks };
+    writeWorkbook(sheets, filename);
+    return sheets;
 }
 
 function formatDate(dateInput) {
@@ -347,9 +320,15 @@ function formatDate(dateInput) {
 }
 
 // Global State
+let stockSource = null;
+let billTargetSource = null;
+let cashStockSource = null;
 let stockData = null; 
 let billTargets = null; 
 let cashStockData = null; 
+let stockValidation = null;
+let billTargetValidation = null;
+let cashStockValidation = null;
 let dateAmountTargets = []; 
 let purchaserNames = []; 
 
@@ -361,22 +340,12 @@ function generateDateTable() {
     if (!startDateStr || !endDateStr) {
         tableContainer.innerHTML = '';
         dateAmountTargets = [];
+        prefillStartIndex("Cash");
         updateGenerateCashButtonState();
         return;
     }
 
-    const startDate = new Date(startDateStr);
-    const endDate = new Date(endDateStr);
-    const validDates = [];
-    let currentDate = new Date(startDate);
-    
-    while (currentDate <= endDate) {
-        if (currentDate.getDay() !== 0) { 
-            const dateStr = currentDate.toISOString().split('T')[0];
-            validDates.push(dateStr);
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
-    }
+    const validDates = businessDays(startDateStr, endDateStr, readBusinessCalendar());
 
     const newDateAmountTargets = [];
     let tableHtml = '<table class="date-amount-table"><thead><tr><th>Date</th><th>Daily Target Amount (₹)</th></tr></thead><tbody>';
@@ -408,6 +377,7 @@ function generateDateTable() {
     tableHtml += '</tbody></table>';
     tableContainer.innerHTML = tableHtml;
     dateAmountTargets = newDateAmountTargets;
+    prefillStartIndex("Cash");
 
     document.querySelectorAll('.daily-target-input').forEach(input => {
         input.oninput = function() {
@@ -426,9 +396,128 @@ function generateDateTable() {
     updateGenerateCashButtonState();
 }
 
+// ==========================================
+// BUSINESS CALENDAR AND DAILY TARGETS
+// ------------------------------------------
+// The Cash tab lists the shop's trading days: every date in the range
+// except its weekly off-days and holidays. Targets can be imported from a
+// sheet (the daily register totals, say) and exported again as Date and
+// Amount columns, which import back unchanged.
+// ==========================================
+
+const { WEEKDAYS, businessDays, parseDateList } = BillDates;
+
+const BUSINESS_CALENDAR_KEY = "billGenerator.businessCalendar";
+
+let cashTargetsSource = null;
+
+function readOffDays() {
+    return Array.from(document.querySelectorAll("#cashOffDays input:checked")).map(box => Number(box.value));
+}
+
+// The calendar as businessDays takes it. Holiday lines that can't be read
+// are listed under the box and otherwise ignored.
+function readBusinessCalendar() {
+    const offDays = readOffDays();
+    const holidayText = document.getElementById("cashHolidays");
+    const { dates, errors } = parseDateList(holidayText ? holidayText.value : "", { dayFirst: readDayFirst("cashDateOrder") });
+
+    const errorList = document.getElementById("cashHolidayErrors");
+    if (errorList) {
+        errorList.innerHTML = errors.length > 0
+            ? `<ul class="validation-list">${errors.map(error => `<li class="validation-error">${escapeHtml(error)}</li>`).join("")}</ul>`
+            : "";
+    }
+    return { offDays, holidays: dates };
+}
+
+function describeOffDays() {
+    const offDays = readOffDays();
+    return offDays.length > 0 ? offDays.map(day => WEEKDAYS[day]).join(", ") : "None";
+}
+
+function saveBusinessCalendar() {
+    localStorage.setItem(BUSINESS_CALENDAR_KEY, JSON.stringify({ offDays: readOffDays(), holidays: readSelectValue("cashHolidays") }));
+}
+
+// Sundays off until the calendar is first changed, as before it was configurable.
+function restoreBusinessCalendar() {
+    const saved = JSON.parse(localStorage.getItem(BUSINESS_CALENDAR_KEY) || '{"offDays":[0],"holidays":""}');
+    document.querySelectorAll("#cashOffDays input").forEach(box => {
+        box.checked = saved.offDays.includes(Number(box.value));
+    });
+    const holidayText = document.getElementById("cashHolidays");
+    if (holidayText) holidayText.value = saved.holidays || "";
+}
+
+function onBusinessCalendarChange() {
+    saveBusinessCalendar();
+    if (cashTargetsSource) checkCashTargets();
+    generateDateTable();
+}
+
+function handleCashTargetsFile(file) {
+    cashTargetsSource = null;
+    delete uploadedFiles.cashTargetsSheet;
+    ["cashTargetsMapping", "cashTargetsValidation"].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.innerHTML = "";
+    });
+
+    ingestFile(file, "cashTargetsSheet", cells => {
+        cashTargetsSource = createMappedSource("dailyTargets", cellsToRows(cells));
+        renderColumnMapping("cashTargetsMapping", cashTargetsSource, applyCashTargetsMapping);
+        applyCashTargetsMapping();
+    });
+}
+
+// Validates the imported targets against the calendar; returns the mapped
+// rows, or null while a column is unassigned or a row has an error.
+function checkCashTargets() {
+    const rows = mapSourceRows(cashTargetsSource);
+    const calendar = readBusinessCalendar();
+    const report = rows ? validateDailyTargetRows(rows, {
+        dayFirst: readDayFirst("cashDateOrder"),
+        isOpen: iso => businessDays(iso, iso, calendar).length > 0
+    }) : null;
+    renderValidationReport("cashTargetsValidation", report);
+    return hasValidationErrors(report) ? null : rows;
+}
+
+// An import replaces the table: the date range becomes the file's and each
+// trading day takes the file's amount, or 0 when the file has no row for it.
+function applyCashTargetsMapping() {
+    const rows = checkCashTargets();
+    if (!rows || rows.length === 0) return;
+
+    const dayFirst = readDayFirst("cashDateOrder");
+    dateAmountTargets = rows.map(row => ({ date: parseDate(row.date, { dayFirst }).iso, targetAmount: Number(row.amount) }));
+    const isoDates = dateAmountTargets.map(target => target.date).sort();
+    document.getElementById("cashStartDate").value = isoDates[0];
+    document.getElementById("cashEndDate").value = isoDates[isoDates.length - 1];
+    generateDateTable();
+}
+
+function exportDailyTargets(format) {
+    if (dateAmountTargets.length === 0) {
+        alert("Pick a date range first.");
+        return;
+    }
+    const rows = dateAmountTargets.map(target => ({ "Date": formatDisplayDate(target.date), "Amount": target.targetAmount }));
+    const filename = `daily-targets-${dateAmountTargets[0].date}-to-${dateAmountTargets[dateAmountTargets.length - 1].date}`;
+    if (format === "csv") {
+        downloadText(XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows)), "text/csv", `${filename}.csv`);
+    } else {
+        writeWorkbook({ "Daily Targets": rows }, `${filename}.xlsx`);
+    }
+}
+
 function updateGenerateButtonState() {
     const btn = document.getElementById("generateBtn");
-    if(btn) btn.disabled = !(stockData && billTargets);
+    const valid = !hasValidationErrors(stockValidation) && !hasValidationErrors(billTargetValidation) && !hasPurchaseErrors("UPI");
+    if(btn) btn.disabled = !(stockData && billTargets && valid);
+    scheduleFeasibility("upi");
+    updateGenerateCombinedButtonState();
 }
 
 function updateGenerateCashButtonState() {
@@ -437,311 +526,1699 @@ function updateGenerateCashButtonState() {
     const maxBill = document.getElementById("cashMaxBill").value;
     const hasValidTargets = dateAmountTargets.length > 0 && dateAmountTargets.some(t => t.targetAmount > 0);
     
-    if(btn) btn.disabled = !(cashStockData && minBill && maxBill && hasValidTargets);
+    const valid = !hasValidationErrors(cashStockValidation) && !hasPurchaseErrors("Cash");
+    if(btn) btn.disabled = !(cashStockData && minBill && maxBill && hasValidTargets && valid);
+    scheduleFeasibility("cash");
+    updateGenerateCombinedButtonState();
 }
 
-function handleStockFile(file) {
-    const reader = new FileReader();
-    reader.onload = evt => {
-        const data = evt.target.result;
-        const workbook = XLSX.read(data, { type: 'binary' });
-        stockData = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
-        calculateTotalStockValue(stockData, "upiStockTotal"); 
-        updateGenerateButtonState();
-    };
-    reader.readAsBinaryString(file);
+// The combined run reads the Cash tab's stock and targets and the UPI tab's bill amounts.
+function updateGenerateCombinedButtonState() {
+    const btn = document.getElementById("generateCombinedBtn");
+    const status = document.getElementById("combinedStatus");
+    const checks = [
+        ["Stock (Cash tab)", cashStockReady()],
+        ["Bill amounts (UPI tab)", upiTargetsReady()],
+        ["Daily cash targets (Cash tab)", dateAmountTargets.some(t => t.targetAmount > 0)],
+        ["Min/max bill amount (Cash tab)", Boolean(document.getElementById("cashMinBill").value && document.getElementById("cashMaxBill").value)]
+    ];
+    if(status) status.innerHTML = checks.map(([label, ok]) => `<li class="${ok ? "validation-ok" : "validation-error"}">${label}: ${ok ? "ready" : "missing"}</li>`).join("");
+    if(btn) btn.disabled = !checks.every(([, ok]) => ok);
+    scheduleFeasibility("combined");
 }
 
-function handleBillAmountFile(file) {
-    const reader = new FileReader();
-    reader.onload = evt => {
-        const data = evt.target.result;
-        const workbook = XLSX.read(data, { type: 'binary' });
-        billTargets = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
-        updateGenerateButtonState();
-    };
-    reader.readAsBinaryString(file);
+// With the tab's "prices include tax" box ticked, items that don't say
+// otherwise in a Tax Inclusive column are read as tax-inclusive.
+function withTaxInclusiveDefault(paymentMethod, rows) {
+    const box = document.getElementById(`${STOCK_TABS[paymentMethod].idPrefix}PricesInclusive`);
+    if (!rows || !box || !box.checked) return rows;
+    return rows.map(row => {
+        const value = row[TAX_INCLUSIVE_HEADER];
+        return value === undefined || String(value).trim() === "" ? { ...row, [TAX_INCLUSIVE_HEADER]: "Yes" } : row;
+    });
 }
 
-function handleCashStockFile(file) {
-    const reader = new FileReader();
-    reader.onload = evt => {
-        const data = evt.target.result;
-        const workbook = XLSX.read(data, { type: 'binary' });
-        cashStockData = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
-        calculateTotalStockValue(cashStockData, "cashStockTotal");
-        updateGenerateCashButtonState();
-    };
-    reader.readAsBinaryString(file);
+function applyStockMapping() {
+    stockData = withTaxInclusiveDefault("UPI", withPurchases("UPI", stockSource, mapSourceRows(stockSource)));
+    stockValidation = stockData ? validateStockRows(stockData, { unitSteps: readUnitSteps() }) : null;
+    renderValidationReport("upiStockValidation", stockValidation);
+    if (stockData) showStockTotal(stockData, "upiStockTotal");
+    updateGenerateButtonState();
 }
 
-function handlePurchaserNamesFile(file) {
-    const reader = new FileReader();
-    reader.onload = evt => {
-        const data = evt.target.result;
-        const workbook = XLSX.read(data, { type: 'binary' });
-        const sheetData = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
-        if (sheetData.length > 1) {
-            purchaserNames = sheetData.slice(1).map(row => row[0]).filter(name => name).map(String);
-        }
-        updateGenerateCashButtonState();
-    };
-    reader.readAsBinaryString(file);
+function applyBillTargetMapping() {
+    billTargets = mapSourceRows(billTargetSource);
+    billTargetValidation = billTargets ? validateBillTargetRows(billTargets, { dayFirst: readDayFirst("upiDateOrder") }) : null;
+    renderValidationReport("billTargetValidation", billTargetValidation);
+    prefillStartIndex("UPI");
+    updateGenerateButtonState();
 }
 
-// --- UPI GENERATION LOGIC (RESTORED) ---
-async function tryGenerateAllBills() {
-    if (!stockData || !billTargets) return;
-    
-    const btn = document.getElementById("generateBtn");
-    const originalText = btn.textContent;
-    btn.disabled = true;
-    btn.textContent = "Processing...";
+function applyCashStockMapping() {
+    cashStockData = withTaxInclusiveDefault("Cash", withPurchases("Cash", cashStockSource, mapSourceRows(cashStockSource)));
+    cashStockValidation = cashStockData ? validateStockRows(cashStockData, { unitSteps: readUnitSteps() }) : null;
+    renderValidationReport("cashStockValidation", cashStockValidation);
+    if (cashStockData) showStockTotal(cashStockData, "cashStockTotal");
+    updateGenerateCashButtonState();
+}
 
-    const stockMap = buildStockMap(stockData);
-    const bills = [];
-    
-    // Create a Set to track rotation for UPI as well
-    const upiUsedItemIds = new Set();
+// ==========================================
+// FEASIBILITY PRE-CHECK
+// ------------------------------------------
+// Each tab shows whether its stock can carry its targets as soon as both
+// are in, with the dates likely to be skipped and suggestions that can be
+// applied in one click. It never blocks generation: it is an estimate.
+// The analysis walks the whole stock, so it runs once typing pauses, and
+// only on inputs that would let the tab's generate button through.
+// ==========================================
 
-    for (const amountObj of billTargets) {
-        const values = Object.values(amountObj);
-        const target = parseFloat(values[0]);
-        const date = values[1]; 
-        
-        if (isNaN(target) || !date) continue;
-        
-        // Use EXACT mode for UPI
-        const bill = await generateBillFromMap(stockMap, target, target, target, date, 5, 'EXACT', 0, upiUsedItemIds);
-        
-        if (bill.success) {
-            bills.push(bill);
-            if (bill.tempUsedMap) {
-                for (let [name, qty] of bill.tempUsedMap.entries()) {
-                    const item = stockMap.get(name);
-                    item.remainingQty = parseFloat((item.remainingQty - qty).toFixed(3));
-                    upiUsedItemIds.add(name);
-                }
-            }
-        }
-    }
-    
-    const today = formatDate(new Date());
-    exportBillsToExcel(bills, `generated-upi-bills-${today}.xlsx`, "billPrefix", "startIndex", "UPI");
-    exportUpdatedStockToXLSX(stockMap, `updated-upi-stock-${today}.xlsx`);
-    
-    btn.textContent = originalText;
-    btn.disabled = false;
-    alert("UPI Bills Generated Successfully!");
-}
+const { analyzeRun } = BillFeasibility;
 
-// --- MAIN CASH LOGIC ---
-async function tryGenerateCashBills() {
-    let minBill = parseFloat(document.getElementById("cashMinBill").value);
-    let maxBill = parseFloat(document.getElementById("cashMaxBill").value);
-    
-    if (!cashStockData || isNaN(minBill) || isNaN(maxBill)) return;
+function readCashLimits() {
+    return {
+        minBill: parseFloat(document.getElementById("cashMinBill").value),
+        maxBill: parseFloat(document.getElementById("cashMaxBill").value)
+    };
+}
 
-    const btn = document.getElementById("generateCashBtn");
-    const originalText = btn.textContent;
-    btn.disabled = true;
-    btn.textContent = "Processing...";
+function hasCashTargets() {
+    return dateAmountTargets.some(t => t.targetAmount > 0);
+}
 
-    const statusArea = document.getElementById("statusArea");
-    const logList = document.getElementById("skippedDaysLog");
-    if(statusArea) statusArea.style.display = "block";
-    if(logList) logList.innerHTML = "";
+// Pause in typing after which the checks waiting to run are run.
+const FEASIBILITY_DELAY_MS = 300;
 
-    minBill = Math.max(minBill, 10); 
-    if (maxBill > 10000) maxBill = 10000;
+function upiTargetsReady() {
+    return Boolean(billTargets) && !hasValidationErrors(billTargetValidation);
+}
 
-    const stockMap = buildStockMap(cashStockData);
-    const allGeneratedBills = [];
-    let hasSkipped = false;
-    
-    let purchaserHistory = {}; 
-    const availablePurchasers = purchaserNames.length > 0 ? [...purchaserNames] : ['N/A'];
+function cashStockReady() {
+    return Boolean(cashStockData) && !hasValidationErrors(cashStockValidation) && !hasPurchaseErrors("Cash");
+}
 
-    for (const { date, targetAmount } of dateAmountTargets) {
-        
-        if (targetAmount <= 0) continue; 
+// What each tab's check reads; null until the tab has clean stock and targets.
+const FEASIBILITY_PANELS = {
+    upi: {
+        containerId: "upiFeasibility",
+        inputs: () => stockData && !hasValidationErrors(stockValidation) && !hasPurchaseErrors("UPI") && upiTargetsReady()
+            ? { stockRows: stockData, run: { upiTargets: billTargets } }
+            : null
+    },
+    cash: {
+        containerId: "cashFeasibility",
+        inputs: () => cashStockReady() && hasCashTargets()
+            ? { stockRows: cashStockData, run: { cashTargets: dateAmountTargets, ...readCashLimits() } }
+            : null
+    },
+    combined: {
+        containerId: "combinedFeasibility",
+        inputs: () => cashStockReady() && (upiTargetsReady() || (!billTargets && hasCashTargets()))
+            ? { stockRows: cashStockData, run: { upiTargets: billTargets || [], cashTargets: dateAmountTargets, ...readCashLimits() } }
+            : null
+    }
+};
+
+const feasibilityReports = { upi: null, cash: null, combined: null };
+
+const pendingFeasibility = new Set();
+let feasibilityTimer = null;
+
+/** Runs a panel's check once input settles; a burst of changes runs it once. */
+function scheduleFeasibility(mode) {
+    pendingFeasibility.add(mode);
+    clearTimeout(feasibilityTimer);
+    feasibilityTimer = setTimeout(() => {
+        const modes = Array.from(pendingFeasibility);
+        pendingFeasibility.clear();
+        feasibilityTimer = null;
+        modes.forEach(updateFeasibility);
+    }, FEASIBILITY_DELAY_MS);
+}
 
-        let dateAccumulated = 0;
-        let consecutiveFailures = 0; 
-        
-        let todaysBills = [];
-        let dailyUsedItemIds = new Set(); // Reset rotation daily
+function updateFeasibility(mode) {
+    const panel = FEASIBILITY_PANELS[mode];
+    const container = document.getElementById(panel.containerId);
+    const inputs = panel.inputs();
+    const analysis = inputs
+        ? analyzeRun(inputs.stockRows, { ...inputs.run, unitSteps: readUnitSteps(), dayFirst: readDayFirst("upiDateOrder") })
+        : null;
+    feasibilityReports[mode] = analysis;
+    if (!container) return;
+    if (!analysis) {
+        container.innerHTML = "";
+        return;
+    }
 
-        console.log(`Processing Date: ${date} | Target: ${targetAmount}`);
+    const targetsTotal = analysis.upiTotal + analysis.cashTotal;
+    let html = `<div class="validation-summary">Pre-run check: stock worth ${formatRupees(analysis.stockValue)} incl. tax,
+        targets ${formatRupees(targetsTotal)} (UPI ${formatRupees(analysis.upiTotal)}, cash ${formatRupees(analysis.cashTotal)})</div>`;
 
-        while (dateAccumulated < targetAmount) {
-            
-            const remaining = targetAmount - dateAccumulated;
+    const flaggedDays = analysis.days.filter(day => day.status !== "ok");
+    if (analysis.findings.length === 0 && flaggedDays.length === 0) {
+        html += '<div class="validation-ok">The stock covers the targets.</div>';
+    }
+    const findings = analysis.findings
+        .map(f => `<li class="validation-${f.level}">${escapeHtml(f.message)}</li>`)
+        .join("");
+    const days = flaggedDays
+        .map(day => `<li class="${day.status === "short" ? "validation-error" : "validation-warning"}">${formatDisplayDate(day.date)} (${day.status}): ${escapeHtml(day.notes.join("; "))}</li>`)
+        .join("");
+    if (findings || days) html += `<ul class="validation-list">${findings}${days}</ul>`;
+
+    if (analysis.suggestions.length > 0) {
+        const suggestions = analysis.suggestions.map((suggestion, index) => {
+            const canApply = suggestion.maxBill !== undefined || suggestion.cashScale !== undefined;
+            const button = canApply ? ` <button type="button" data-action="feasibility-apply" data-mode="${mode}" data-index="${index}">Apply</button>` : "";
+            return `<li>${escapeHtml(suggestion.message)}${button}</li>`;
+        }).join("");
+        html += `<div class="validation-summary">Suggestions:</div><ul class="validation-list">${suggestions}</ul>`;
+    }
+    container.innerHTML = html;
+}
 
-            if (remaining <= 5) {
-                break; 
-            }
+// Bill limits go into the Cash tab's inputs; a scale rewrites the daily cash targets.
+function applyFeasibilitySuggestion(mode, index) {
+    const analysis = feasibilityReports[mode];
+    const suggestion = analysis && analysis.suggestions[index];
+    if (!suggestion) return;
 
-            if (consecutiveFailures % 20 === 0) {
-                const pct = ((dateAccumulated / targetAmount) * 100).toFixed(0);
-                btn.textContent = `Date: ${formatDisplayDate(date)} | ${pct}% (Fails: ${consecutiveFailures})`;
-                await waitFrame(); 
-            }
+    if (suggestion.maxBill !== undefined) {
+        document.getElementById("cashMinBill").value = suggestion.minBill;
+        document.getElementById("cashMaxBill").value = suggestion.maxBill;
+    }
+    if (suggestion.cashScale !== undefined) {
+        dateAmountTargets.forEach(target => {
+            target.targetAmount = fromPaise(Math.floor(toPaise(target.targetAmount) * suggestion.cashScale));
+        });
+        generateDateTable();
+    }
+    updateGenerateCashButtonState();
+}
 
-            let currentMargin = 5; 
-            let mode = 'RANGE';
-            
-            let randomTarget = minBill + Math.random() * (maxBill - minBill);
-            let randomMin = Math.max(minBill, randomTarget * 0.95);
-            let randomMax = Math.min(maxBill, randomTarget * 1.05);
+// ==========================================
+// FILE INGESTION
+// ------------------------------------------
+// All four uploads go through ingestFile(): a workbook sheet (picked when
+// there are several) or a CSV/TSV file becomes a grid of cells, header
+// row first, which the upload's own handler turns into its data.
+// ==========================================
 
-            let targetMin = randomMin;
-            let targetMax = randomMax;
-            
-            if (consecutiveFailures > 20) targetMin = 10; 
-
-            if (remaining <= maxBill) {
-                mode = 'EXACT';
-                targetMin = remaining;
-                targetMax = remaining;
-                currentMargin = 50; 
-            } else {
-                if (targetMax > remaining) targetMax = remaining;
-            }
+const { isTextFile, decodeText, readDelimitedFile, cellsToRows } = BillIngest;
+
+// What each upload is, for the run history. Keyed by its sheet picker id.
+const UPLOAD_ROLES = {
+    upiStockSheet: "UPI Stock", billTargetSheet: "Bill Amounts", upiPurchaseSheet: "UPI Purchases",
+    cashStockSheet: "Cash Stock", purchaserSheet: "Purchaser Names", cashPurchaseSheet: "Cash Purchases",
+    cashTargetsSheet: "Daily Targets", statementSheet: "Bank Statement"
+};
+
+// Name, size, hash and sheet of the file currently loaded in each upload.
+const uploadedFiles = {};
+
+async function hashUpload(bytes) {
+    try {
+        return await sha256Hex(bytes);
+    } catch (err) {
+        // crypto.subtle is missing outside secure contexts
+        console.warn(`File hash unavailable: ${err.message}`);
+        return "";
+    }
+}
 
-            let bill = await generateBillFromMap(stockMap, targetMin, targetMax, remaining, date, currentMargin, mode, consecutiveFailures, dailyUsedItemIds);
-            
-            if (bill.success) {
-                const recentBills = allGeneratedBills.slice(-3).concat(todaysBills.slice(-3));
-                const last3Totals = recentBills.slice(-3).map(b => b.total);
-
-                if (last3Totals.includes(bill.total) && consecutiveFailures < 50 && mode !== 'EXACT') {
-                    consecutiveFailures++;
-                    continue; 
-                }
-
-                if (bill.tempUsedMap) {
-                    for (let [name, qty] of bill.tempUsedMap.entries()) {
-                        const item = stockMap.get(name);
-                        item.remainingQty = parseFloat((item.remainingQty - qty).toFixed(3));
-                        dailyUsedItemIds.add(name);
-                    }
-                }
-
-                todaysBills.push(bill);
-                dateAccumulated += bill.total;
-                consecutiveFailures = 0; 
-            } else {
-                consecutiveFailures++;
-                
-                if (consecutiveFailures > 500) {
-                     hasSkipped = true;
-                     const percentSkipped = ((remaining / targetAmount) * 100).toFixed(1);
-                     
-                     let logMsg = `Date: ${formatDisplayDate(date)} - Skipped ${percentSkipped}% (₹${remaining.toFixed(2)} remaining)`;
-                     
-                     if (dateAccumulated === 0) {
-                         logMsg = `FAILURE: ${formatDisplayDate(date)} Skipped 100% (No valid bills generated). Moving to next day.`;
-                     }
-
-                     console.warn(logMsg);
-                     if(logList) {
-                         const li = document.createElement("li");
-                         li.textContent = logMsg;
-                         if (dateAccumulated === 0) {
-                             li.style.color = "red";
-                             li.style.fontWeight = "bold";
-                         }
-                         logList.appendChild(li);
-                     }
-                     break; 
-                }
-            }
-        }
+function readFileBytes(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = evt => resolve(new Uint8Array(evt.target.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(file);
+    });
+}
 
-        if (todaysBills.length > 0) {
-            let dailyNamePool = [...availablePurchasers];
-            if (dailyNamePool.length > 1) shuffleArray(dailyNamePool);
-            
-            let nameIdx = 0;
-            
-            for (let b of todaysBills) {
-                let assignedName = "N/A";
-                
-                if (availablePurchasers.length > 0 && availablePurchasers[0] !== 'N/A') {
-                    let bestCandidate = null;
-                    let attempts = 0;
-                    
-                    while (attempts < dailyNamePool.length) {
-                        let candidate = dailyNamePool[nameIdx % dailyNamePool.length];
-                        let lastTotal = purchaserHistory[candidate] || 0;
-                        
-                        if (Math.abs(lastTotal - b.total) > 1) {
-                            bestCandidate = candidate;
-                            nameIdx++; 
-                            break;
-                        }
-                        
-                        nameIdx++;
-                        attempts++;
-                    }
-                    
-                    if (!bestCandidate) {
-                        bestCandidate = dailyNamePool[nameIdx % dailyNamePool.length];
-                        nameIdx++;
-                    }
-                    
-                    assignedName = bestCandidate;
-                    purchaserHistory[assignedName] = b.total; 
-                }
-                
-                b.purchaserName = assignedName;
-                allGeneratedBills.push(b);
-            }
-        }
+// Opens an upload as named sheets whose cells are read on demand.
+async function openUploadedFile(file) {
+    const bytes = await readFileBytes(file);
+    const sha256 = await hashUpload(bytes);
+    if (isTextFile(file.name)) {
+        const { cells, encoding, delimiterName } = readDelimitedFile(bytes);
+        return { sha256, isText: true, sheetNames: [file.name], readCells: () => cells, description: `${encoding.toUpperCase()}, ${delimiterName}-separated` };
     }
+    const workbook = XLSX.read(bytes, { type: 'array' });
+    return {
+        sha256,
+        isText: false,
+        sheetNames: workbook.SheetNames,
+        readCells: name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false }),
+        description: ""
+    };
+}
 
-    const today = formatDate(new Date());
-    exportBillsToExcel(allGeneratedBills, `cash-bills-${today}.xlsx`, "cashStockPrefix", "cashBillStartIndex", "Cash");
-    exportUpdatedStockToXLSX(stockMap, `updated-cash-stock-${today}.xlsx`);
+/**
+ * Reads an upload and passes its cells to `onCells`. The first sheet with
+ * data is used; workbooks with several sheets get a picker in `pickerId`
+ * and choosing another sheet calls `onCells` again.
+ */
+async function ingestFile(file, pickerId, onCells) {
+    const picker = document.getElementById(pickerId);
+    if (picker) picker.innerHTML = "";
+    if (!file) return;
+
+    let opened;
+    try {
+        opened = await openUploadedFile(file);
+    } catch (err) {
+        alert(`Could not read ${file.name}: ${err.message}`);
+        return;
+    }
+    if (opened.sheetNames.length === 0) {
+        alert(`${file.name} has no sheets.`);
+        return;
+    }
 
-    btn.textContent = originalText;
-    btn.disabled = false;
-    
-    if (hasSkipped) {
-        alert("Completed with some skipped days. Check the log.");
-    } else {
-        alert("Bills generated successfully for ALL days!");
+    const initialSheet = opened.sheetNames.find(name => opened.readCells(name).length > 1) || opened.sheetNames[0];
+    const upload = { role: UPLOAD_ROLES[pickerId], name: file.name, size: file.size, sha256: opened.sha256, sheet: opened.isText ? "" : initialSheet };
+    uploadedFiles[pickerId] = upload;
+
+    if (picker && opened.sheetNames.length > 1) {
+        const options = opened.sheetNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join("");
+        picker.innerHTML = `<label>Sheet:</label><select>${options}</select>`;
+        const select = picker.querySelector("select");
+        select.value = initialSheet;
+        select.onchange = () => {
+            upload.sheet = select.value;
+            onCells(opened.readCells(select.value));
+        };
+    } else if (picker && opened.description) {
+        picker.innerHTML = `<small>Read as ${escapeHtml(opened.description)}</small>`;
     }
+
+    onCells(opened.readCells(initialSheet));
 }
 
-document.addEventListener("DOMContentLoaded", () => {
-    const stockInput = document.getElementById("stockInput");
-    const billInput = document.getElementById("billInput");
-    const generateBtn = document.getElementById("generateBtn");
-    
-    const cashStockInput = document.getElementById("cashStockInput");
-    const generateCashBtn = document.getElementById("generateCashBtn");
-    const cashStartDateInput = document.getElementById("cashStartDate");
-    const cashEndDateInput = document.getElementById("cashEndDate");
-    const purchaserNamesInput = document.getElementById("purchaserNamesInput"); 
+function handleStockFile(file) {
+    clearSnapshotNote("UPI");
+    ingestFile(file, "upiStockSheet", cells => {
+        stockSource = createMappedSource("stock", cellsToRows(cells));
+        renderColumnMapping("upiStockMapping", stockSource, applyStockMapping);
+        applyStockMapping();
+    });
+}
 
-    if(stockInput) stockInput.onchange = e => handleStockFile(e.target.files[0]);
-    if(billInput) billInput.onchange = e => handleBillAmountFile(e.target.files[0]);
-    if(generateBtn) generateBtn.onclick = tryGenerateAllBills;
+function handleBillAmountFile(file) {
+    ingestFile(file, "billTargetSheet", cells => {
+        billTargetSource = createMappedSource("billTargets", cellsToRows(cells));
+        renderColumnMapping("billTargetMapping", billTargetSource, applyBillTargetMapping);
+        applyBillTargetMapping();
+    });
+}
 
-    if(cashStartDateInput) cashStartDateInput.onchange = generateDateTable;
-    if(cashEndDateInput) cashEndDateInput.onchange = generateDateTable;
+function handleCashStockFile(file) {
+    clearSnapshotNote("Cash");
+    ingestFile(file, "cashStockSheet", cells => {
+        cashStockSource = createMappedSource("stock", cellsToRows(cells));
+        renderColumnMapping("cashStockMapping", cashStockSource, applyCashStockMapping);
+        applyCashStockMapping();
+    });
+}
 
-    ["cashMinBill", "cashMaxBill"].forEach(id => {
-        const el = document.getElementById(id);
-        if(el) el.oninput = updateGenerateCashButtonState;
+function handlePurchaserNamesFile(file) {
+    ingestFile(file, "purchaserSheet", cells => {
+        renderValidationReport("purchaserValidation", validatePurchaserRows(cells));
+        purchaserNames = cells.slice(1).map(row => row[0]).filter(name => name).map(String);
+        updateGenerateCashButtonState();
     });
+}
 
-    if(cashStockInput) cashStockInput.onchange = e => handleCashStockFile(e.target.files[0]);
-    if(purchaserNamesInput) purchaserNamesInput.onchange = e => handlePurchaserNamesFile(e.target.files[0]);
-    
-    if(generateCashBtn) generateCashBtn.onclick = tryGenerateCashBills;
+// ==========================================
+// BANK STATEMENT RECEIPTS
+// ------------------------------------------
+// A bank statement can stand in for the bill amounts sheet: its credits
+// whose narration matches the filter are listed, the user ticks the ones
+// that are sales receipts, and those become the UPI bill amounts with
+// their UPI reference as each bill's Payment Reference.
+// ==========================================
+
+const { DEFAULT_NARRATION_FILTER, findHeaderRow, readStatement, receiptsToTargetRows } = BillStatement;
+
+const STATEMENT_FILTER_KEY = "billGenerator.statementFilter";
+
+let statementSource = null;
+let statementHeaderRow = 0;
+let statementDebits = 0;
+// Credit entries of the statement, each with a `ticked` flag.
+let statementEntries = [];
+
+function handleStatementFile(file) {
+    statementSource = null;
+    statementEntries = [];
+    ["statementMapping", "statementValidation", "statementReceipts"].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.innerHTML = "";
+    });
+
+    ingestFile(file, "statementSheet", cells => {
+        // Account details often sit above the table
+        statementHeaderRow = findHeaderRow(cells);
+        statementEntries = [];
+        statementSource = createMappedSource("bankStatement", cellsToRows(cells.slice(statementHeaderRow)));
+        renderColumnMapping("statementMapping", statementSource, applyStatementMapping);
+        applyStatementMapping();
+    });
+}
+
+// Re-reads the statement; entries the user unticked stay unticked.
+function applyStatementMapping() {
+    const rows = mapSourceRows(statementSource);
+    let result = null;
+    if (rows && !statementSource.mapping.credit && !statementSource.mapping.amount) {
+        const message = "Assign a Credit column, or an Amount column with a Dr/Cr column";
+        result = { entries: [], debits: 0, report: { errors: [{ row: statementHeaderRow + 1, field: "Credit", message }], warnings: [] } };
+    } else if (rows) {
+        result = readStatement(rows, { dayFirst: readDayFirst("upiDateOrder"), filter: readSelectValue("statementFilter"), headerRow: statementHeaderRow });
+    }
+    renderValidationReport("statementValidation", result && result.report);
+
+    const unticked = new Set(statementEntries.filter(entry => !entry.ticked).map(entry => entry.row));
+    statementEntries = result ? result.entries.map(entry => ({ ...entry, ticked: !unticked.has(entry.row) })) : [];
+    statementDebits = result ? result.debits : 0;
+    renderStatementReceipts();
+}
+
+function renderStatementReceipts() {
+    const container = document.getElementById("statementReceipts");
+    if (!container) return;
+    if (!statementSource || !mapSourceRows(statementSource)) {
+        container.innerHTML = "";
+        return;
+    }
+
+    const shown = statementEntries.filter(entry => entry.matches);
+    const ticked = shown.filter(entry => entry.ticked);
+    const tickedTotal = ticked.reduce((sum, entry) => sum + toPaise(entry.amount), 0);
+    const rows = shown.map(entry => `
+        <tr>
+            <td><input type="checkbox" data-action="tick-receipt" data-row="${entry.row}"${entry.ticked ? " checked" : ""}></td>
+            <td>${escapeHtml(formatDisplayDate(entry.date))}</td>
+            <td>${formatRupees(entry.amount)}</td>
+            <td>${escapeHtml(entry.reference)}</td>
+            <td>${escapeHtml(entry.narration)}</td>
+        </tr>`).join("");
+
+    container.innerHTML = `
+        <div class="validation-summary">${statementEntries.length} credit(s), ${shown.length} matching the narration filter (${statementDebits} debit(s) left out). ${ticked.length} ticked: ${formatRupees(fromPaise(tickedTotal))}.</div>
+        <button type="button" class="review-small" data-action="tick-all">Tick All</button>
+        <button type="button" class="review-small" data-action="tick-none">Untick All</button>
+        <table class="review-table">
+            <tr><th>Receipt</th><th>Date</th><th>Amount</th><th>Reference</th><th>Narration</th></tr>
+            ${rows}
+        </table>
+        <button type="button" data-action="use-receipts"${ticked.length === 0 ? " disabled" : ""}>Use Ticked Receipts as Bill Amounts</button>`;
+}
+
+// The ticked receipts replace any bill amounts file, mapped like one.
+function useStatementReceipts() {
+    const ticked = statementEntries.filter(entry => entry.matches && entry.ticked);
+    if (ticked.length === 0) return;
+
+    const picker = document.getElementById("billTargetSheet");
+    if (picker) picker.innerHTML = "";
+    uploadedFiles.billTargetSheet = { ...uploadedFiles.statementSheet };
+
+    billTargetSource = createMappedSource("billTargets", receiptsToTargetRows(ticked));
+    renderColumnMapping("billTargetMapping", billTargetSource, applyBillTargetMapping);
+    applyBillTargetMapping();
+}
+
+function handleStatementAction(event) {
+    const target = event.target.closest("[data-action]");
+    if (!target) return;
+    const { action } = target.dataset;
+
+    if (action === "tick-receipt") {
+        const entry = statementEntries.find(e => e.row === Number(target.dataset.row));
+        if (entry) entry.ticked = target.checked;
+    } else if (action === "tick-all" || action === "tick-none") {
+        statementEntries.forEach(entry => { if (entry.matches) entry.ticked = action === "tick-all"; });
+    } else if (action === "use-receipts") {
+        useStatementReceipts();
+        return;
+    } else {
+        return;
+    }
+    renderStatementReceipts();
+}
+
+// ==========================================
+// CLOSING STOCK AND PURCHASES
+// ------------------------------------------
+// Every confirmed export saves its closing stock as a snapshot of its tab
+// (a combined run's is the Cash tab's). A tab can start from its own
+// snapshot (or a downloaded one) instead of a stock file; the bill numbers
+// issued in its series come along into the registry. Purchases uploaded in
+// a tab are added to whichever stock it uses.
+// ==========================================
+
+const { buildSnapshot, readSnapshot, mergePurchases } = BillSnapshot;
+
+// One snapshot per tab, under `${CLOSING_STOCK_KEY}.UPI` and `.Cash`.
+const CLOSING_STOCK_KEY = "billGenerator.closingStock";
+
+function closingStockKey(paymentMethod) {
+    return `${CLOSING_STOCK_KEY}.${paymentMethod}`;
+}
+
+const STOCK_TABS = {
+    UPI: {
+        idPrefix: "upi",
+        getSource: () => stockSource,
+        setSource: source => { stockSource = source; },
+        apply: () => applyStockMapping()
+    },
+    Cash: {
+        idPrefix: "cash",
+        getSource: () => cashStockSource,
+        setSource: source => { cashStockSource = source; },
+        apply: () => applyCashStockMapping()
+    }
+};
+
+const purchaseSources = { UPI: null, Cash: null };
+const purchaseReports = { UPI: null, Cash: null };
+
+function hasPurchaseErrors(paymentMethod) {
+    const report = purchaseReports[paymentMethod];
+    return Boolean(report) && report.errors.length > 0;
+}
+
+// Adds the tab's purchases to its mapped stock rows. Snapshot stock goes
+// through the merge even without purchases so sold-out items drop out.
+function withPurchases(paymentMethod, source, rows) {
+    const containerId = `${STOCK_TABS[paymentMethod].idPrefix}PurchaseValidation`;
+    const purchases = purchaseSources[paymentMethod];
+    const purchaseRows = purchases ? mapSourceRows(purchases) : null;
+
+    if (!rows || (!purchaseRows && !source.fromSnapshot)) {
+        purchaseReports[paymentMethod] = null;
+        renderValidationReport(containerId, null);
+        return rows;
+    }
+
+    const merged = mergePurchases(rows, purchaseRows || []);
+    purchaseReports[paymentMethod] = purchaseRows ? merged.report : null;
+    renderValidationReport(containerId, purchaseReports[paymentMethod]);
+    const container = document.getElementById(containerId);
+    if (container && purchaseRows) {
+        container.insertAdjacentHTML("afterbegin", `<div class="validation-summary">Purchases: ${merged.restocked} item(s) topped up, ${merged.added} new item(s).</div>`);
+    }
+    return merged.rows;
+}
+
+// Purchases wait for the tab's stock when they are uploaded first.
+function handlePurchaseFile(paymentMethod, file) {
+    const tab = STOCK_TABS[paymentMethod];
+    const pickerId = `${tab.idPrefix}PurchaseSheet`;
+    const mappingId = `${tab.idPrefix}PurchaseMapping`;
+    const reapply = () => { if (tab.getSource()) tab.apply(); };
+
+    purchaseSources[paymentMethod] = null;
+    delete uploadedFiles[pickerId];
+    const mapping = document.getElementById(mappingId);
+    if (mapping) mapping.innerHTML = "";
+    reapply();
+
+    ingestFile(file, pickerId, cells => {
+        const source = createMappedSource("purchases", cellsToRows(cells));
+        purchaseSources[paymentMethod] = source;
+        renderColumnMapping(mappingId, source, reapply);
+        reapply();
+    });
+}
+
+// Saves the closing stock of a confirmed export, with the issued ranges of its series.
+function saveClosingSnapshot(paymentMethod, stockMap, bills) {
+    const { prefix } = readNumberingFields(paymentMethod);
+    const dates = bills.map(bill => bill.items[0].date).sort();
+    const year = numberingYear(dates);
+    const snapshot = buildSnapshot(stockMap, {
+        paymentMethod,
+        lastDate: dates.length > 0 ? dates[dates.length - 1] : "",
+        numbering: { prefix, year, ranges: issuedRanges(loadNumberRegistry(), prefix, year) },
+        createdAt: new Date().toISOString()
+    });
+    try {
+        localStorage.setItem(closingStockKey(paymentMethod), JSON.stringify(snapshot));
+    } catch (err) {
+        console.warn(`Closing stock not saved: ${err.message}`);
+    }
+}
+
+function loadSavedSnapshot(paymentMethod) {
+    const saved = localStorage.getItem(closingStockKey(paymentMethod));
+    return saved ? readSnapshot(saved) : { snapshot: null, errors: [`No ${paymentMethod} closing stock saved yet. Export a ${paymentMethod} run first.`] };
+}
+
+function clearSnapshotNote(paymentMethod) {
+    const note = document.getElementById(`${STOCK_TABS[paymentMethod].idPrefix}SnapshotNote`);
+    if (note) note.textContent = "";
+}
+
+/**
+ * Makes a snapshot the tab's stock, carries its issued bill numbers into
+ * the registry and continues its series.
+ * @param {{name: string, size: number, sha256: string}} upload  Where the snapshot came from, for the run history.
+ */
+function applySnapshot(paymentMethod, snapshot, upload) {
+    const tab = STOCK_TABS[paymentMethod];
+    const { prefix, year, ranges } = snapshot.numbering;
+
+    const registry = loadNumberRegistry();
+    const carried = mergeIssuedRanges(registry, prefix, year, ranges);
+    saveNumberRegistry(registry);
+
+    const pickerId = `${tab.idPrefix}StockSheet`;
+    const picker = document.getElementById(pickerId);
+    if (picker) picker.innerHTML = "";
+    uploadedFiles[pickerId] = { role: UPLOAD_ROLES[pickerId], ...upload, sheet: "" };
+
+    const source = createMappedSource("stock", snapshot.items);
+    source.fromSnapshot = true;
+    tab.setSource(source);
+    renderColumnMapping(`${tab.idPrefix}StockMapping`, source, tab.apply);
+    tab.apply();
+
+    const prefixElement = document.getElementById(REVIEW_EXPORTS[paymentMethod].prefixId);
+    if (prefixElement) prefixElement.value = prefix;
+
+    // Cash runs pick up the day after the snapshot's last bill
+    if (paymentMethod === "Cash" && snapshot.lastDate) {
+        const startInput = document.getElementById("cashStartDate");
+        if (startInput && (!startInput.value || startInput.value <= snapshot.lastDate)) {
+            const next = new Date(snapshot.lastDate);
+            next.setUTCDate(next.getUTCDate() + 1);
+            startInput.value = next.toISOString().split('T')[0];
+        }
+        generateDateTable();
+    }
+    prefillStartIndex(paymentMethod);
+
+    const note = document.getElementById(`${tab.idPrefix}SnapshotNote`);
+    if (note) {
+        const billedTo = snapshot.lastDate ? `billed up to ${formatDisplayDate(snapshot.lastDate)}` : "nothing billed";
+        note.textContent = `Continuing from the closing stock of a ${snapshot.paymentMethod} run (${billedTo}, saved ${new Date(snapshot.createdAt).toLocaleString('en-IN')}): ` +
+            `${snapshot.items.length} item(s). ${carried} issued bill range(s) carried into series "${prefix}".`;
+    }
+}
+
+function useSavedSnapshot(paymentMethod) {
+    const { snapshot, errors } = loadSavedSnapshot(paymentMethod);
+    if (!snapshot) {
+        alert(errors.join("\n"));
+        return;
+    }
+    applySnapshot(paymentMethod, snapshot, { name: "Saved closing stock", size: 0, sha256: "" });
+}
+
+async function handleSnapshotFile(paymentMethod, file) {
+    if (!file) return;
+    let bytes;
+    try {
+        bytes = await readFileBytes(file);
+    } catch (err) {
+        alert(`Could not read ${file.name}: ${err.message}`);
+        return;
+    }
+    const { snapshot, errors } = readSnapshot(decodeText(bytes).text);
+    if (!snapshot) {
+        alert(`${file.name}:\n${errors.join("\n")}`);
+        return;
+    }
+    if (snapshot.paymentMethod !== paymentMethod &&
+        !confirm(`${file.name} is the closing stock of a ${snapshot.paymentMethod} run. Use it as the ${paymentMethod} stock anyway?`)) {
+        return;
+    }
+    applySnapshot(paymentMethod, snapshot, { name: file.name, size: file.size, sha256: await hashUpload(bytes) });
+}
+
+// Downloads each tab's saved snapshot.
+function downloadSavedSnapshots() {
+    const snapshots = Object.keys(STOCK_TABS).map(paymentMethod => loadSavedSnapshot(paymentMethod).snapshot).filter(Boolean);
+    if (snapshots.length === 0) {
+        alert("No closing stock saved yet. Export a run first.");
+        return;
+    }
+    snapshots.forEach(snapshot => {
+        downloadText(JSON.stringify(snapshot, null, 2), "application/json",
+            `closing-stock-${snapshot.paymentMethod.toLowerCase()}-${formatDate(snapshot.createdAt)}.json`);
+    });
+}
+
+// ==========================================
+// BILL NUMBERING
+// ------------------------------------------
+// Issued ranges are kept in localStorage per prefix, and per financial
+// year unless numbering runs on across years. Start indices are
+// pre-filled from them and every confirmed export is recorded.
+// ==========================================
+
+const { financialYear, financialYearsOf, issuedRanges, nextStartIndex, findOverlaps, recordIssuedRange, mergeIssuedRanges } = BillNumbering;
+const { parseDate } = BillDates;
+
+const BILL_NUMBERS_KEY = "billGenerator.billNumbers";
+const RESTART_NUMBERING_KEY = "billGenerator.restartNumberingEachYear";
+
+function loadNumberRegistry() {
+    return JSON.parse(localStorage.getItem(BILL_NUMBERS_KEY) || "{}");
+}
+
+function saveNumberRegistry(registry) {
+    localStorage.setItem(BILL_NUMBERS_KEY, JSON.stringify(registry));
+}
+
+function restartsEachYear() {
+    const el = document.getElementById("restartNumbering");
+    return !el || el.checked;
+}
+
+function todayIso() {
+    const now = new Date();
+    const pad = num => String(num).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// ISO dates the tab's next run will bill.
+function plannedRunDates(paymentMethod) {
+    if (paymentMethod === "Cash") return dateAmountTargets.map(target => target.date);
+    const dayFirst = readDayFirst("upiDateOrder");
+    return (billTargets || []).map(target => parseDate(target.date, { dayFirst }).iso).filter(Boolean);
+}
+
+// Series year for a run: the financial year of its first date (today's
+// when there are no dates yet), or null when numbering never restarts.
+function numberingYear(dates) {
+    if (!restartsEachYear()) return null;
+    const years = financialYearsOf(dates);
+    return years.length > 0 ? years[0] : financialYear(todayIso());
+}
+
+function readNumberingFields(paymentMethod) {
+    const settings = REVIEW_EXPORTS[paymentMethod];
+    const prefixElement = document.getElementById(settings.prefixId);
+    const indexElement = document.getElementById(settings.indexId);
+    return {
+        prefix: prefixElement ? prefixElement.value : "BILL",
+        startIndex: indexElement ? (parseInt(indexElement.value, 10) || 1) : 1
+    };
+}
+
+function describeRanges(ranges) {
+    return ranges.map(range => `${range.start}-${range.end} (${range.paymentMethod}, ${new Date(range.issuedAt).toLocaleString('en-IN')})`).join("; ");
+}
+
+function updateNumberingNote(paymentMethod) {
+    const note = document.getElementById(REVIEW_EXPORTS[paymentMethod].numberingNoteId);
+    if (!note) return;
+
+    const dates = plannedRunDates(paymentMethod);
+    const { prefix, startIndex } = readNumberingFields(paymentMethod);
+    const year = numberingYear(dates);
+    const registry = loadNumberRegistry();
+    const series = year ? `"${prefix}" for FY ${year}` : `"${prefix}"`;
+
+    const messages = [`Next free number in series ${series}: ${nextStartIndex(registry, prefix, year)}.`];
+    const overlaps = findOverlaps(registry, prefix, year, startIndex, 1);
+    if (overlaps.length > 0) {
+        messages.push(`Warning: ${startIndex} was already issued (${describeRanges(overlaps)}).`);
+    }
+    if (year && financialYearsOf(dates).length > 1) {
+        messages.push("Warning: these dates cross 1 April; the whole run is numbered in the first year's series. Run each financial year separately to restart numbering.");
+    }
+    note.textContent = messages.join(" ");
+    note.classList.toggle("numbering-warning", messages.length > 1);
+}
+
+/** Sets a tab's start index to the next free number of its series. */
+function prefillStartIndex(paymentMethod) {
+    const { prefix } = readNumberingFields(paymentMethod);
+    const indexElement = document.getElementById(REVIEW_EXPORTS[paymentMethod].indexId);
+    if (indexElement) {
+        indexElement.value = nextStartIndex(loadNumberRegistry(), prefix, numberingYear(plannedRunDates(paymentMethod)));
+    }
+    updateNumberingNote(paymentMethod);
+}
+
+/**
+ * The numbers a bill set will be exported with, read from its tab once so
+ * every step of an export uses the same ones.
+ */
+function readRunNumbering(paymentMethod, bills) {
+    const { prefix, startIndex } = readNumberingFields(paymentMethod);
+    return { paymentMethod, bills, prefix, startIndex, year: numberingYear(bills.map(bill => bill.items[0].date)) };
+}
+
+function describeNumbers({ prefix, startIndex, bills }) {
+    return `${generateBillNumber(startIndex, prefix)} to ${generateBillNumber(startIndex + bills.length - 1, prefix)}`;
+}
+
+/**
+ * Checks the numbers the bill sets of a run are about to use. Sets that
+ * share numbers with each other can't be exported; overlaps with issued
+ * numbers are exported only if the user chooses to go ahead.
+ */
+function confirmBillNumbers(runs) {
+    const planned = {};
+    for (const run of runs) {
+        const { paymentMethod, bills, prefix, year, startIndex } = run;
+        const clashes = findOverlaps(planned, prefix, year, startIndex, bills.length);
+        if (clashes.length > 0) {
+            alert(`The ${paymentMethod} bills (${describeNumbers(run)}) would reuse numbers of the ${clashes.map(range => range.paymentMethod).join(" and ")} bills of this run.\n\n` +
+                `Set the ${paymentMethod} start index to ${nextStartIndex(planned, prefix, year)} or give it another prefix, then export again.`);
+            return false;
+        }
+        recordIssuedRange(planned, { prefix, year, start: startIndex, count: bills.length, paymentMethod, issuedAt: "" });
+    }
+
+    const registry = loadNumberRegistry();
+    const overlapping = runs
+        .map(run => ({ run, overlaps: findOverlaps(registry, run.prefix, run.year, run.startIndex, run.bills.length) }))
+        .filter(({ overlaps }) => overlaps.length > 0);
+    if (overlapping.length === 0) return true;
+
+    const lines = overlapping.map(({ run, overlaps }) => `Bill numbers ${describeNumbers(run)} overlap numbers already issued: ${describeRanges(overlaps)}.`);
+    return confirm(`${lines.join("\n")}\n\nExport anyway?`);
+}
+
+/**
+ * Numbers a combined run's cash bills on from its UPI bills when the two
+ * tabs' numbers would collide in one series (both prefixes default to
+ * "BILL"). Done before the review opens, so it shows the exported numbers.
+ */
+function separateCombinedNumbering(upiBills, cashBills) {
+    const upi = readRunNumbering("UPI", upiBills);
+    const cash = readRunNumbering("Cash", cashBills);
+    if (upi.prefix !== cash.prefix || upi.year !== cash.year || upiBills.length === 0 || cashBills.length === 0) return;
+    const upiEnd = upi.startIndex + upiBills.length - 1;
+    if (cash.startIndex > upiEnd || cash.startIndex + cashBills.length - 1 < upi.startIndex) return;
+
+    const indexElement = document.getElementById(REVIEW_EXPORTS.Cash.indexId);
+    if (indexElement) indexElement.value = upiEnd + 1;
+    updateNumberingNote("Cash");
+}
+
+/** Records the exported bill sets of a run, then moves both tabs on to their next free numbers. */
+function recordBillNumbers(runs) {
+    const registry = loadNumberRegistry();
+    const issuedAt = new Date().toISOString();
+    runs.forEach(({ paymentMethod, bills, prefix, year, startIndex }) => {
+        recordIssuedRange(registry, { prefix, year, start: startIndex, count: bills.length, paymentMethod, issuedAt });
+    });
+    saveNumberRegistry(registry);
+    // Both tabs may share the prefix
+    Object.keys(REVIEW_EXPORTS).forEach(prefillStartIndex);
+}
+
+// ==========================================
+// REVIEW BEFORE EXPORT
+// ------------------------------------------
+// A finished run is held in `pendingReview` and shown grouped by date.
+// Edits go through BillReview so bills and the stock map stay in step;
+// nothing is written until the user confirms.
+// ==========================================
+
+const { groupBillsByDate, setLineQuantity, removeLine, addLine, removeBill } = BillReview;
+const { buildInvoicesHtml } = BillInvoice;
+const { buildEInvoices } = BillEInvoice;
+
+let pendingReview = null;
+
+const formatRupees = value => `₹ ${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Export settings of the tab that produced the run.
+const REVIEW_EXPORTS = {
+    UPI: { billsFile: "generated-upi-bills", stockFile: "updated-upi-stock", prefixId: "billPrefix", indexId: "startIndex", numberingNoteId: "upiNumberingNote", placeOfSupplyId: "upiPlaceOfSupply" },
+    Cash: { billsFile: "cash-bills", stockFile: "updated-cash-stock", prefixId: "cashStockPrefix", indexId: "cashBillStartIndex", numberingNoteId: "cashNumberingNote", placeOfSupplyId: "cashPlaceOfSupply" }
+};
+
+/**
+ * Opens the review screen for a finished run.
+ * @param {Object} run  `{ paymentMethod, bills, stockMap, runInfo, doneMessage }`.
+ *        A combined run has `sets` instead of `bills`: `{ UPI: {bills, skipped, targets}, Cash: {...} }`
+ *        sharing the one stock map, with `paymentMethod` the set shown first.
+ */
+function openReview(run) {
+    pendingReview = { ...run, openBillIndex: null, openDates: new Set() };
+    if (run.sets) selectReviewSet(run.paymentMethod);
+    renderReview();
+    document.getElementById("reviewPanel").scrollIntoView({ behavior: "smooth" });
+}
+
+function closeReview() {
+    pendingReview = null;
+    const panel = document.getElementById("reviewPanel");
+    panel.style.display = "none";
+    panel.innerHTML = "";
+}
+
+// Shows one bill set of a combined run. The set's arrays are shared, so
+// edits made while it is shown stay with it.
+function selectReviewSet(paymentMethod) {
+    Object.assign(pendingReview, { paymentMethod, openBillIndex: null }, pendingReview.sets[paymentMethod]);
+}
+
+// Payment methods of the pending run that have bills to export.
+function reviewSetMethods() {
+    const { sets, paymentMethod } = pendingReview;
+    return sets ? Object.keys(sets).filter(method => sets[method].bills.length > 0) : [paymentMethod];
+}
+
+function exportReviewBills(numbering, today) {
+    const { paymentMethod } = numbering;
+    const settings = REVIEW_EXPORTS[paymentMethod];
+    const filename = `${settings.billsFile}-${today}.xlsx`;
+    const sheets = exportBillsToExcel(pendingReview.bills, filename, numbering, paymentMethod, settings.placeOfSupplyId, pendingReview.runInfo);
+    return { filename, sheets };
+}
+
+function confirmReviewExport() {
+    const { sets, stockMap, doneMessage } = pendingReview;
+    const methods = reviewSetMethods();
+    const billsOf = method => (sets ? sets[method].bills : pendingReview.bills);
+    const today = formatDate(new Date());
+
+    // Numbers are read once: recording one set moves the tabs' start indices on
+    const runs = methods.map(method => readRunNumbering(method, billsOf(method)));
+    if (!confirmBillNumbers(runs)) return;
+
+    // One closing stock for the whole run, reconciled against every bill in it
+    const allBills = methods.flatMap(billsOf);
+    const stockFile = `${sets ? "updated-combined-stock" : REVIEW_EXPORTS[methods[0]].stockFile}-${today}.xlsx`;
+    const stockSheets = exportUpdatedStockToXLSX(stockMap, stockFile, allBills);
+
+    runs.forEach(run => {
+        if (sets) selectReviewSet(run.paymentMethod);
+        const billOutput = exportReviewBills(run, today);
+        recordRunHistory("exported", { bills: billOutput, stock: { filename: stockFile, sheets: stockSheets } });
+    });
+    recordBillNumbers(runs);
+    // A snapshot carries one numbering series; for combined runs it is the cash one
+    saveClosingSnapshot(sets ? "Cash" : methods[0], stockMap, allBills);
+
+    const mismatches = stockSheets["Reconciliation"].filter(check => check["Result"] === "MISMATCH");
+    closeReview();
+    alert(mismatches.length === 0
+        ? doneMessage
+        : `${doneMessage}\n\nStock reconciliation failed:\n${mismatches.map(check => `- ${check["Check"]}: ${check["Actual"]}`).join("\n")}`);
+}
+
+function discardReview() {
+    if (pendingReview.sets) {
+        Object.keys(pendingReview.sets).forEach(method => {
+            selectReviewSet(method);
+            recordRunHistory("discarded", null);
+        });
+    } else {
+        recordRunHistory("discarded", null);
+    }
+    closeReview();
+}
+
+function reviewExportOptions() {
+    const settings = REVIEW_EXPORTS[pendingReview.paymentMethod];
+    const prefixElement = document.getElementById(settings.prefixId);
+    const indexElement = document.getElementById(settings.indexId);
+    return {
+        prefix: prefixElement ? prefixElement.value : "BILL",
+        startIndex: indexElement ? (parseInt(indexElement.value, 10) || 1) : 1,
+        paymentMethod: pendingReview.paymentMethod,
+        sellerState: readSelectValue("sellerState"),
+        placeOfSupply: readSelectValue(settings.placeOfSupplyId)
+    };
+}
+
+// Invoices for the given bills of the pending run, or for all of them.
+function reviewInvoicesHtml(billIndex) {
+    const entries = billIndex === undefined
+        ? pendingReview.bills.map((bill, index) => ({ bill, index }))
+        : [{ bill: pendingReview.bills[billIndex], index: billIndex }];
+    return buildInvoicesHtml(entries, { ...reviewExportOptions(), seller: readSellerDetails() });
+}
+
+function printInvoices(html) {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+        alert("Allow pop-ups for this page to print invoices.");
+        return;
+    }
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.onload = () => printWindow.print();
+}
+
+function downloadText(content, type, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function downloadInvoices(html) {
+    downloadText(html, "text/html", `invoices-${pendingReview.paymentMethod.toLowerCase()}-${formatDate(new Date())}.html`);
+}
+
+// Writes e-invoice JSON for one bill, or a bulk array for the whole run,
+// only when every document passes the bundled schema.
+function exportEInvoices(billIndex) {
+    const entries = billIndex === undefined
+        ? pendingReview.bills.map((bill, index) => ({ bill, index }))
+        : [{ bill: pendingReview.bills[billIndex], index: billIndex }];
+    const { defaultHsn, ...buyer } = readFieldGroup(EINVOICE_BUYER_FIELDS);
+    const results = buildEInvoices(entries, { ...reviewExportOptions(), seller: readSellerDetails(), buyer, defaultHsn });
+
+    const problems = results.flatMap(result => result.errors.map(error => `${result.billNo}: ${error.path} ${error.message}`));
+    if (problems.length > 0) {
+        const shown = problems.slice(0, 15).join("\n");
+        const more = problems.length > 15 ? `\n...and ${problems.length - 15} more` : "";
+        alert(`E-invoice JSON not written, ${problems.length} problem(s) found:\n${shown}${more}`);
+        return;
+    }
+
+    if (results.length === 1) {
+        downloadText(JSON.stringify(results[0].document, null, 2), "application/json", `einvoice-${results[0].billNo.replace(/\//g, "-")}.json`);
+    } else {
+        downloadText(JSON.stringify(results.map(result => result.document), null, 2), "application/json", `einvoices-${formatDate(new Date())}.json`);
+    }
+}
+
+function renderBillEditor(bill, options) {
+    const summary = summarizeBill(bill, options);
+    const lineRows = bill.items.map((line, lineIndex) => `
+        <tr>
+            <td>${escapeHtml(line.name)}</td>
+            <td>${escapeHtml(line.unit)}</td>
+            <td><input type="number" min="0" step="any" value="${line.qty}" data-action="qty" data-line="${lineIndex}"></td>
+            <td>${formatRupees(line.unitPrice)}</td>
+            <td>${line.gstPercent || 0}%</td>
+            <td>${formatRupees(line.itemTotal)}</td>
+            <td><button type="button" class="review-small danger" data-action="remove-line" data-line="${lineIndex}">Remove</button></td>
+        </tr>`).join("");
+
+    const stockOptions = [...pendingReview.stockMap.values()]
+        .filter(item => item.remainingQty > 0)
+        .map(item => `<option value="${escapeHtml(item["Item Details"])}">${escapeHtml(item["Item Details"])} (${item.remainingQty} left)</option>`)
+        .join("");
+
+    const taxParts = summary.interState
+        ? `IGST ${formatRupees(summary.igst)}`
+        : `CGST ${formatRupees(summary.cgst)} | SGST ${formatRupees(summary.sgst)}`;
+
+    return `
+        <div class="review-editor">
+            <table class="review-table">
+                <tr><th>Item</th><th>Unit</th><th>Qty</th><th>Unit Price</th><th>GST</th><th>Line Total</th><th></th></tr>
+                ${lineRows}
+            </table>
+            <div class="review-add-line">
+                <select data-role="add-item">${stockOptions}</select>
+                <input type="number" min="0" step="any" value="1" data-role="add-qty">
+                <button type="button" class="review-small" data-action="add-line" ${stockOptions ? "" : "disabled"}>Add Item</button>
+            </div>
+            <p class="review-totals">
+                Taxable ${formatRupees(summary.taxable)} | ${taxParts} | Cess ${formatRupees(summary.cess)}<br>
+                Total ${formatRupees(summary.total)} | Round off ${formatRupees(summary.roundOff)} | <strong>Bill Total ${formatRupees(summary.finalTotal)}</strong>
+            </p>
+        </div>`;
+}
+
+function renderReview() {
+    const panel = document.getElementById("reviewPanel");
+    const { bills, stockMap, paymentMethod, openBillIndex, openDates } = pendingReview;
+    const options = reviewExportOptions();
+    const groups = groupBillsByDate(bills);
+    const runTotal = groups.reduce((sum, group) => sum + toPaise(group.total), 0);
+
+    const dayBlocks = groups.map(group => {
+        const billRows = group.bills.map(({ bill, index }) => {
+            const isOpen = index === openBillIndex;
+            const row = `
+                <tr class="${isOpen ? "review-open" : ""}">
+                    <td>${escapeHtml(generateBillNumber(index + options.startIndex, options.prefix))}</td>
+                    <td>${escapeHtml(bill.purchaserName || "N/A")}</td>
+                    <td>${bill.items.length}</td>
+                    <td>${formatRupees(bill.total)}</td>
+                    <td>
+                        <button type="button" class="review-small" data-action="toggle-bill" data-bill="${index}">${isOpen ? "Close" : "Edit"}</button>
+                        <button type="button" class="review-small" data-action="print-invoice" data-bill="${index}">Invoice</button>
+                        <button type="button" class="review-small" data-action="einvoice" data-bill="${index}">e-Invoice</button>
+                        <button type="button" class="review-small danger" data-action="remove-bill" data-bill="${index}">Delete Bill</button>
+                    </td>
+                </tr>`;
+            return isOpen ? `${row}<tr><td colspan="5">${renderBillEditor(bill, options)}</td></tr>` : row;
+        }).join("");
+
+        const expanded = openDates.has(group.date) || group.bills.some(({ index }) => index === openBillIndex);
+        return `
+            <details class="review-day" data-date="${escapeHtml(group.date)}" ${expanded ? "open" : ""}>
+                <summary>${escapeHtml(formatDisplayDate(group.date))}: ${group.bills.length} bill(s), ${formatRupees(group.total)}</summary>
+                <table class="review-table">
+                    <tr><th>Bill No</th><th>Purchaser</th><th>Lines</th><th>Total</th><th></th></tr>
+                    ${billRows}
+                </table>
+            </details>`;
+    }).join("");
+
+    const stockRows = buildStockRows(stockMap);
+    const stockValue = stockRows.reduce((sum, row) => sum + toPaise(row["Amount"]), 0);
+    const stockTable = stockRows.map(row => `
+        <tr><td>${escapeHtml(row["Item Details"])}</td><td>${row["Qty."]}</td><td>${formatRupees(row["Amount"])}</td></tr>`).join("");
+
+    const sets = pendingReview.sets;
+    const setSwitcher = sets ? `
+        <p>Combined run: both bill sets were drawn from one stock and are exported together with one closing stock.</p>
+        <div class="review-actions">
+            ${Object.entries(sets).map(([method, set]) => `
+                <button type="button" data-action="review-set" data-method="${method}" ${method === paymentMethod ? "disabled" : ""}>${method} Bills (${set.bills.length})</button>`).join("")}
+        </div>` : "";
+    const hasBills = sets ? reviewSetMethods().length > 0 : bills.length > 0;
+
+    panel.innerHTML = `
+        <h2>Review ${escapeHtml(paymentMethod)} Bills</h2>
+        ${setSwitcher}
+        <p>${bills.length} bill(s) over ${groups.length} day(s), total ${formatRupees(fromPaise(runTotal))}. Nothing is exported until you confirm.</p>
+        ${dayBlocks || "<p>No bills to export.</p>"}
+        <details class="review-day" data-date="__stock" ${openDates.has("__stock") ? "open" : ""}>
+            <summary>Remaining stock: ${formatRupees(fromPaise(stockValue))} (before tax)</summary>
+            <table class="review-table">
+                <tr><th>Item</th><th>Qty Left</th><th>Value</th></tr>
+                ${stockTable}
+            </table>
+        </details>
+        <div class="review-actions">
+            <button type="button" data-action="confirm" ${hasBills ? "" : "disabled"}>${sets ? "Confirm &amp; Export Both" : "Confirm &amp; Export"}</button>
+            <button type="button" data-action="print-all" ${bills.length ? "" : "disabled"}>Print All Invoices</button>
+            <button type="button" data-action="download-invoices" ${bills.length ? "" : "disabled"}>Download Invoices (HTML)</button>
+            <button type="button" data-action="einvoice-all" ${bills.length ? "" : "disabled"}>e-Invoice JSON (All)</button>
+            <button type="button" class="danger" data-action="discard">Discard</button>
+        </div>`;
+    panel.style.display = "block";
+}
+
+function handleReviewAction(event) {
+    const target = event.target.closest("[data-action]");
+    if (!target || !pendingReview) return;
+    const action = target.dataset.action;
+    const { bills, stockMap } = pendingReview;
+    const bill = bills[pendingReview.openBillIndex];
+    let error = null;
+
+    if (action === "confirm") return confirmReviewExport();
+    if (action === "review-set") {
+        selectReviewSet(target.dataset.method);
+        return renderReview();
+    }
+    if (action === "print-invoice") return printInvoices(reviewInvoicesHtml(Number(target.dataset.bill)));
+    if (action === "print-all") return printInvoices(reviewInvoicesHtml());
+    if (action === "download-invoices") return downloadInvoices(reviewInvoicesHtml());
+    if (action === "einvoice") return exportEInvoices(Number(target.dataset.bill));
+    if (action === "einvoice-all") return exportEInvoices();
+    if (action === "discard") {
+        if (confirm("Discard these bills? Nothing will be exported.")) discardReview();
+        return;
+    }
+
+    if (action === "toggle-bill") {
+        const index = Number(target.dataset.bill);
+        pendingReview.openBillIndex = pendingReview.openBillIndex === index ? null : index;
+    } else if (action === "remove-bill") {
+        if (!confirm("Delete this bill and return its items to stock?")) return;
+        error = removeBill(stockMap, bills, Number(target.dataset.bill));
+        pendingReview.openBillIndex = null;
+    } else if (action === "qty") {
+        error = setLineQuantity(stockMap, bill, Number(target.dataset.line), parseFloat(target.value));
+    } else if (action === "remove-line") {
+        error = removeLine(stockMap, bill, Number(target.dataset.line));
+    } else if (action === "add-line") {
+        const editor = target.closest(".review-editor");
+        const itemName = editor.querySelector("[data-role=add-item]").value;
+        const qty = parseFloat(editor.querySelector("[data-role=add-qty]").value);
+        error = addLine(stockMap, bill, itemName, qty);
+    }
+
+    if (error) alert(error);
+    renderReview();
+}
+
+// ==========================================
+// RUN HISTORY
+// ------------------------------------------
+// Every reviewed run, exported or discarded, is recorded in IndexedDB
+// (history.js builds the record) together with the sheets it wrote, so
+// a past run can be downloaded again or exported as an audit trail.
+// ==========================================
+
+const { sha256Hex, buildRunRecord, auditTrail, auditSheets } = BillHistory;
+
+const HISTORY_DB = "billGenerator";
+const HISTORY_STORE = "runs";
+
+let openHistoryId = null;
+
+function openHistoryDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error("IndexedDB is not available in this browser"));
+            return;
+        }
+        const request = indexedDB.open(HISTORY_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request on the runs store and resolves with its result once committed.
+async function historyRequest(mode, makeRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE, mode);
+        const request = makeRequest(tx.objectStore(HISTORY_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    });
+}
+
+function listRunRecords() {
+    return historyRequest("readonly", store => store.getAll());
+}
+
+function getRunRecord(id) {
+    return historyRequest("readonly", store => store.get(id));
+}
+
+/** Records the run under review. Call before the review closes. */
+function recordRunHistory(status, outputs) {
+    const { paymentMethod, bills, runInfo, skipped = [], targets = [], inputs = [] } = pendingReview;
+    const { seed, ...runSettings } = runInfo;
+    const options = reviewExportOptions();
+
+    const record = buildRunRecord({
+        paymentMethod,
+        status,
+        seed,
+        settings: {
+            ...runSettings,
+            "Bill Prefix": options.prefix,
+            "Start Index": options.startIndex,
+            "Seller State Code": options.sellerState,
+            "Place of Supply": options.placeOfSupply || options.sellerState
+        },
+        inputs,
+        bills,
+        targets,
+        skipped,
+        numbering: { prefix: options.prefix, start: options.startIndex, year: numberingYear(bills.map(bill => bill.items[0].date)) },
+        outputs,
+        createdAt: new Date().toISOString()
+    });
+
+    historyRequest("readwrite", store => store.add(record))
+        .then(renderHistory)
+        .catch(err => console.warn(`Run not saved to history: ${err.message}`));
+}
+
+function renderHistoryDetails(record) {
+    const settings = Object.entries(record.settings)
+        .map(([name, value]) => `<li>${escapeHtml(name)}: ${escapeHtml(value)}</li>`).join("");
+    const inputs = record.inputs
+        .map(input => `<li>${escapeHtml(input.role)}: ${escapeHtml(input.name)}${input.sheet ? ` (sheet ${escapeHtml(input.sheet)})` : ""}, ${input.size} bytes, SHA-256 ${escapeHtml(input.sha256 || "n/a")}</li>`).join("");
+    const days = record.days
+        .map(day => `<tr><td>${escapeHtml(formatDisplayDate(day.date))}</td><td>${day.bills}</td><td>${formatRupees(day.total)}</td><td>${day.target === null ? "" : formatRupees(day.target)}</td></tr>`).join("");
+    const skipped = record.skipped.map(entry => `<li>${escapeHtml(entry.message)}</li>`).join("");
+
+    return `
+        <div class="history-details">
+            <strong>Settings</strong><ul>${settings}</ul>
+            <strong>Input files</strong><ul>${inputs || "<li>None recorded</li>"}</ul>
+            <strong>Per day</strong>
+            <table class="review-table"><tr><th>Date</th><th>Bills</th><th>Total</th><th>Target</th></tr>${days}</table>
+            <strong>Skipped</strong><ul class="validation-error">${skipped || "<li>Nothing skipped</li>"}</ul>
+        </div>`;
+}
+
+async function renderHistory() {
+    const container = document.getElementById("historyList");
+    if (!container) return;
+
+    let records;
+    try {
+        records = await listRunRecords();
+    } catch (err) {
+        container.textContent = `Run history unavailable: ${err.message}`;
+        return;
+    }
+    if (records.length === 0) {
+        container.innerHTML = "<p>No runs recorded yet.</p>";
+        return;
+    }
+
+    const rows = records.slice().reverse().map(record => {
+        const range = record.billRange.count > 0 ? `${record.billRange.first} to ${record.billRange.last} (${record.billRange.count})` : "None";
+        const hasOutputs = Boolean(record.outputs);
+        const row = `
+            <tr>
+                <td>${escapeHtml(new Date(record.createdAt).toLocaleString('en-IN'))}</td>
+                <td>${escapeHtml(record.paymentMethod)}</td>
+                <td>${escapeHtml(record.status)}</td>
+                <td>${escapeHtml(range)}</td>
+                <td>${formatRupees(record.total)}</td>
+                <td>${escapeHtml(record.seed)}</td>
+                <td>
+                    <button type="button" class="review-small" data-action="history-details" data-run="${record.id}">${openHistoryId === record.id ? "Hide" : "Details"}</button>
+                    <button type="button" class="review-small" data-action="history-bills" data-run="${record.id}" ${hasOutputs ? "" : "disabled"}>Bills</button>
+                    <button type="button" class="review-small" data-action="history-stock" data-run="${record.id}" ${hasOutputs ? "" : "disabled"}>Stock</button>
+                    <button type="button" class="review-small danger" data-action="history-delete" data-run="${record.id}">Delete</button>
+                </td>
+            </tr>`;
+        return openHistoryId === record.id ? `${row}<tr><td colspan="7">${renderHistoryDetails(record)}</td></tr>` : row;
+    }).join("");
+
+    container.innerHTML = `
+        <table class="review-table">
+            <tr><th>When</th><th>Type</th><th>Status</th><th>Bill Numbers</th><th>Total</th><th>Seed</th><th></th></tr>
+            ${rows}
+        </table>`;
+}
+
+async function handleHistoryAction(event) {
+    const target = event.target.closest("button[data-action]");
+    if (!target) return;
+    const action = target.dataset.action;
+    const runId = Number(target.dataset.run);
+
+    try {
+        if (action === "history-details") {
+            openHistoryId = openHistoryId === runId ? null : runId;
+        } else if (action === "history-bills" || action === "history-stock") {
+            const record = await getRunRecord(runId);
+            const output = record.outputs[action === "history-bills" ? "bills" : "stock"];
+            writeWorkbook(output.sheets, output.filename);
+            return;
+        } else if (action === "history-delete") {
+            if (!confirm("Delete this run from the history? Exported files are not affected.")) return;
+            await historyRequest("readwrite", store => store.delete(runId));
+        } else if (action === "audit-json") {
+            const records = await listRunRecords();
+            downloadText(JSON.stringify(auditTrail(records), null, 2), "application/json", `bill-run-audit-${formatDate(new Date())}.json`);
+            return;
+        } else if (action === "audit-xlsx") {
+            writeWorkbook(auditSheets(await listRunRecords()), `bill-run-audit-${formatDate(new Date())}.xlsx`);
+            return;
+        } else if (action === "snapshot-download") {
+            downloadSavedSnapshots();
+            return;
+        }
+    } catch (err) {
+        alert(`Run history: ${err.message}`);
+        return;
+    }
+    renderHistory();
+}
+
+// --- UPI GENERATION LOGIC (RESTORED) ---
+async function tryGenerateAllBills() {
+    if (!stockData || !billTargets) return;
+
+    const btn = document.getElementById("generateBtn");
+    const originalText = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = "Processing...";
+
+    const targets = billTargets.map(target => ({ ...target, placeOfSupply: normalizeStateCode(target.placeOfSupply) }));
+    const options = { seed: readSeedInput("upiSeed"), dayFirst: readDayFirst("upiDateOrder"), unitSteps: readUnitSteps() };
+
+    // The main-thread fallback reports progress straight away, so the panel opens first
+    let run;
+    const progressPanel = openProgressPanel("upiProgress", () => run.cancel());
+    const onProgress = ({ index, total, billsTotal, skippedCount }) => {
+        progressPanel.update((index / total) * 100, `Target ${index + 1} of ${total}`, `Bills: ${billsTotal} | Unmatched: ${skippedCount}`);
+    };
+    run = runGeneration("upi", stockData, targets, options, onProgress);
+
+    let result;
+    try {
+        result = await run.promise;
+    } catch (err) {
+        progressPanel.close();
+        btn.textContent = originalText;
+        btn.disabled = false;
+        alert(`UPI generation failed: ${err.message}`);
+        return;
+    }
+    progressPanel.close();
+
+    const { bills, stockMap, skipped, seed, cancelled } = result;
+    skipped.forEach(entry => console.warn(entry.message));
+
+    btn.textContent = originalText;
+    btn.disabled = false;
+
+    let doneMessage = `UPI Bills Generated Successfully! (Seed: ${seed})`;
+    if (cancelled) {
+        doneMessage = `UPI run cancelled. The bills made before cancelling are ready for review. (Seed: ${seed})`;
+    } else if (skipped.length > 0) {
+        doneMessage = `UPI Bills Generated. ${skipped.length} target(s) could not be matched from stock. (Seed: ${seed})`;
+    }
+    openReview({
+        paymentMethod: "UPI", bills, stockMap, skipped, doneMessage,
+        runInfo: { seed, "Date Order": readDayFirst("upiDateOrder") ? "Day first" : "Month first" },
+        inputs: [uploadedFiles.upiStockSheet, uploadedFiles.upiPurchaseSheet, uploadedFiles.billTargetSheet].filter(Boolean).map(upload => ({ ...upload }))
+    });
+}
+
+// --- MAIN CASH LOGIC ---
+async function tryGenerateCashBills() {
+    const minBill = parseFloat(document.getElementById("cashMinBill").value);
+    const maxBill = parseFloat(document.getElementById("cashMaxBill").value);
+
+    if (!cashStockData || isNaN(minBill) || isNaN(maxBill)) return;
+
+    const btn = document.getElementById("generateCashBtn");
+    const originalText = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = "Processing...";
+
+    const statusArea = document.getElementById("statusArea");
+    const logList = document.getElementById("skippedDaysLog");
+    if(statusArea) statusArea.style.display = "block";
+    if(logList) logList.innerHTML = "";
+
+    let run;
+    const progressPanel = openProgressPanel("cashProgress", () => run.cancel());
+    const onProgress = ({ date, dayIndex, dayCount, accumulated, targetAmount, failures, billsToday, billsTotal, skippedDays }) => {
+        const dayPct = (accumulated / targetAmount) * 100;
+        progressPanel.update(
+            dayPct,
+            `Day ${dayIndex + 1} of ${dayCount} (${formatDisplayDate(date)}): ${dayPct.toFixed(0)}%`,
+            `Bills today: ${billsToday} | Bills total: ${billsTotal} | Failed attempts: ${failures} | Skipped days: ${skippedDays}`
+        );
+    };
+    const options = { minBill, maxBill, purchaserNames, seed: readSeedInput("cashSeed"), unitSteps: readUnitSteps() };
+    run = runGeneration("cash", cashStockData, dateAmountTargets, options, onProgress);
+
+    let result;
+    try {
+        result = await run.promise;
+    } catch (err) {
+        progressPanel.close();
+        btn.textContent = originalText;
+        btn.disabled = false;
+        alert(`Cash generation failed: ${err.message}`);
+        return;
+    }
+    progressPanel.close();
+
+    const { bills, stockMap, skipped, seed, cancelled } = result;
+
+    skipped.forEach(entry => {
+        console.warn(entry.message);
+        if(logList) {
+            const li = document.createElement("li");
+            li.textContent = entry.message;
+            if (entry.fullDay) {
+                li.style.color = "red";
+                li.style.fontWeight = "bold";
+            }
+            logList.appendChild(li);
+        }
+    });
+
+    btn.textContent = originalText;
+    btn.disabled = false;
+
+    let doneMessage = `Bills generated successfully for ALL days! (Seed: ${seed})`;
+    if (cancelled) {
+        doneMessage = `Run cancelled. The bills made before cancelling are ready for review. (Seed: ${seed})`;
+    } else if (skipped.length > 0) {
+        doneMessage = `Completed with some skipped days. Check the log. (Seed: ${seed})`;
+    }
+    openReview({
+        paymentMethod: "Cash", bills, stockMap, skipped, doneMessage,
+        runInfo: { seed, "Min Bill": minBill, "Max Bill": maxBill, "Purchasers": purchaserNames.length, "Off Days": describeOffDays() },
+        targets: dateAmountTargets.map(target => ({ ...target })),
+        inputs: [uploadedFiles.cashStockSheet, uploadedFiles.cashPurchaseSheet, uploadedFiles.cashTargetsSheet, uploadedFiles.purchaserSheet]
+            .filter(Boolean).map(upload => ({ ...upload }))
+    });
+}
+
+// --- COMBINED UPI + CASH LOGIC ---
+async function tryGenerateCombinedBills() {
+    const minBill = parseFloat(document.getElementById("cashMinBill").value);
+    const maxBill = parseFloat(document.getElementById("cashMaxBill").value);
+
+    if (!cashStockData || !billTargets || isNaN(minBill) || isNaN(maxBill)) return;
+
+    const btn = document.getElementById("generateCombinedBtn");
+    const originalText = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = "Processing...";
+
+    const logList = document.getElementById("combinedSkippedLog");
+    if(logList) logList.innerHTML = "";
+
+    const upiTargets = billTargets.map(target => ({ ...target, placeOfSupply: normalizeStateCode(target.placeOfSupply) }));
+    const targets = { upi: upiTargets, cash: dateAmountTargets };
+    const options = { minBill, maxBill, purchaserNames, seed: readSeedInput("combinedSeed"), dayFirst: readDayFirst("upiDateOrder"), unitSteps: readUnitSteps() };
+
+    let run;
+    const progressPanel = openProgressPanel("combinedProgress", () => run.cancel());
+    const onProgress = ({ date, dayIndex, dayCount, paymentMethod, upiBills, cashBills, skippedCount }) => {
+        progressPanel.update(
+            (dayIndex / dayCount) * 100,
+            `Day ${dayIndex + 1} of ${dayCount} (${formatDisplayDate(date)}): ${paymentMethod} bills`,
+            `UPI bills: ${upiBills} | Cash bills: ${cashBills} | Skipped: ${skippedCount}`
+        );
+    };
+    run = runGeneration("combined", cashStockData, targets, options, onProgress);
+
+    let result;
+    try {
+        result = await run.promise;
+    } catch (err) {
+        progressPanel.close();
+        btn.textContent = originalText;
+        btn.disabled = false;
+        alert(`Combined generation failed: ${err.message}`);
+        return;
+    }
+    progressPanel.close();
+
+    const { upiBills, cashBills, stockMap, skipped, seed, cancelled } = result;
+    skipped.forEach(entry => {
+        console.warn(entry.message);
+        if(logList) {
+            const li = document.createElement("li");
+            li.textContent = `${entry.paymentMethod}: ${entry.message}`;
+            logList.appendChild(li);
+        }
+    });
+
+    btn.textContent = originalText;
+    btn.disabled = false;
+
+    let doneMessage = `UPI and Cash bills generated from one stock! (Seed: ${seed})`;
+    if (cancelled) {
+        doneMessage = `Combined run cancelled. The bills made before cancelling are ready for review. (Seed: ${seed})`;
+    } else if (skipped.length > 0) {
+        doneMessage = `Combined run completed with ${skipped.length} skipped target(s). Check the log. (Seed: ${seed})`;
+    }
+    const skippedFor = method => skipped.filter(entry => entry.paymentMethod === method);
+    separateCombinedNumbering(upiBills, cashBills);
+    openReview({
+        paymentMethod: "UPI",
+        sets: {
+            UPI: { bills: upiBills, skipped: skippedFor("UPI"), targets: [] },
+            Cash: { bills: cashBills, skipped: skippedFor("Cash"), targets: dateAmountTargets.map(target => ({ ...target })) }
+        },
+        stockMap, doneMessage,
+        runInfo: {
+            seed, "Mode": "Combined (UPI + Cash)", "Date Order": readDayFirst("upiDateOrder") ? "Day first" : "Month first",
+            "Min Bill": minBill, "Max Bill": maxBill, "Purchasers": purchaserNames.length, "Off Days": describeOffDays()
+        },
+        inputs: [uploadedFiles.cashStockSheet, uploadedFiles.cashPurchaseSheet, uploadedFiles.cashTargetsSheet, uploadedFiles.billTargetSheet, uploadedFiles.purchaserSheet]
+            .filter(Boolean).map(upload => ({ ...upload }))
+    });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const stockInput = document.getElementById("stockInput");
+    const billInput = document.getElementById("billInput");
+    const generateBtn = document.getElementById("generateBtn");
+    
+    const cashStockInput = document.getElementById("cashStockInput");
+    const generateCashBtn = document.getElementById("generateCashBtn");
+    const cashStartDateInput = document.getElementById("cashStartDate");
+    const cashEndDateInput = document.getElementById("cashEndDate");
+    const purchaserNamesInput = document.getElementById("purchaserNamesInput"); 
+
+    if(stockInput) stockInput.onchange = e => handleStockFile(e.target.files[0]);
+    if(billInput) billInput.onchange = e => handleBillAmountFile(e.target.files[0]);
+    if(generateBtn) generateBtn.onclick = tryGenerateAllBills;
+
+    restoreBusinessCalendar();
+    if(cashStartDateInput) cashStartDateInput.onchange = generateDateTable;
+    if(cashEndDateInput) cashEndDateInput.onchange = generateDateTable;
+    document.querySelectorAll("#cashOffDays input").forEach(box => { box.onchange = onBusinessCalendarChange; });
+    const cashHolidays = document.getElementById("cashHolidays");
+    if(cashHolidays) cashHolidays.onchange = onBusinessCalendarChange;
+
+    const cashTargetsInput = document.getElementById("cashTargetsInput");
+    if(cashTargetsInput) cashTargetsInput.onchange = e => handleCashTargetsFile(e.target.files[0]);
+    const cashDateOrder = document.getElementById("cashDateOrder");
+    if(cashDateOrder) cashDateOrder.onchange = () => {
+        if (cashTargetsSource) applyCashTargetsMapping();
+        generateDateTable();
+    };
+    const exportTargetsXlsx = document.getElementById("exportTargetsXlsx");
+    const exportTargetsCsv = document.getElementById("exportTargetsCsv");
+    if(exportTargetsXlsx) exportTargetsXlsx.onclick = () => exportDailyTargets("xlsx");
+    if(exportTargetsCsv) exportTargetsCsv.onclick = () => exportDailyTargets("csv");
+
+    ["cashMinBill", "cashMaxBill"].forEach(id => {
+        const el = document.getElementById(id);
+        if(el) el.oninput = updateGenerateCashButtonState;
+    });
+
+    if(cashStockInput) cashStockInput.onchange = e => handleCashStockFile(e.target.files[0]);
+    if(purchaserNamesInput) purchaserNamesInput.onchange = e => handlePurchaserNamesFile(e.target.files[0]);
+    
+    if(generateCashBtn) generateCashBtn.onclick = tryGenerateCashBills;
+
+    const generateCombinedBtn = document.getElementById("generateCombinedBtn");
+    if(generateCombinedBtn) generateCombinedBtn.onclick = tryGenerateCombinedBills;
+    updateGenerateCombinedButtonState();
+
+    const pricesInclusive = JSON.parse(localStorage.getItem(PRICES_INCLUSIVE_KEY) || "{}");
+    Object.entries(STOCK_TABS).forEach(([paymentMethod, tab]) => {
+        const inclusiveBox = document.getElementById(`${tab.idPrefix}PricesInclusive`);
+        if(inclusiveBox) {
+            inclusiveBox.checked = pricesInclusive[paymentMethod] === true;
+            inclusiveBox.onchange = () => {
+                pricesInclusive[paymentMethod] = inclusiveBox.checked;
+                localStorage.setItem(PRICES_INCLUSIVE_KEY, JSON.stringify(pricesInclusive));
+                if (tab.getSource()) tab.apply();
+            };
+        }
+        const savedBtn = document.getElementById(`${tab.idPrefix}UseSavedStock`);
+        const snapshotInput = document.getElementById(`${tab.idPrefix}SnapshotInput`);
+        const purchaseInput = document.getElementById(`${tab.idPrefix}PurchaseInput`);
+        if(savedBtn) savedBtn.onclick = () => useSavedSnapshot(paymentMethod);
+        if(snapshotInput) snapshotInput.onchange = e => handleSnapshotFile(paymentMethod, e.target.files[0]);
+        if(purchaseInput) purchaseInput.onchange = e => handlePurchaseFile(paymentMethod, e.target.files[0]);
+    });
+
+    Object.values(FEASIBILITY_PANELS).forEach(panel => {
+        const container = document.getElementById(panel.containerId);
+        if(!container) return;
+        container.addEventListener("click", event => {
+            const button = event.target.closest("button[data-action=feasibility-apply]");
+            if (button) applyFeasibilitySuggestion(button.dataset.mode, Number(button.dataset.index));
+        });
+    });
+
+    const historyPanel = document.getElementById("historyPanel");
+    if(historyPanel) historyPanel.addEventListener("click", handleHistoryAction);
+    renderHistory();
+
+    const reviewPanel = document.getElementById("reviewPanel");
+    if(reviewPanel) {
+        reviewPanel.addEventListener("click", event => {
+            if (event.target.closest("button[data-action]")) handleReviewAction(event);
+        });
+        reviewPanel.addEventListener("change", event => {
+            if (event.target.matches("input[data-action=qty]")) handleReviewAction(event);
+        });
+        // <details> toggles don't bubble; keep open days open across re-renders
+        reviewPanel.addEventListener("toggle", event => {
+            const date = event.target.dataset && event.target.dataset.date;
+            if (!date || !pendingReview) return;
+            if (event.target.open) pendingReview.openDates.add(date);
+            else pendingReview.openDates.delete(date);
+        }, true);
+    }
+
+    const upiDateOrder = document.getElementById("upiDateOrder");
+    if(upiDateOrder) upiDateOrder.onchange = () => {
+        if (billTargetSource) applyBillTargetMapping();
+        if (statementSource) applyStatementMapping();
+    };
+
+    const statementInput = document.getElementById("statementInput");
+    if(statementInput) statementInput.onchange = e => handleStatementFile(e.target.files[0]);
+    const statementFilter = document.getElementById("statementFilter");
+    if(statementFilter) {
+        const savedFilter = localStorage.getItem(STATEMENT_FILTER_KEY);
+        statementFilter.value = savedFilter === null ? DEFAULT_NARRATION_FILTER : savedFilter;
+        statementFilter.onchange = () => {
+            localStorage.setItem(STATEMENT_FILTER_KEY, statementFilter.value);
+            if (statementSource) applyStatementMapping();
+        };
+    }
+    const statementReceipts = document.getElementById("statementReceipts");
+    if(statementReceipts) {
+        statementReceipts.addEventListener("click", event => {
+            if (event.target.closest("button[data-action]")) handleStatementAction(event);
+        });
+        statementReceipts.addEventListener("change", event => {
+            if (event.target.matches("input[data-action=tick-receipt]")) handleStatementAction(event);
+        });
+    }
+
+    const sellerStateSelect = document.getElementById("sellerState");
+    if(sellerStateSelect) {
+        populateStateSelect(sellerStateSelect, "Not set (CGST/SGST)");
+        sellerStateSelect.value = localStorage.getItem(SELLER_STATE_KEY) || "";
+        sellerStateSelect.onchange = () => localStorage.setItem(SELLER_STATE_KEY, sellerStateSelect.value);
+    }
+    bindFieldGroup(SELLER_DETAIL_FIELDS, SELLER_DETAILS_KEY);
+    bindFieldGroup(UNIT_STEP_FIELDS, UNIT_STEPS_KEY);
+    Object.values(UNIT_STEP_FIELDS).forEach(id => {
+        const el = document.getElementById(id);
+        if(!el) return;
+        const save = el.onchange;
+        el.onchange = () => {
+            save();
+            if (stockSource) applyStockMapping();
+            if (cashStockSource) applyCashStockMapping();
+        };
+    });
+
+    const restartNumbering = document.getElementById("restartNumbering");
+    if(restartNumbering) {
+        restartNumbering.checked = localStorage.getItem(RESTART_NUMBERING_KEY) !== "false";
+        restartNumbering.onchange = () => {
+            localStorage.setItem(RESTART_NUMBERING_KEY, String(restartNumbering.checked));
+            Object.keys(REVIEW_EXPORTS).forEach(prefillStartIndex);
+        };
+    }
+    Object.entries(REVIEW_EXPORTS).forEach(([paymentMethod, settings]) => {
+        const prefixElement = document.getElementById(settings.prefixId);
+        const indexElement = document.getElementById(settings.indexId);
+        if(prefixElement) prefixElement.oninput = () => prefillStartIndex(paymentMethod);
+        if(indexElement) indexElement.oninput = () => updateNumberingNote(paymentMethod);
+        prefillStartIndex(paymentMethod);
+    });
+    const einvBuyerState = document.getElementById("einvBuyerState");
+    if(einvBuyerState) populateStateSelect(einvBuyerState, "Same as place of supply");
+    bindFieldGroup(EINVOICE_BUYER_FIELDS, EINVOICE_BUYER_KEY);
+    ["upiPlaceOfSupply", "cashPlaceOfSupply"].forEach(id => {
+        const el = document.getElementById(id);
+        if(el) populateStateSelect(el, "Same as seller state");
+    });
 
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.onclick = function () {
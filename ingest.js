@@ -0,0 +1,181 @@
+// ==========================================
+// FILE INGESTION (headless)
+// ------------------------------------------
+// Every upload becomes a grid of cells (an array of rows, header first),
+// whether it came from a workbook sheet or a CSV/TSV file. This module
+// handles the text side: guessing the encoding and delimiter, parsing
+// quoted fields, and turning a grid into header-keyed rows.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillIngest = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TEXT_EXTENSIONS = ["csv", "tsv", "txt"];
+    const DELIMITERS = [",", "\t", ";", "|"];
+    const DELIMITER_NAMES = { ",": "comma", "\t": "tab", ";": "semicolon", "|": "pipe" };
+
+    function fileExtension(filename) {
+        const match = String(filename || "").toLowerCase().match(/\.([a-z0-9]+)$/);
+        return match ? match[1] : "";
+    }
+
+    /** True for files read as delimited text rather than as a workbook. */
+    function isTextFile(filename) {
+        return TEXT_EXTENSIONS.includes(fileExtension(filename));
+    }
+
+    /**
+     * Decodes file bytes. A byte-order mark decides UTF-8/UTF-16; otherwise
+     * UTF-8 is tried strictly and Windows-1252 (what Excel on Windows and
+     * most Indian accounting software write) is the fallback.
+     * @param {Uint8Array} bytes
+     * @returns {{text: string, encoding: string}}
+     */
+    function decodeText(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder("utf-8").decode(bytes.subarray(3)), encoding: "utf-8" };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder("utf-16le").decode(bytes.subarray(2)), encoding: "utf-16le" };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder("utf-16be").decode(bytes.subarray(2)), encoding: "utf-16be" };
+        }
+        try {
+            return { text: new TextDecoder("utf-8", { fatal: true }).decode(bytes), encoding: "utf-8" };
+        } catch (err) {
+            return { text: new TextDecoder("windows-1252").decode(bytes), encoding: "windows-1252" };
+        }
+    }
+
+    // Counts delimiter characters outside quotes on one line.
+    function countOutsideQuotes(line, delimiter) {
+        let count = 0;
+        let quoted = false;
+        for (const ch of line) {
+            if (ch === '"') quoted = !quoted;
+            else if (ch === delimiter && !quoted) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Picks the delimiter that splits the first lines most consistently:
+     * the same non-zero count on every line wins, then the highest count.
+     */
+    function detectDelimiter(text) {
+        const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== "").slice(0, 10);
+        let best = { delimiter: ",", consistent: false, count: 0 };
+
+        DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+            const count = counts[0] || 0;
+            if (count === 0) return;
+            const consistent = counts.every(c => c === count);
+            if ((consistent && !best.consistent) || (consistent === best.consistent && count > best.count)) {
+                best = { delimiter, consistent, count };
+            }
+        });
+        return best.delimiter;
+    }
+
+    /**
+     * Parses delimited text into rows of cells. Quoted fields may contain
+     * the delimiter, line breaks and doubled quotes ("").
+     */
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === "") {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = "";
+            } else if (ch === "\n" || ch === "\r") {
+                if (ch === "\r" && text[i + 1] === "\n") i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== "" || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Reads a CSV/TSV file's bytes into a cell grid.
+     * @returns {{cells: string[][], encoding: string, delimiter: string, delimiterName: string}}
+     */
+    function readDelimitedFile(bytes) {
+        const { text, encoding } = decodeText(bytes);
+        const delimiter = detectDelimiter(text);
+        const cells = parseDelimited(text, delimiter).map(row => row.map(cell => cell.trim()));
+        return { cells, encoding, delimiter, delimiterName: DELIMITER_NAMES[delimiter] };
+    }
+
+    function isBlankCell(cell) {
+        return cell === undefined || cell === null || String(cell).trim() === "";
+    }
+
+    /**
+     * Turns a cell grid into objects keyed by the first row, the shape the
+     * column mapping reads. Blank cells leave their key out and blank rows
+     * are dropped; unnamed columns become "Column N" and repeated headers
+     * get a "_1", "_2"... suffix.
+     */
+    function cellsToRows(cells) {
+        if (cells.length === 0) return [];
+        const seen = {};
+        const headers = (cells[0] || []).map((header, index) => {
+            const name = isBlankCell(header) ? `Column ${index + 1}` : String(header).trim();
+            seen[name] = (seen[name] || 0) + 1;
+            return seen[name] > 1 ? `${name}_${seen[name] - 1}` : name;
+        });
+
+        return cells.slice(1)
+            .filter(row => row && row.some(cell => !isBlankCell(cell)))
+            .map(row => {
+                const out = {};
+                row.forEach((cell, index) => {
+                    if (isBlankCell(cell)) return;
+                    out[headers[index] || `Column ${index + 1}`] = cell;
+                });
+                return out;
+            });
+    }
+
+    return {
+        isTextFile,
+        decodeText,
+        detectDelimiter,
+        parseDelimited,
+        readDelimitedFile,
+        cellsToRows
+    };
+}));
@@ -0,0 +1,196 @@
+// ==========================================
+// TAX INVOICES (headless)
+// ------------------------------------------
+// Printable invoice per bill, as a standalone HTML document the browser
+// can print or save as PDF. Figures come from buildBillRows, so an
+// invoice always matches its rows in the exported bills sheet.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./gst'), require('./money'));
+    } else {
+        root.BillInvoice = factory(root.BillEngine, root.BillGst, root.BillMoney);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, gst, money) {
+    'use strict';
+
+    const ONES = ["", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+        "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"];
+    const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+    // Indian grouping: crore, lakh, thousand, hundred.
+    const SCALES = [[10000000, "Crore"], [100000, "Lakh"], [1000, "Thousand"], [100, "Hundred"]];
+
+    function belowHundred(num) {
+        if (num < 20) return ONES[num];
+        return [TENS[Math.floor(num / 10)], ONES[num % 10]].filter(Boolean).join(" ");
+    }
+
+    function integerInWords(num) {
+        if (num === 0) return "Zero";
+        const words = [];
+        for (const [size, name] of SCALES) {
+            if (num >= size) {
+                // Above 99 crore the crore count is itself spelt out in full
+                words.push(`${size === 10000000 ? integerInWords(Math.floor(num / size)) : belowHundred(Math.floor(num / size))} ${name}`);
+                num %= size;
+            }
+        }
+        if (num > 0) words.push(belowHundred(num));
+        return words.join(" ");
+    }
+
+    /** "Rupees One Lakh Twenty Thousand and Fifty Paise Only" style amount. */
+    function amountInWords(rupees) {
+        const paise = Math.abs(money.toPaise(rupees));
+        const whole = Math.floor(paise / 100);
+        const fraction = paise % 100;
+        let words = `Rupees ${integerInWords(whole)}`;
+        if (fraction > 0) words += ` and ${belowHundred(fraction)} Paise`;
+        return `${rupees < 0 ? "Minus " : ""}${words} Only`;
+    }
+
+    function escapeHtml(text) {
+        return String(text === undefined || text === null ? "" : text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    const formatAmount = value => Number(value).toFixed(2);
+
+    function stateLabel(code) {
+        return code ? `${gst.getStateName(code)} (${code})` : "";
+    }
+
+    const INVOICE_STYLE = `
+        body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 0; }
+        .invoice { padding: 24px; page-break-after: always; }
+        .invoice:last-child { page-break-after: auto; }
+        h1 { font-size: 18px; text-align: center; margin: 0 0 12px 0; }
+        .parties { display: flex; justify-content: space-between; margin-bottom: 12px; }
+        .parties div { width: 48%; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+        th, td { border: 1px solid #999; padding: 4px 6px; }
+        th { background: #eee; }
+        td.num, th.num { text-align: right; }
+        .totals { width: 45%; margin-left: auto; }
+        .words { font-weight: bold; }
+        .sign { margin-top: 40px; text-align: right; }
+        @media print { .invoice { padding: 0; } }
+    `;
+
+    /**
+     * Body of one invoice.
+     * @param {Object} bill
+     * @param {Object} options
+     * @param {number} options.billIndex  Position of the bill in the run (0-based).
+     * @param {string} [options.prefix]
+     * @param {number} [options.startIndex]
+     * @param {string} options.paymentMethod
+     * @param {string} [options.sellerState]
+     * @param {string} [options.placeOfSupply]  Batch place of supply.
+     * @param {{name: string, gstin: string, address: string}} [options.seller]
+     */
+    function buildInvoiceSection(bill, options) {
+        const { billIndex, prefix = "BILL", startIndex = 1, paymentMethod, seller = {} } = options;
+        const rows = engine.buildBillRows([bill], { ...options, prefix, startIndex: startIndex + billIndex, purchaserNames: [] });
+        const summary = engine.summarizeBill(bill, options);
+        const first = rows[0];
+
+        const gstHeaders = summary.interState
+            ? `<th class="num">IGST %</th><th class="num">IGST</th>`
+            : `<th class="num">CGST %</th><th class="num">CGST</th><th class="num">SGST %</th><th class="num">SGST</th>`;
+
+        const lineRows = rows.map((row, index) => {
+            const line = bill.items[index];
+            const gstCells = summary.interState
+                ? `<td class="num">${row["IGST %"]}</td><td class="num">${formatAmount(row["IGST Amount"])}</td>`
+                : `<td class="num">${row["CGST %"]}</td><td class="num">${formatAmount(row["CGST Amount"])}</td>` +
+                  `<td class="num">${row["SGST %"]}</td><td class="num">${formatAmount(row["SGST Amount"])}</td>`;
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(row["Item Name"])}</td>
+                    <td>${escapeHtml(row["HSN"])}</td>
+                    <td class="num">${row["Quantity"]}</td>
+                    <td>${escapeHtml(line.unit)}</td>
+                    <td class="num">${formatAmount(row["Unit Price"])}</td>
+                    <td class="num">${formatAmount(row["Item Price"])}</td>
+                    ${gstCells}
+                    <td class="num">${line.cessPercent || 0}</td>
+                    <td class="num">${formatAmount(row["CESS Tax Amount"])}</td>
+                    <td class="num">${formatAmount(row["Item Total"])}</td>
+                </tr>`;
+        }).join("");
+
+        const taxRows = summary.interState
+            ? `<tr><td>IGST</td><td class="num">${formatAmount(summary.igst)}</td></tr>`
+            : `<tr><td>CGST</td><td class="num">${formatAmount(summary.cgst)}</td></tr>` +
+              `<tr><td>SGST</td><td class="num">${formatAmount(summary.sgst)}</td></tr>`;
+
+        return `
+        <div class="invoice">
+            <h1>TAX INVOICE</h1>
+            <div class="parties">
+                <div>
+                    <strong>${escapeHtml(seller.name)}</strong><br>
+                    ${escapeHtml(seller.address).replace(/\n/g, "<br>")}<br>
+                    GSTIN: ${escapeHtml(seller.gstin)}<br>
+                    State: ${escapeHtml(stateLabel(first["Seller State Code"]))}
+                </div>
+                <div>
+                    Invoice No: <strong>${escapeHtml(first["Bill No"])}</strong><br>
+                    Date: ${escapeHtml(first["Date"])}<br>
+                    Billed To: ${escapeHtml(first["Purchaser Name"])}<br>
+                    Place of Supply: ${escapeHtml(stateLabel(first["Place of Supply"]))}<br>
+                    Payment: ${escapeHtml(paymentMethod)}${first["Payment Reference"] ? ` (Ref: ${escapeHtml(first["Payment Reference"])})` : ""}
+                </div>
+            </div>
+            <table>
+                <tr>
+                    <th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th>Unit</th><th class="num">Rate</th>
+                    <th class="num">Taxable</th>${gstHeaders}<th class="num">Cess %</th><th class="num">Cess</th><th class="num">Total</th>
+                </tr>
+                ${lineRows}
+            </table>
+            <table class="totals">
+                <tr><td>Taxable Value</td><td class="num">${formatAmount(summary.taxable)}</td></tr>
+                ${taxRows}
+                <tr><td>Cess</td><td class="num">${formatAmount(summary.cess)}</td></tr>
+                <tr><td>Total</td><td class="num">${formatAmount(summary.total)}</td></tr>
+                <tr><td>Round off</td><td class="num">${formatAmount(summary.roundOff)}</td></tr>
+                <tr><th>Invoice Total</th><th class="num">${formatAmount(summary.finalTotal)}</th></tr>
+            </table>
+            <p class="words">${escapeHtml(amountInWords(summary.finalTotal))}</p>
+            <p class="sign">For ${escapeHtml(seller.name)}<br><br>Authorised Signatory</p>
+        </div>`;
+    }
+
+    /**
+     * Full HTML document with one invoice per page.
+     * @param {{bill: Object, index: number}[]} entries  Bills and their positions in the run.
+     * @param {Object} options  As for buildInvoiceSection, without `billIndex`.
+     */
+    function buildInvoicesHtml(entries, options) {
+        const sections = entries.map(({ bill, index }) => buildInvoiceSection(bill, { ...options, billIndex: index })).join("");
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Tax Invoices</title>
+<style>${INVOICE_STYLE}</style>
+</head>
+<body>${sections}
+</body>
+</html>`;
+    }
+
+    return {
+        amountInWords,
+        buildInvoiceSection,
+        buildInvoicesHtml
+    };
+}));
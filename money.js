@@ -0,0 +1,115 @@
+// ==========================================
+// MONEY (headless)
+// ------------------------------------------
+// All money and tax is computed in integer paise.
+//
+// ROUNDING POLICY (per line):
+//   1. Prices, MRPs and amounts are read to the paisa; quantities to
+//      3 decimals; rates to 2 decimals (e.g. 0.25%).
+//   2. Each bill line rounds its taxable value, GST and cess half-up to
+//      the paisa, independently of the other lines.
+//   3. CGST and SGST split the line's GST exactly: CGST takes the odd
+//      paisa, so CGST + SGST always equals the GST.
+//   4. A bill total is the exact sum of its line totals, and a day total
+//      the exact sum of its bills. Nothing is rounded again on the way up.
+//   5. Cash bills are rounded once, at bill level, to the nearest rupee;
+//      the difference is the "Round off".
+//   6. A tax-inclusive price makes price x qty the line total. Cess is
+//      worked out on the MRP as usual, the taxable value is backed out of
+//      what is left and rounded, and GST takes the remainder, so the parts
+//      still add up to the total.
+// Rupee values shown to users or written to sheets are paise / 100.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillMoney = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Shifts the decimal point in the number's text rather than multiplying,
+    // so 1.005 becomes 100.5 (and rounds to 101) instead of 100.49999...
+    function scaleRound(value, digits) {
+        const number = Number(value) || 0;
+        let shifted = Number(`${Math.abs(number)}e${digits}`);
+        if (isNaN(shifted)) shifted = Math.abs(number) * Math.pow(10, digits); // already in exponent form
+        const scaled = Math.round(shifted);
+        return number < 0 ? -scaled : scaled;
+    }
+
+    function toPaise(rupees) {
+        return scaleRound(rupees, 2);
+    }
+
+    function fromPaise(paise) {
+        return paise / 100;
+    }
+
+    // Quantity in thousandths of a unit.
+    function toMilli(qty) {
+        return scaleRound(qty, 3);
+    }
+
+    // Percentage in hundredths of a percent (18% -> 1800).
+    function toBasisPoints(percent) {
+        return scaleRound(percent, 2);
+    }
+
+    /** round(a * b / divisor), half-up, in BigInt so large products stay exact. */
+    function mulDivRound(a, b, divisor) {
+        const product = BigInt(a) * BigInt(b);
+        const d = BigInt(divisor);
+        const negative = product < 0n;
+        const abs = negative ? -product : product;
+        const rounded = (abs * 2n + d) / (2n * d);
+        return Number(negative ? -rounded : rounded);
+    }
+
+    /**
+     * Paise amounts of one bill line under the per-line policy.
+     * @param {boolean} [taxInclusive=false]  `price` already includes GST and cess (rule 6).
+     * @returns {{taxable: number, gst: number, cess: number, total: number}}
+     */
+    function lineAmounts(price, qty, gstPercent, cessPercent, mrp, taxInclusive = false) {
+        const qtyMilli = toMilli(qty);
+        const cessBase = mulDivRound(toPaise(mrp), qtyMilli, 1000);
+        const cess = mulDivRound(cessBase, toBasisPoints(cessPercent), 10000);
+
+        if (taxInclusive) {
+            const total = mulDivRound(toPaise(price), qtyMilli, 1000);
+            const taxable = mulDivRound(total - cess, 10000, 10000 + toBasisPoints(gstPercent));
+            return { taxable, gst: total - cess - taxable, cess, total };
+        }
+
+        const taxable = mulDivRound(toPaise(price), qtyMilli, 1000);
+        const gst = mulDivRound(taxable, toBasisPoints(gstPercent), 10000);
+        return { taxable, gst, cess, total: taxable + gst + cess };
+    }
+
+    /** Splits GST paise into CGST/SGST (CGST takes the odd paisa) or IGST. */
+    function splitGst(gstPaise, interState) {
+        if (interState) return { cgst: 0, sgst: 0, igst: gstPaise };
+        const cgst = Math.ceil(gstPaise / 2);
+        return { cgst, sgst: gstPaise - cgst, igst: 0 };
+    }
+
+    /** Nearest rupee (half-up) and the round-off that gets there. */
+    function roundToRupee(paise) {
+        const rounded = Math.floor((paise + 50) / 100) * 100;
+        return { rounded, roundOff: rounded - paise };
+    }
+
+    return {
+        toPaise,
+        fromPaise,
+        toMilli,
+        toBasisPoints,
+        mulDivRound,
+        lineAmounts,
+        splitGst,
+        roundToRupee
+    };
+}));
@@ -0,0 +1,91 @@
+// ==========================================
+// BILL NUMBERING (headless)
+// ------------------------------------------
+// Keeps track of bill numbers already issued so runs on different days,
+// tabs or sessions don't reuse them. A series is a prefix plus, when
+// numbering restarts each year, an Indian financial year (1 April to
+// 31 March). The registry is a plain object the page keeps in storage:
+//   { "<prefix>|<year>": [{ start, end, paymentMethod, issuedAt }] }
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillNumbering = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Series key used when numbering runs on across years.
+    const CONTINUOUS = "all";
+
+    /** Financial year of an ISO date, e.g. "2024-03-31" -> "2023-24", "2024-04-01" -> "2024-25". */
+    function financialYear(isoDate) {
+        const [year, month] = String(isoDate).split("-").map(Number);
+        const startYear = month >= 4 ? year : year - 1;
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /** Distinct financial years of some ISO dates, oldest first. */
+    function financialYearsOf(dates) {
+        return [...new Set(dates.filter(Boolean).map(financialYear))].sort();
+    }
+
+    function seriesKey(prefix, year) {
+        return `${prefix}|${year || CONTINUOUS}`;
+    }
+
+    /** Ranges issued in a series, lowest first. `year` is null for continuous numbering. */
+    function issuedRanges(registry, prefix, year) {
+        return [...(registry[seriesKey(prefix, year)] || [])].sort((a, b) => a.start - b.start);
+    }
+
+    /** First number after everything issued in the series (1 for a new series). */
+    function nextStartIndex(registry, prefix, year) {
+        return issuedRanges(registry, prefix, year).reduce((next, range) => Math.max(next, range.end + 1), 1);
+    }
+
+    /** Issued ranges that share a number with `count` bills starting at `start`. */
+    function findOverlaps(registry, prefix, year, start, count) {
+        if (count <= 0) return [];
+        const end = start + count - 1;
+        return issuedRanges(registry, prefix, year).filter(range => range.start <= end && range.end >= start);
+    }
+
+    /**
+     * Adds an issued range to the registry (in place) and returns the registry.
+     * @param {Object} registry
+     * @param {{prefix: string, year: string|null, start: number, count: number, paymentMethod: string, issuedAt: string}} range
+     */
+    function recordIssuedRange(registry, { prefix, year, start, count, paymentMethod, issuedAt }) {
+        if (count <= 0) return registry;
+        const key = seriesKey(prefix, year);
+        registry[key] = [...(registry[key] || []), { start, end: start + count - 1, paymentMethod, issuedAt }];
+        return registry;
+    }
+
+    /**
+     * Adds ranges issued elsewhere (e.g. carried in a stock snapshot) to the
+     * registry in place, skipping ones it already has. Returns how many were added.
+     */
+    function mergeIssuedRanges(registry, prefix, year, ranges) {
+        const key = seriesKey(prefix, year);
+        const known = new Set(issuedRanges(registry, prefix, year).map(range => `${range.start}-${range.end}`));
+        const missing = ranges.filter(range => !known.has(`${range.start}-${range.end}`));
+        if (missing.length > 0) {
+            registry[key] = [...(registry[key] || []), ...missing.map(({ start, end, paymentMethod, issuedAt }) => ({ start, end, paymentMethod, issuedAt }))];
+        }
+        return missing.length;
+    }
+
+    return {
+        financialYear,
+        financialYearsOf,
+        issuedRanges,
+        nextStartIndex,
+        findOverlaps,
+        recordIssuedRange,
+        mergeIssuedRanges
+    };
+}));
@@ -0,0 +1,145 @@
+// ==========================================
+// BILL REVIEW (headless)
+// ------------------------------------------
+// Edits to generated bills before they are exported. Every edit keeps the
+// stock map in step with the bills: quantity taken by a line comes out of
+// `remainingQty`, quantity removed from a line goes back in.
+// Edit functions return null on success or a message saying why the edit
+// was refused; a refused edit changes nothing.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./money'), require('./units'));
+    } else {
+        root.BillReview = factory(root.BillEngine, root.BillMoney, root.BillUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, money, units) {
+    'use strict';
+
+    const QTY_EPSILON = 1e-9;
+
+    /** Bill date; every line of a bill carries the same one. */
+    function billDate(bill) {
+        return bill.items[0].date;
+    }
+
+    /**
+     * Groups bills by date, in date order, keeping each bill's index in
+     * `bills` (which is also its position in the export numbering).
+     * @returns {{date: string, bills: {bill: Object, index: number}[], total: number}[]}
+     */
+    function groupBillsByDate(bills) {
+        const groups = new Map();
+        bills.forEach((bill, index) => {
+            const date = billDate(bill);
+            if (!groups.has(date)) groups.set(date, { date, bills: [], totalPaise: 0 });
+            const group = groups.get(date);
+            group.bills.push({ bill, index });
+            group.totalPaise += money.toPaise(bill.total);
+        });
+        return [...groups.values()]
+            .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+            .map(({ date, bills: dayBills, totalPaise }) => ({ date, bills: dayBills, total: money.fromPaise(totalPaise) }));
+    }
+
+    // Quantities are kept to 3 decimals, as the money policy reads them.
+    function roundQty(qty) {
+        return parseFloat(Number(qty).toFixed(3));
+    }
+
+    function checkQuantity(item, qty, available) {
+        if (!Number.isFinite(qty) || qty <= 0) return "Quantity must be more than 0";
+        if (!units.isOnStep(qty, item.qtyStep)) {
+            return item.qtyStep === 1
+                ? `${item["Item Details"]} is sold in whole units only`
+                : `${item["Item Details"]} is sold in steps of ${item.qtyStep} ${item["Unit"] || ""}`.trim();
+        }
+        if (qty > available + QTY_EPSILON) {
+            return `Only ${roundQty(available)} of ${item["Item Details"]} available`;
+        }
+        return null;
+    }
+
+    // Rebuilds the bill's derived fields after its lines changed.
+    function refreshBill(bill) {
+        bill.total = engine.sumBillLines(bill.items);
+        bill.tempUsedMap = new Map(bill.items.map(line => [line.name, line.qty]));
+    }
+
+    function adjustStock(item, delta) {
+        item.remainingQty = roundQty(item.remainingQty + delta);
+    }
+
+    /** Sets the quantity of one line, taking the difference from (or returning it to) stock. */
+    function setLineQuantity(stockMap, bill, lineIndex, qty) {
+        const line = bill.items[lineIndex];
+        if (!line) return "No such line";
+        const item = stockMap.get(line.name);
+        if (!item) return `${line.name} is not in the stock sheet`;
+
+        const newQty = roundQty(qty);
+        const error = checkQuantity(item, newQty, item.remainingQty + line.qty);
+        if (error) return error;
+
+        adjustStock(item, line.qty - newQty);
+        bill.items[lineIndex] = engine.buildBillLine(item, newQty, line.date);
+        refreshBill(bill);
+        return null;
+    }
+
+    /** Removes one line and returns its quantity to stock. A bill keeps at least one line. */
+    function removeLine(stockMap, bill, lineIndex) {
+        const line = bill.items[lineIndex];
+        if (!line) return "No such line";
+        if (bill.items.length === 1) return "A bill needs at least one line; remove the whole bill instead";
+
+        const item = stockMap.get(line.name);
+        if (item) adjustStock(item, line.qty);
+        bill.items.splice(lineIndex, 1);
+        refreshBill(bill);
+        return null;
+    }
+
+    /** Adds `qty` of a stock item to a bill, topping up its line if the item is already on it. */
+    function addLine(stockMap, bill, itemName, qty) {
+        const item = stockMap.get(itemName);
+        if (!item) return `${itemName} is not in the stock sheet`;
+
+        const existingIndex = bill.items.findIndex(line => line.name === itemName);
+        if (existingIndex !== -1) {
+            return setLineQuantity(stockMap, bill, existingIndex, bill.items[existingIndex].qty + Number(qty));
+        }
+
+        const newQty = roundQty(qty);
+        const error = checkQuantity(item, newQty, item.remainingQty);
+        if (error) return error;
+
+        adjustStock(item, -newQty);
+        bill.items.push(engine.buildBillLine(item, newQty, billDate(bill)));
+        refreshBill(bill);
+        return null;
+    }
+
+    /** Deletes a bill from the run and returns all of its stock. */
+    function removeBill(stockMap, bills, billIndex) {
+        const bill = bills[billIndex];
+        if (!bill) return "No such bill";
+
+        bill.items.forEach(line => {
+            const item = stockMap.get(line.name);
+            if (item) adjustStock(item, line.qty);
+        });
+        bills.splice(billIndex, 1);
+        return null;
+    }
+
+    return {
+        billDate,
+        groupBillsByDate,
+        setLineQuantity,
+        removeLine,
+        addLine,
+        removeBill
+    };
+}));
@@ -0,0 +1,179 @@
+// ==========================================
+// CLOSING STOCK SNAPSHOTS (headless)
+// ------------------------------------------
+// A snapshot is the closing stock of an exported run with every column
+// buildStockMap reads, plus the bill numbers issued in its series, so a
+// later run can pick up where it stopped. Purchases received in between
+// are merged in as stock additions.
+//   { version, createdAt, paymentMethod, lastDate,
+//     numbering: { prefix, year, ranges }, items: [stock row] }
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./money'));
+    } else {
+        root.BillSnapshot = factory(root.BillMoney);
+    }
+}(typeof self !== 'undefined' ? self : this, function (money) {
+    'use strict';
+
+    const SNAPSHOT_VERSION = 1;
+
+    // Columns written for every item; together they rebuild the stock map.
+    const STOCK_COLUMNS = ["Item Details", "HSN", "Qty.", "Unit", "Price", "GST PERCENT", "CESS%", "MRP", "Qty Step", "Tax Inclusive"];
+
+    // Purchase columns that must agree with the stock they are added to.
+    const TAX_COLUMNS = ["GST PERCENT", "CESS%", "HSN"];
+
+    function isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === "";
+    }
+
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value).replace(/[₹,\s]/g, "");
+        return text === "" ? NaN : Number(text);
+    }
+
+    /**
+     * Builds a snapshot of a run's closing stock.
+     * @param {Map} stockMap  Stock map after the run.
+     * @param {Object} run
+     * @param {string} run.paymentMethod
+     * @param {string} run.lastDate  Last billed ISO date ("" when nothing was billed).
+     * @param {{prefix: string, year: string|null, ranges: Object[]}} run.numbering  Issued ranges of the run's series.
+     * @param {string} run.createdAt  ISO timestamp.
+     */
+    function buildSnapshot(stockMap, { paymentMethod, lastDate, numbering, createdAt }) {
+        const items = [];
+        for (const item of stockMap.values()) {
+            const row = {};
+            STOCK_COLUMNS.forEach(column => {
+                if (item[column] !== undefined) row[column] = item[column];
+            });
+            row["Qty."] = item.remainingQty;
+            // Written either way so the tab's "prices include tax" setting can't change it on reload
+            row["Tax Inclusive"] = item.taxInclusive ? "Yes" : "No";
+            items.push(row);
+        }
+        return { version: SNAPSHOT_VERSION, createdAt, paymentMethod, lastDate, numbering, items };
+    }
+
+    /**
+     * Reads a snapshot from JSON text (or an already parsed object).
+     * @returns {{snapshot: Object|null, errors: string[]}}
+     */
+    function readSnapshot(input) {
+        let snapshot = input;
+        if (typeof input === 'string') {
+            try {
+                snapshot = JSON.parse(input);
+            } catch (err) {
+                return { snapshot: null, errors: [`Not a snapshot file: ${err.message}`] };
+            }
+        }
+
+        const errors = [];
+        if (!snapshot || typeof snapshot !== 'object') {
+            return { snapshot: null, errors: ["Not a snapshot file"] };
+        }
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            errors.push(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+        }
+        if (!Array.isArray(snapshot.items)) {
+            errors.push("Snapshot has no items");
+        } else {
+            snapshot.items.forEach((item, index) => {
+                if (isBlank(item["Item Details"])) errors.push(`Item ${index + 1} has no name`);
+                if (!Number.isFinite(toNumber(item["Qty."])) || toNumber(item["Qty."]) < 0) {
+                    errors.push(`Item ${index + 1} has an invalid quantity`);
+                }
+            });
+        }
+        const numbering = snapshot.numbering;
+        if (!numbering || typeof numbering.prefix !== 'string' || !Array.isArray(numbering.ranges)) {
+            errors.push("Snapshot has no bill numbering");
+        }
+        return { snapshot: errors.length > 0 ? null : snapshot, errors };
+    }
+
+    /**
+     * Adds purchases to stock rows. Quantities of items already in stock are
+     * summed (in thousandths); new items need a Price and GST PERCENT and are
+     * appended. Items left with no quantity are dropped.
+     * @param {Object[]} stockRows  Rows with the canonical stock headers.
+     * @param {Object[]} [purchaseRows]  Rows with at least "Item Details" and "Qty.".
+     * @returns {{rows: Object[], added: number, restocked: number, report: {errors: Object[], warnings: Object[]}}}
+     *          `report` entries are `{ row, field, message }`, rows 1-based plus the header.
+     */
+    function mergePurchases(stockRows, purchaseRows = []) {
+        const report = { errors: [], warnings: [] };
+        const rows = stockRows.map(row => ({ ...row }));
+        const byName = new Map(rows.map(row => [String(row["Item Details"]).trim(), row]));
+        const restockedNames = new Set();
+        let added = 0;
+
+        purchaseRows.forEach((purchase, index) => {
+            const row = index + 2;
+            const name = isBlank(purchase["Item Details"]) ? "" : String(purchase["Item Details"]).trim();
+            const qty = toNumber(purchase["Qty."]);
+
+            if (!name) {
+                report.errors.push({ row, field: "Item Details", message: "Item name is missing" });
+                return;
+            }
+            if (!Number.isFinite(qty) || qty <= 0) {
+                report.errors.push({ row, field: "Qty.", message: `"${purchase["Qty."]}" is not a positive quantity` });
+                return;
+            }
+
+            const stock = byName.get(name);
+            if (stock) {
+                TAX_COLUMNS.forEach(column => {
+                    if (isBlank(purchase[column]) || isBlank(stock[column])) return;
+                    if (String(purchase[column]).trim() !== String(stock[column]).trim()) {
+                        report.warnings.push({ row, field: column, message: `${purchase[column]} differs from the stock value ${stock[column]} for "${name}"; the stock value is kept` });
+                    }
+                });
+                stock["Qty."] = (money.toMilli(toNumber(stock["Qty."]) || 0) + money.toMilli(qty)) / 1000;
+                restockedNames.add(name);
+                return;
+            }
+
+            const price = toNumber(purchase["Price"]);
+            const gstRate = toNumber(purchase["GST PERCENT"]);
+            if (!Number.isFinite(price) || price <= 0) {
+                report.errors.push({ row, field: "Price", message: `"${name}" is not in stock, so it needs a sale price` });
+                return;
+            }
+            if (!Number.isFinite(gstRate)) {
+                report.errors.push({ row, field: "GST PERCENT", message: `"${name}" is not in stock, so it needs a GST rate` });
+                return;
+            }
+            const newRow = {};
+            STOCK_COLUMNS.forEach(column => {
+                if (!isBlank(purchase[column])) newRow[column] = purchase[column];
+            });
+            newRow["Item Details"] = name;
+            newRow["Qty."] = qty;
+            rows.push(newRow);
+            byName.set(name, newRow);
+            added++;
+        });
+
+        return {
+            rows: rows.filter(row => toNumber(row["Qty."]) > 0),
+            added,
+            restocked: restockedNames.size,
+            report
+        };
+    }
+
+    return {
+        SNAPSHOT_VERSION,
+        buildSnapshot,
+        readSnapshot,
+        mergePurchases
+    };
+}));
@@ -0,0 +1,163 @@
+// ==========================================
+// EXACT-AMOUNT SOLVER (headless)
+// ------------------------------------------
+// Branch-and-bound search for a bill whose total lands on a target within
+// a margin, in paise. Each candidate line is sold in whole steps (see
+// units.js) up to what is left in stock; its paise total for any number of
+// steps comes from the caller, so per-line rounding is exactly what the
+// bill will show.
+//
+// The search either finds a bill, proves that none exists (every branch
+// was explored), or gives up when its node or time budget runs out. The
+// node budget keeps a seeded run reproducible; the time limit is only a
+// safety net for very slow machines. The search recurses once per line
+// on the bill, so callers with long candidate lists should cap maxLines.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BillSolver = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_MAX_NODES = 20000;
+
+    // Largest k in [0, maxSteps] with totalAt(k) <= limit; totals grow with k.
+    function lastStepWithin(totalAt, maxSteps, limit) {
+        let lo = 0;
+        let hi = maxSteps;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (totalAt(mid) <= limit) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    // Smallest k in [1, maxSteps] with totalAt(k) >= limit, or maxSteps + 1.
+    function firstStepFrom(totalAt, maxSteps, limit) {
+        let lo = 1;
+        let hi = maxSteps + 1;
+        while (lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if (totalAt(mid) >= limit) hi = mid;
+            else lo = mid + 1;
+        }
+        return lo;
+    }
+
+    /**
+     * Searches for quantities whose line totals add up to the target.
+     * @param {{maxSteps: number, lineTotal: function(number): number}[]} candidates
+     *        Lines in the order they should be tried; `lineTotal(k)` is the paise
+     *        total of k steps and must not decrease as k grows.
+     * @param {Object} options
+     * @param {number} options.targetPaise
+     * @param {number} [options.marginPaise=0]  Accepted distance from the target.
+     * @param {number} [options.minLines=1]  Fewest lines an accepted bill may have.
+     * @param {number} [options.maxLines=Infinity]  Most lines an accepted bill may have.
+     * @param {number} [options.maxNodes=20000]  Search steps before giving up.
+     * @param {number} [options.deadline=Infinity]  `now()` value after which the search gives up.
+     * @param {Function} [options.now=Date.now]
+     * @param {Function} [options.rng=Math.random]  Picks the quantity each line tries first.
+     * @returns {{status: string, lines: {index: number, steps: number}[], totalPaise: number, nodes: number}}
+     *          `status` is "found", "infeasible" (no bill exists within the limits)
+     *          or "gave-up" (the budget ran out first). The closest bill found is
+     *          returned; the search stops early when it hits the target exactly.
+     */
+    function solveExact(candidates, options) {
+        const {
+            targetPaise, marginPaise = 0, minLines = 1, maxLines = Infinity,
+            maxNodes = DEFAULT_MAX_NODES, deadline = Infinity, now = Date.now, rng = Math.random
+        } = options;
+        const low = targetPaise - marginPaise;
+        const high = targetPaise + marginPaise;
+
+        // Memoised totals, and each line capped at what fits under `high`
+        const lines = [];
+        candidates.forEach((candidate, index) => {
+            const memo = new Map();
+            const totalAt = steps => {
+                if (steps === 0) return 0;
+                if (!memo.has(steps)) memo.set(steps, candidate.lineTotal(steps));
+                return memo.get(steps);
+            };
+            const cap = candidate.maxSteps >= 1 ? lastStepWithin(totalAt, Math.floor(candidate.maxSteps), high) : 0;
+            if (cap >= 1) lines.push({ index, cap, totalAt });
+        });
+
+        // Most the lines from i onwards could still add
+        const reachable = new Array(lines.length + 1).fill(0);
+        for (let i = lines.length - 1; i >= 0; i--) {
+            reachable[i] = reachable[i + 1] + lines[i].totalAt(lines[i].cap);
+        }
+
+        const chosen = [];
+        let best = null;
+        let nodes = 0;
+        let gaveUp = false;
+
+        function consider(totalPaise, lineCount) {
+            if (lineCount < minLines || totalPaise < low || totalPaise > high) return;
+            const distance = Math.abs(totalPaise - targetPaise);
+            if (!best || distance < best.distance) best = { distance, totalPaise, lines: chosen.slice() };
+        }
+
+        // Tries lines from `from` onwards as the next line of the bill; returns
+        // true to stop the whole search. Skipping a line moves along the loop
+        // rather than recursing, so the depth is the number of lines on the
+        // bill, not the number of candidates.
+        function visit(from, sum, lineCount) {
+            for (let i = from; ; i++) {
+                if (best && best.distance === 0) return true;
+                nodes++;
+                if (nodes > maxNodes || (nodes % 256 === 0 && now() > deadline)) {
+                    gaveUp = true;
+                    return true;
+                }
+                if (i === lines.length || lineCount === maxLines) return false;
+                if (sum + reachable[i] < low) return false;
+
+                const line = lines[i];
+                const maxSteps = lastStepWithin(line.totalAt, line.cap, high - sum);
+                if (maxSteps < 1) continue;
+
+                // Closing line: the quantity nearest the target, when one lands in the margin
+                const first = firstStepFrom(line.totalAt, maxSteps, low - sum);
+                if (first <= maxSteps && lineCount + 1 >= minLines) {
+                    const nearest = Math.min(maxSteps, firstStepFrom(line.totalAt, maxSteps, targetPaise - sum));
+                    const options = nearest > first ? [nearest - 1, nearest] : [nearest];
+                    options.forEach(steps => {
+                        chosen.push({ index: line.index, steps });
+                        consider(sum + line.totalAt(steps), lineCount + 1);
+                        chosen.pop();
+                    });
+                    if (best && best.distance === 0) return true;
+                }
+
+                // Every quantity, starting from a random one so bills vary
+                const start = 1 + Math.floor(rng() * maxSteps);
+                for (let n = 0; n < maxSteps; n++) {
+                    const steps = n < start ? start - n : n + 1;
+                    chosen.push({ index: line.index, steps });
+                    const stop = visit(i + 1, sum + line.totalAt(steps), lineCount + 1);
+                    chosen.pop();
+                    if (stop) return true;
+                }
+            }
+        }
+
+        visit(0, 0, 0);
+
+        if (best) return { status: "found", lines: best.lines, totalPaise: best.totalPaise, nodes };
+        return { status: gaveUp ? "gave-up" : "infeasible", lines: [], totalPaise: 0, nodes };
+    }
+
+    return {
+        DEFAULT_MAX_NODES,
+        solveExact
+    };
+}));
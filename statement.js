@@ -0,0 +1,188 @@
+// ==========================================
+// BANK STATEMENT RECEIPTS (headless)
+// ------------------------------------------
+// Turns a bank statement export into candidate UPI bill amounts. Banks
+// put a few lines of account details above the table, name the columns
+// differently and show credits either in their own column or as an
+// amount with a Dr/Cr flag. Only credits are kept; those whose narration
+// matches the filter are offered as sales receipts, each with the UPI
+// reference (RRN) found in its narration or reference column.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./columns'), require('./dates'), require('./money'));
+    } else {
+        root.BillStatement = factory(root.BillColumns, root.BillDates, root.BillMoney);
+    }
+}(typeof self !== 'undefined' ? self : this, function (columns, dates, money) {
+    'use strict';
+
+    const DEFAULT_NARRATION_FILTER = "UPI";
+
+    // Statement rows above this are not searched for the header row.
+    const HEADER_SEARCH_ROWS = 30;
+
+    function isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === "";
+    }
+
+    // Reads "1,250.00", "₹ 1,250.00 Cr", "500Dr" or a number cell. A
+    // trailing Dr or Cr is returned separately; anything else unreadable is NaN.
+    function parseAmount(value) {
+        if (typeof value === 'number') return { amount: value, flag: "" };
+        const text = String(value).trim();
+        // The flag follows the last digit, with or without a space
+        const flagMatch = /([\d\s])\s*(cr|dr)\.?$/i.exec(text);
+        const flag = flagMatch ? flagMatch[2].toLowerCase() : "";
+        const digits = (flagMatch ? text.slice(0, flagMatch.index + 1) : text).replace(/[₹,\s]/g, "");
+        return { amount: digits === "" ? NaN : Number(digits), flag };
+    }
+
+    /**
+     * Index of the statement's header row in a grid of cells: the first row
+     * naming both a date column and a narration column. 0 when none does.
+     */
+    function findHeaderRow(cells) {
+        const [dateField, narrationField] = ["date", "narration"]
+            .map(key => columns.COLUMN_FIELDS.bankStatement.find(field => field.key === key));
+        const names = field => [columns.normalizeHeader(field.header), ...field.aliases];
+        const limit = Math.min(cells.length, HEADER_SEARCH_ROWS);
+        for (let index = 0; index < limit; index++) {
+            const headers = (cells[index] || []).map(columns.normalizeHeader);
+            if (names(dateField).some(name => headers.includes(name)) && names(narrationField).some(name => headers.includes(name))) {
+                return index;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * The UPI reference of a statement line: a 12-digit number in the
+     * narration (how banks print the RRN), else the reference column with
+     * any zero padding dropped.
+     */
+    function extractReference(narration, referenceCell) {
+        const match = /(?:^|\D)(\d{12})(?!\d)/.exec(String(narration || ""));
+        if (match) return match[1];
+        if (isBlank(referenceCell)) return "";
+        const reference = String(referenceCell).trim();
+        return /^\d+$/.test(reference) ? reference.replace(/^0+(?=\d{12})/, "") : reference;
+    }
+
+    /**
+     * Builds a narration test from comma-separated words, any of which may
+     * appear anywhere in the narration (case ignored). Blank matches all.
+     */
+    function narrationFilter(text) {
+        const words = String(text || "").split(",").map(word => word.trim().toLowerCase()).filter(Boolean);
+        if (words.length === 0) return () => true;
+        return narration => {
+            const lower = String(narration || "").toLowerCase();
+            return words.some(word => lower.includes(word));
+        };
+    }
+
+    /**
+     * Reads mapped statement rows ({ date, narration, credit, debit, amount,
+     * type, reference }) into credit entries.
+     * @param {Object[]} rows
+     * @param {Object} [options]
+     * @param {boolean} [options.dayFirst=true]  Day/month order for dates like 5/3/2024.
+     * @param {string} [options.filter="UPI"]  As for narrationFilter.
+     * @param {number} [options.headerRow=0]  Sheet index of the header row, so reported rows match the sheet.
+     * @returns {{entries: {row: number, date: string, amount: number, narration: string, reference: string, matches: boolean}[],
+     *            debits: number, report: {errors: Object[], warnings: Object[]}}}
+     *          `debits` counts the rows left out as money going out. Rows with
+     *          no amount at all (opening balance, totals) are passed over.
+     */
+    function readStatement(rows, options = {}) {
+        const { dayFirst, filter = DEFAULT_NARRATION_FILTER, headerRow = 0 } = options;
+        const matches = narrationFilter(filter);
+        const report = { errors: [], warnings: [] };
+        const entries = [];
+        let debits = 0;
+        let ambiguousSeen = false;
+
+        rows.forEach((statementRow, index) => {
+            const row = headerRow + index + 2;
+            const { narration = "" } = statementRow;
+
+            // Separate credit/debit columns, or one amount with a Dr/Cr flag or sign
+            let creditCell = statementRow.credit;
+            let credit;
+            if (isBlank(creditCell) && !isBlank(statementRow.amount)) {
+                creditCell = statementRow.amount;
+                const { amount, flag } = parseAmount(creditCell);
+                const type = String(statementRow.type || flag).trim().toLowerCase();
+                if (type.startsWith("d") || (type === "" && amount < 0)) {
+                    debits++;
+                    return;
+                }
+                credit = Math.abs(amount);
+            } else {
+                credit = isBlank(creditCell) ? 0 : parseAmount(creditCell).amount;
+                const debit = isBlank(statementRow.debit) ? 0 : parseAmount(statementRow.debit).amount;
+                if (!(credit > 0) && debit > 0) {
+                    debits++;
+                    return;
+                }
+            }
+
+            if (!Number.isFinite(credit)) {
+                report.errors.push({ row, field: "Credit", message: `Credit "${creditCell}" is not a number` });
+                return;
+            }
+            if (credit <= 0) return;
+
+            const parsed = dates.parseDate(statementRow.date, { dayFirst });
+            if (parsed.error) {
+                report.warnings.push({ row, field: "Date", message: `${parsed.error}; this credit is left out` });
+                return;
+            }
+            // Every date of a statement is in the same order, so one reminder is enough
+            if (parsed.warning && !(parsed.ambiguous && ambiguousSeen)) {
+                report.warnings.push({ row, field: "Date", message: parsed.ambiguous ? `${parsed.warning} (and so on for the other dates)` : parsed.warning });
+            }
+            ambiguousSeen = ambiguousSeen || parsed.ambiguous;
+
+            entries.push({
+                row,
+                date: parsed.iso,
+                amount: money.fromPaise(money.toPaise(credit)),
+                narration: String(narration).trim(),
+                reference: extractReference(narration, statementRow.reference),
+                matches: matches(narration)
+            });
+        });
+
+        const seen = new Map();
+        entries.forEach(entry => {
+            if (!entry.reference) return;
+            if (seen.has(entry.reference)) {
+                report.warnings.push({ row: entry.row, field: "Reference", message: `Reference ${entry.reference} also appears on row ${seen.get(entry.reference)}` });
+            } else {
+                seen.set(entry.reference, entry.row);
+            }
+        });
+
+        return { entries, debits, report };
+    }
+
+    /**
+     * Bill-amount rows for the ticked entries, in the layout a hand-made
+     * bill amounts sheet has.
+     */
+    function receiptsToTargetRows(entries) {
+        return entries.map(entry => ({ "Amount": entry.amount, "Date": entry.date, "Payment Reference": entry.reference }));
+    }
+
+    return {
+        DEFAULT_NARRATION_FILTER,
+        findHeaderRow,
+        extractReference,
+        narrationFilter,
+        readStatement,
+        receiptsToTargetRows
+    };
+}));
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { autoDetectMapping, applyMapping, missingRequiredFields, layoutKey, collectHeaders } = require('../columns');
+
+test('stock headers are detected by canonical name or alias', () => {
+    const mapping = autoDetectMapping("stock", ["Product", "Closing Qty", "Rate", "Tax Rate", "MRP", "HSN Code"]);
+    assert.equal(mapping.itemName, "Product");
+    assert.equal(mapping.qty, "Closing Qty");
+    assert.equal(mapping.price, "Rate");
+    assert.equal(mapping.gstPercent, "Tax Rate");
+    assert.equal(mapping.hsn, "HSN Code");
+    assert.equal(mapping.cessPercent, "");
+    assert.deepEqual(missingRequiredFields("stock", mapping), []);
+});
+
+test('target sheets fall back to column position', () => {
+    const mapping = autoDetectMapping("billTargets", ["Rs", "When"]);
+    assert.equal(mapping.amount, "Rs");
+    assert.equal(mapping.date, "When");
+    assert.equal(mapping.placeOfSupply, "");
+});
+
+test('applyMapping renames stock columns and keeps the rest', () => {
+    const mapping = autoDetectMapping("stock", ["Product", "Qty", "Rate", "GST", "Notes"]);
+    const [row] = applyMapping("stock", [{ Product: "Pen", Qty: 3, Rate: 5, GST: 18, Notes: "blue" }], mapping);
+    assert.equal(row["Item Details"], "Pen");
+    assert.equal(row["Qty."], 3);
+    assert.equal(row["Price"], 5);
+    assert.equal(row["GST PERCENT"], 18);
+    assert.equal(row.Notes, "blue");
+});
+
+test('layout keys ignore header punctuation and case', () => {
+    assert.equal(layoutKey("stock", ["Qty.", "GST PERCENT"]), layoutKey("stock", ["qty", "gst percent"]));
+    assert.deepEqual(collectHeaders([{ a: 1 }, { b: 2, a: 3 }]), ["a", "b"]);
+});
+
+test('purchase sheets only need an item and a quantity', () => {
+    const mapping = autoDetectMapping("purchases", ["Particulars", "Received Qty", "Rate"]);
+    assert.equal(mapping.itemName, "Particulars");
+    assert.equal(mapping.qty, "Received Qty");
+    assert.equal(mapping.price, "Rate");
+    assert.equal(mapping.gstPercent, "");
+    assert.deepEqual(missingRequiredFields("purchases", mapping), []);
+    assert.deepEqual(applyMapping("purchases", [{ Particulars: "Pen", "Received Qty": 5, Rate: 10 }], mapping),
+        [{ "Item Details": "Pen", "Qty.": 5, "Price": 10 }]);
+});
+
+test('daily target sheets read register totals, date first', () => {
+    assert.deepEqual(autoDetectMapping("dailyTargets", ["Day", "Cash Total"]), { date: "Day", amount: "Cash Total" });
+    assert.deepEqual(autoDetectMapping("dailyTargets", ["When", "Rs"]), { date: "When", amount: "Rs" });
+});
+
+test('bank statements map credit, debit and reference columns by their bank names', () => {
+    const headers = ["Date", "Narration", "Chq./Ref.No.", "Value Dt", "Withdrawal Amt.", "Deposit Amt.", "Closing Balance"];
+    assert.deepEqual(autoDetectMapping("bankStatement", headers), {
+        date: "Date", narration: "Narration", credit: "Deposit Amt.", debit: "Withdrawal Amt.", amount: "", type: "", reference: "Chq./Ref.No."
+    });
+    assert.deepEqual(autoDetectMapping("bankStatement", ["Txn Date", "Description", "Amount", "Dr/Cr"]), {
+        date: "Txn Date", narration: "Description", credit: "", debit: "", amount: "Amount", type: "Dr/Cr", reference: ""
+    });
+});
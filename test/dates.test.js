@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDate, fromExcelSerial, businessDays, weekdayOf, parseDateList } = require('../dates');
+
+test('Excel serials convert with the 1900 leap-year quirk', () => {
+    assert.equal(fromExcelSerial(45383), "2024-04-01");
+    assert.equal(fromExcelSerial(1), "1900-01-01");
+    assert.equal(fromExcelSerial(61), "1900-03-01");
+    assert.equal(fromExcelSerial(60), null);
+    assert.equal(parseDate("45383").iso, "2024-04-01");
+});
+
+test('short numbers are not read as Excel serials', () => {
+    assert.equal(parseDate("2024").iso, null);
+    assert.match(parseDate("2024").error, /not a valid date/);
+    assert.equal(parseDate(15).iso, null);
+    assert.equal(parseDate(20000).iso, "1954-10-03");
+});
+
+test('ISO and month-name dates parse without ambiguity', () => {
+    assert.equal(parseDate("2024-05-03").iso, "2024-05-03");
+    assert.equal(parseDate("2024/5/3 10:30").iso, "2024-05-03");
+    assert.equal(parseDate("05-Mar-2024").iso, "2024-03-05");
+    assert.equal(parseDate("Mar 5, 2024").iso, "2024-03-05");
+});
+
+test('day/month order is configurable and ambiguity is reported', () => {
+    const dayFirst = parseDate("5/3/2024");
+    assert.equal(dayFirst.iso, "2024-03-05");
+    assert.equal(dayFirst.ambiguous, true);
+
+    assert.equal(parseDate("5/3/2024", { dayFirst: false }).iso, "2024-05-03");
+    assert.equal(parseDate("05-03-24").iso, "2024-03-05");
+    assert.equal(parseDate("5/5/2024").ambiguous, false);
+});
+
+test('impossible orders fall back with a warning', () => {
+    const parsed = parseDate("3/13/2024");
+    assert.equal(parsed.iso, "2024-03-13");
+    assert.equal(parsed.ambiguous, false);
+    assert.match(parsed.warning, /month\/day/);
+});
+
+test('invalid dates report an error', () => {
+    assert.equal(parseDate("31/02/2024").iso, null);
+    assert.equal(parseDate("2024-02-30").iso, null);
+    assert.ok(parseDate("tomorrow").error);
+    assert.ok(parseDate("").error);
+});
+
+test('business days skip the weekly off-days and holidays', () => {
+    // 1 Oct 2024 is a Tuesday
+    assert.deepEqual(businessDays("2024-09-29", "2024-10-03"), ["2024-09-30", "2024-10-01", "2024-10-02", "2024-10-03"]);
+    assert.deepEqual(businessDays("2024-09-29", "2024-10-03", { offDays: [2], holidays: ["2024-10-02"] }),
+        ["2024-09-29", "2024-09-30", "2024-10-03"]);
+    assert.deepEqual(businessDays("2024-10-03", "2024-10-01"), []);
+    assert.equal(weekdayOf("2024-10-01"), 2);
+    // Stays on calendar days across the end of March
+    assert.equal(businessDays("2024-03-25", "2024-04-05", { offDays: [] }).length, 12);
+});
+
+test('holiday lists read one date per line with optional names', () => {
+    const { dates, errors } = parseDateList("31/10/2024 # Diwali\n\n2024-08-15\n15-Aug-2024\nsoon\n");
+    assert.deepEqual(dates, ["2024-08-15", "2024-10-31"]);
+    assert.deepEqual(errors, ['Line 5: "soon" is not a recognised date format']);
+});
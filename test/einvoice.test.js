@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateSchema, buildEInvoices } = require('../einvoice');
+const fixtureBills = require('./fixtures/bills.json');
+
+const options = {
+    prefix: "INV", startIndex: 41, paymentMethod: "UPI", sellerState: "27",
+    seller: { name: "Shree Traders", gstin: "27ABCDE1234F1Z5", address: "12 Market Road\nShivaji Nagar", location: "Pune", pin: "411005" },
+    buyer: { legalName: "Asha Retail Pvt Ltd", gstin: "27AAACA1234B1Z2", address: "4 Mill Lane", location: "Mumbai", pin: 400001 },
+};
+
+test('bills become schema-valid IRP documents that match the bill rows', () => {
+    const [intra, inter] = buildEInvoices(fixtureBills.map((bill, index) => ({ bill, index })), {
+        ...options,
+        buyersByName: {},
+    });
+
+    assert.deepEqual(intra.errors, []);
+    assert.deepEqual(inter.errors, []);
+
+    const doc = intra.document;
+    assert.equal(doc.DocDtls.No, "INV0041");
+    assert.equal(doc.DocDtls.Dt, "01/04/2024");
+    assert.equal(doc.SellerDtls.Addr2, "Shivaji Nagar");
+    assert.equal(doc.SellerDtls.Pin, 411005);
+    assert.equal(doc.BuyerDtls.Pos, "27");
+    assert.equal(doc.ItemList[1].Unit, "BTL");
+    assert.equal(doc.ItemList[1].CesNonAdvlAmt, 39.6);
+    assert.equal(doc.ValDtls.TotInvVal, 1346.4);
+    // CGST takes the odd paisa
+    assert.equal(doc.ValDtls.CgstVal, 62.5);
+    assert.equal(doc.ValDtls.SgstVal, 62.49);
+
+    // The second bill ships to Karnataka: IGST, buyer state taken from the place of supply
+    assert.equal(inter.document.BuyerDtls.Pos, "29");
+    assert.equal(inter.document.ValDtls.IgstVal, 81);
+    assert.equal(inter.document.ValDtls.CgstVal, 0);
+});
+
+test('buyer details are looked up by purchaser name before the default', () => {
+    const [result] = buildEInvoices([{ bill: fixtureBills[0], index: 0 }], {
+        ...options,
+        buyersByName: { "Asha Traders": { legalName: "Asha Traders", gstin: "27AAAFA9999C1Z1", address: "1 Station Road", location: "Nashik", pin: 422001 } },
+    });
+    assert.equal(result.document.BuyerDtls.Gstin, "27AAAFA9999C1Z1");
+});
+
+test('missing configuration is reported against the schema', () => {
+    const bill = { ...fixtureBills[1], items: [{ ...fixtureBills[1].items[0], hsn: "" }] };
+    const [result] = buildEInvoices([{ bill, index: 0 }], { ...options, seller: { ...options.seller, gstin: "27ABC" } });
+    const paths = result.errors.map(e => e.path);
+
+    assert.ok(paths.includes("SellerDtls.Gstin"));
+    assert.ok(paths.includes("ItemList[0].HsnCd"));
+
+    const [withDefault] = buildEInvoices([{ bill, index: 0 }], { ...options, defaultHsn: "7323" });
+    assert.deepEqual(withDefault.errors, []);
+});
+
+test('validateSchema checks types, bounds and unknown keys', () => {
+    const rule = { type: "object", required: ["a"], additionalProperties: false, properties: { a: { type: "integer", minimum: 1 } } };
+    assert.deepEqual(validateSchema({ a: 2 }, rule), []);
+    assert.deepEqual(validateSchema({ a: 1.5, b: 1 }, rule).map(e => e.path), ["a", "b"]);
+    assert.deepEqual(validateSchema({}, rule), [{ path: "a", message: "is required" }]);
+    assert.deepEqual(validateSchema({ a: 0 }, rule), [{ path: "a", message: "should be at least 1" }]);
+});
@@ -0,0 +1,323 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createRng,
+    calculateItemTotal,
+    buildStockMap,
+    getItemBillTotal,
+    generateBillFromMap,
+    generateCashBills,
+    generateUpiBills,
+    generateCombinedBills,
+} = require('../engine');
+const { isOnStep } = require('../units');
+const { randomStockRows } = require('./helpers/randomStock');
+
+const EPSILON = 1e-6;
+
+test('calculateItemTotal adds GST on price and cess on MRP', () => {
+    assert.equal(calculateItemTotal(100, 2, 18, 0, 0), 236);
+    // cess is charged on MRP x qty, not on the price
+    assert.equal(calculateItemTotal(100, 2, 18, 12, 150), 236 + 36);
+    assert.equal(calculateItemTotal(100, 1, 0, 0, 0), 100);
+});
+
+test('calculateItemTotal treats missing cess and MRP as zero', () => {
+    assert.equal(calculateItemTotal(50, 3, 5, undefined, undefined), 157.5);
+    assert.equal(calculateItemTotal(50, 3, 5, 12, undefined), 157.5);
+});
+
+test('calculateItemTotal rounds to paise', () => {
+    assert.equal(calculateItemTotal(33.33, 3, 18, 0, 0), 117.99);
+});
+
+test('buildStockMap precomputes single unit cost and the quantity step', () => {
+    const map = buildStockMap([
+        { "Item Details": "Rice", "Qty.": 12.5, "Unit": "KG", "Price": 40, "GST PERCENT": 5 },
+        { "Item Details": "Soap", "Qty.": "10", "Price": "20", "GST PERCENT": "18", "CESS%": "", "MRP": "25" },
+    ]);
+
+    const rice = map.get("Rice");
+    assert.equal(rice.singleUnitCost, 42);
+    assert.equal(rice.qtyStep, 0.05);
+
+    const soap = map.get("Soap");
+    assert.equal(soap.remainingQty, 10);
+    assert.equal(soap["Price"], 20);
+    assert.equal(soap["CESS%"], 0);
+    assert.equal(soap.qtyStep, 1);
+});
+
+test('quantity steps follow the unit, not the MRP or opening quantity', () => {
+    const map = buildStockMap([
+        { "Item Details": "Gold coin", "Qty.": 3, "Unit": "PCS", "Price": 9000, "GST PERCENT": 3, "MRP": 10001 },
+        { "Item Details": "Nuts", "Qty.": 7.5, "Unit": "NOS", "Price": 2, "GST PERCENT": 18 },
+        { "Item Details": "Oil", "Qty.": 20, "Unit": "Litre", "Price": 150, "GST PERCENT": 5 },
+        { "Item Details": "Cloth", "Qty.": 40, "Unit": "MTR", "Price": 90, "GST PERCENT": 5, "Qty Step": "0.5" },
+    ], { LTR: 0.25 });
+
+    assert.equal(map.get("Gold coin").qtyStep, 1);
+    assert.equal(map.get("Nuts").qtyStep, 1);
+    assert.equal(map.get("Oil").qtyStep, 0.25);
+    assert.equal(map.get("Cloth").qtyStep, 0.5);
+});
+
+// ------------------------------------------
+// Properties of single bills over random stock sheets
+// ------------------------------------------
+
+function assertBillRespectsStock(stockMap, bill, label) {
+    for (const [name, qty] of bill.tempUsedMap.entries()) {
+        const item = stockMap.get(name);
+        assert.ok(qty > 0, `${label}: non-positive qty for ${name}`);
+        assert.ok(qty <= item.remainingQty + EPSILON, `${label}: sold ${qty} of ${name} with ${item.remainingQty} left`);
+        assert.ok(isOnStep(qty, item.qtyStep), `${label}: qty ${qty} of ${name} is not a multiple of ${item.qtyStep}`);
+    }
+
+    const lineSum = bill.items.reduce((sum, line) => sum + line.itemTotal, 0);
+    assert.ok(Math.abs(lineSum - bill.total) < 0.01, `${label}: total ${bill.total} != sum of lines ${lineSum}`);
+    bill.items.forEach(line => {
+        const item = stockMap.get(line.name);
+        assert.equal(line.itemTotal, getItemBillTotal(item, line.qty), `${label}: line total of ${line.name}`);
+    });
+}
+
+test('fractional quantities never round up past the remaining stock', async () => {
+    const stockMap = buildStockMap([
+        { "Item Details": "A", "Qty.": 1.5, "Unit": "KG", "Price": 100, "GST PERCENT": 0, "Qty Step": 0.01 },
+        { "Item Details": "B", "Qty.": 1.999, "Unit": "KG", "Price": 100, "GST PERCENT": 0, "Qty Step": 0.01 },
+    ]);
+    // A near-1 draw makes the quantity factor ~0.9999 of what is left
+    const bill = await generateBillFromMap(stockMap, 270, 1000, 1e9, "2024-04-01", 5, 'RANGE', 0, new Set(), () => 0.9999);
+
+    assert.equal(bill.success, true);
+    assertBillRespectsStock(stockMap, bill, 'near-1 draw');
+});
+
+test('property: RANGE bills stay within limits and stock', async () => {
+    let checked = 0;
+    for (let seed = 1; seed <= 40; seed++) {
+        const stockMap = buildStockMap(randomStockRows(seed));
+        const rng = createRng(`range/${seed}`);
+        const targetMin = 500 + rng() * 3000;
+        const targetMax = targetMin * 1.1;
+
+        const bill = await generateBillFromMap(stockMap, targetMin, targetMax, 1e9, "2024-04-01", 5, 'RANGE', 0, new Set(), rng);
+        if (!bill.success) continue;
+
+        assertBillRespectsStock(stockMap, bill, `seed ${seed}`);
+        assert.ok(bill.total >= targetMin - EPSILON && bill.total <= targetMax + EPSILON, `seed ${seed}: total ${bill.total} outside ${targetMin}-${targetMax}`);
+        checked++;
+    }
+    assert.ok(checked > 20, `only ${checked} seeds produced a bill`);
+});
+
+test('property: EXACT bills land within the margin and stock', async () => {
+    let checked = 0;
+    for (let seed = 1; seed <= 40; seed++) {
+        const stockMap = buildStockMap(randomStockRows(seed));
+        const rng = createRng(`exact/${seed}`);
+        const target = Math.round((200 + rng() * 5000) * 100) / 100;
+
+        const bill = await generateBillFromMap(stockMap, target, target, target, "2024-04-01", 5, 'EXACT', 0, new Set(), rng);
+        if (!bill.success) continue;
+
+        assertBillRespectsStock(stockMap, bill, `seed ${seed}`);
+        assert.ok(Math.abs(bill.total - target) <= 5 + EPSILON, `seed ${seed}: total ${bill.total} vs target ${target}`);
+        checked++;
+    }
+    assert.equal(checked, 40);
+});
+
+test('EXACT bills report when the stock provably cannot make the target', async () => {
+    const stockMap = buildStockMap([
+        { "Item Details": "Pen", "Qty.": 3, "Price": 100, "GST PERCENT": 0 },
+        { "Item Details": "Rice", "Qty.": 0.5, "Unit": "KG", "Price": 40, "GST PERCENT": 0 },
+    ]);
+    // Rice moves in ₹2 steps up to ₹20, so ₹150 is 30 short of the nearest total
+    const bill = await generateBillFromMap(stockMap, 150, 150, 150, "2024-04-01", 5, 'EXACT', 0, new Set(), createRng("proof"));
+    assert.equal(bill.success, false);
+    assert.equal(bill.infeasible, true);
+
+    const reachable = await generateBillFromMap(stockMap, 318, 318, 318, "2024-04-01", 0, 'EXACT', 0, new Set(), createRng("proof"));
+    assert.equal(reachable.total, 318);
+    assert.deepEqual(reachable.items.map(line => [line.name, line.qty]).sort(), [["Pen", 3], ["Rice", 0.45]]);
+});
+
+test('cash days close on the target instead of landing up to ₹50 off', async () => {
+    for (let seed = 1; seed <= 4; seed++) {
+        const targets = [{ date: "2024-04-01", targetAmount: 9000.55 }, { date: "2024-04-02", targetAmount: 7000 }];
+        const { bills, skipped } = await generateCashBills(randomStockRows(seed, { items: 25 }), targets, { minBill: 500, maxBill: 3000, seed });
+        assert.deepEqual(skipped, [], `seed ${seed}`);
+        targets.forEach(({ date, targetAmount }) => {
+            const dayTotal = bills.filter(bill => bill.items[0].date === date).reduce((sum, bill) => sum + bill.total, 0);
+            assert.ok(Math.abs(dayTotal - targetAmount) < 1, `seed ${seed} ${date}: ${dayTotal} vs ${targetAmount}`);
+        });
+    }
+});
+
+test('property: cash runs never oversell and account for every unit', async () => {
+    for (let seed = 1; seed <= 6; seed++) {
+        const rows = randomStockRows(seed, { items: 20 });
+        const targets = [
+            { date: "2024-04-01", targetAmount: 8000 },
+            { date: "2024-04-02", targetAmount: 6000 },
+        ];
+
+        const { bills, stockMap } = await generateCashBills(rows, targets, { minBill: 1000, maxBill: 3000, seed });
+
+        const sold = new Map();
+        bills.forEach(bill => bill.items.forEach(line => {
+            sold.set(line.name, (sold.get(line.name) || 0) + line.qty);
+            assert.ok(isOnStep(line.qty, stockMap.get(line.name).qtyStep), `seed ${seed}: qty ${line.qty} of ${line.name} is off its step`);
+        }));
+
+        rows.forEach(row => {
+            const item = stockMap.get(row["Item Details"]);
+            const soldQty = sold.get(row["Item Details"]) || 0;
+            assert.ok(item.remainingQty >= -EPSILON, `seed ${seed}: ${row["Item Details"]} went negative`);
+            assert.ok(Math.abs(row["Qty."] - soldQty - item.remainingQty) < 0.001, `seed ${seed}: ${row["Item Details"]} does not reconcile`);
+        });
+    }
+});
+
+test('same seed reproduces the same cash run', async () => {
+    const rows = randomStockRows(7);
+    const targets = [{ date: "2024-04-01", targetAmount: 9000 }];
+    const options = { minBill: 1000, maxBill: 3000, purchaserNames: ["A", "B", "C"], seed: "repeat-me" };
+
+    const first = await generateCashBills(rows, targets, options);
+    const second = await generateCashBills(rows, targets, options);
+
+    assert.equal(first.seed, "repeat-me");
+    assert.deepEqual(
+        first.bills.map(b => ({ items: b.items, purchaserName: b.purchaserName })),
+        second.bills.map(b => ({ items: b.items, purchaserName: b.purchaserName }))
+    );
+});
+
+test('UPI run normalises dates and reports targets it cannot meet', async () => {
+    const rows = [{ "Item Details": "Pen", "Qty.": 10, "Price": 10, "GST PERCENT": 0 }];
+    const { bills, skipped } = await generateUpiBills(rows, [
+        { amount: 20, date: "05/03/2024" },
+        { amount: 1e6, date: 45383 },
+    ], { seed: 1 });
+
+    assert.equal(bills.length, 1);
+    assert.equal(bills[0].items[0].date, "2024-03-05");
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].date, "2024-04-01");
+    assert.equal(skipped[0].infeasible, true);
+    assert.match(skipped[0].message, /remaining stock cannot make it/);
+});
+
+test('UPI bills carry the payment reference of their target', async () => {
+    const rows = [{ "Item Details": "Pen", "Qty.": 10, "Price": 10, "GST PERCENT": 0 }];
+    const { bills, skipped } = await generateUpiBills(rows, [
+        { amount: 20, date: "2024-03-05", paymentReference: " 412345678901 " },
+        { amount: 30, date: "2024-03-05" },
+        { amount: 1e6, date: "2024-03-06", paymentReference: "412345678902" },
+    ], { seed: 1 });
+
+    assert.deepEqual(bills.map(bill => bill.paymentReference), ["412345678901", undefined]);
+    assert.equal(skipped[0].paymentReference, "412345678902");
+    assert.match(skipped[0].message, /\(ref 412345678902\)/);
+});
+
+test('a cash day the stock cannot finish is skipped at once with the reason', async () => {
+    // Enough stock, but ₹150 pens come to ₹1200 or ₹1350: both ₹75 from the target
+    const rows = [{ "Item Details": "Pen", "Qty.": 20, "Price": 150, "GST PERCENT": 0 }];
+    const { bills, skipped } = await generateCashBills(rows, [{ date: "2024-04-01", targetAmount: 1275 }], { minBill: 100, maxBill: 2000, seed: 1 });
+
+    assert.equal(bills.length, 0);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].infeasible, true);
+    assert.match(skipped[0].message, /cannot make a bill within ₹50/);
+});
+
+test('the fallback search is not run for a bill range the remaining amount rules out', async () => {
+    // ₹40 a pen is over the ₹30 max bill, and a ₹50 day leaves no room for a bill below it
+    const rows = [{ "Item Details": "Pen", "Qty.": 20, "Price": 40, "GST PERCENT": 0 }];
+    const { bills, skipped } = await generateCashBills(rows, [{ date: "2024-04-01", targetAmount: 50 }], { minBill: 10, maxBill: 30, seed: 1 });
+
+    assert.equal(bills.length, 0);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].infeasible, false);
+    assert.doesNotMatch(skipped[0].message, /No bill of/);
+});
+
+test('cancelling a cash run keeps the bills already accepted', async () => {
+    const rows = randomStockRows(5, { items: 20 });
+    const targets = [
+        { date: "2024-04-01", targetAmount: 6000 },
+        { date: "2024-04-02", targetAmount: 6000 },
+    ];
+    let progressCalls = 0;
+
+    const result = await generateCashBills(rows, targets, {
+        minBill: 1000, maxBill: 2000, seed: "cancel",
+        onProgress: () => { progressCalls++; },
+        // Stop as soon as the second bill of the run has been reported
+        isCancelled: () => progressCalls > 2,
+    });
+
+    assert.equal(result.cancelled, true);
+    assert.ok(result.bills.length > 0);
+    assert.ok(result.bills.every(bill => bill.items[0].date === "2024-04-01"));
+    assert.equal(result.skipped.at(-1).cancelled, true);
+    assert.ok(result.bills.every(bill => bill.purchaserName));
+});
+
+test('property: combined runs share one stock pool without overselling', async () => {
+    for (let seed = 1; seed <= 3; seed++) {
+        const rows = randomStockRows(seed, { items: 20 });
+        const upiTargets = [
+            { amount: 1500, date: "02/04/2024" },
+            { amount: 2200.5, date: "2024-04-01" },
+            { amount: 1e7, date: "2024-04-01" },
+        ];
+        const cashTargets = [
+            { date: "2024-04-01", targetAmount: 6000 },
+            { date: "2024-04-03", targetAmount: 4000 },
+        ];
+
+        const { upiBills, cashBills, stockMap, skipped } = await generateCombinedBills(rows, upiTargets, cashTargets,
+            { minBill: 1000, maxBill: 3000, purchaserNames: ["A", "B"], seed });
+
+        upiBills.forEach(bill => assert.ok(Math.abs(bill.total - bill.targetAmount) <= 5, `seed ${seed}: UPI bill misses its target`));
+        assert.ok(cashBills.every(bill => bill.purchaserName), `seed ${seed}: cash bill without purchaser`);
+        assert.ok(skipped.some(entry => entry.paymentMethod === "UPI" && entry.targetAmount === 1e7));
+
+        const sold = new Map();
+        [...upiBills, ...cashBills].forEach(bill => bill.items.forEach(line => {
+            sold.set(line.name, (sold.get(line.name) || 0) + line.qty);
+        }));
+        rows.forEach(row => {
+            const item = stockMap.get(row["Item Details"]);
+            const soldQty = sold.get(row["Item Details"]) || 0;
+            assert.ok(item.remainingQty >= -EPSILON, `seed ${seed}: ${row["Item Details"]} went negative`);
+            assert.ok(Math.abs(row["Qty."] - soldQty - item.remainingQty) < 0.001, `seed ${seed}: ${row["Item Details"]} does not reconcile`);
+        });
+    }
+});
+
+test('combined runs work through dates in order, UPI first on each date', async () => {
+    const rows = randomStockRows(3, { items: 25 });
+    const order = [];
+    await generateCombinedBills(rows, [
+        { amount: 900, date: "2024-04-02" },
+        { amount: 700, date: "2024-04-01" },
+    ], [
+        { date: "2024-04-01", targetAmount: 3000 },
+        { date: "2024-04-02", targetAmount: 0 },
+    ], {
+        minBill: 500, maxBill: 1500, seed: "order",
+        onProgress: ({ date, paymentMethod }) => {
+            const step = `${date} ${paymentMethod}`;
+            if (order.at(-1) !== step) order.push(step);
+        }
+    });
+
+    assert.deepEqual(order, ["2024-04-01 UPI", "2024-04-01 Cash", "2024-04-02 UPI"]);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRng, buildBillRows, buildHsnSummaryRows, buildStockRows, buildStockLedger, buildStockMap, buildBillLine, sumBillLines, generateCashBills, generateUpiBills } = require('../engine');
+const { toPaise } = require('../money');
+const { assertGolden } = require('./helpers/golden');
+const { randomStockRows } = require('./helpers/randomStock');
+const fixtureBills = require('./fixtures/bills.json');
+
+const exportOptions = { prefix: "INV", startIndex: 41, sellerState: "27", rng: createRng("export") };
+
+test('cash bill rows match the golden file', () => {
+    assertGolden('cash-bill-rows', buildBillRows(fixtureBills, { ...exportOptions, paymentMethod: "Cash" }));
+});
+
+test('UPI bill rows match the golden file', () => {
+    assertGolden('upi-bill-rows', buildBillRows(fixtureBills, { ...exportOptions, paymentMethod: "UPI" }));
+});
+
+test('HSN summary matches the golden file', () => {
+    assertGolden('hsn-summary', buildHsnSummaryRows(fixtureBills, exportOptions));
+});
+
+test('seeded cash run exports the golden rows', async () => {
+    const { bills, stockMap } = await generateCashBills(randomStockRows(3, { items: 15 }), [
+        { date: "2024-04-01", targetAmount: 7000 },
+        { date: "2024-04-02", targetAmount: 4000 },
+    ], { minBill: 1000, maxBill: 2500, purchaserNames: ["A", "B", "C"], seed: "golden" });
+
+    assertGolden('seeded-cash-run', {
+        bills: buildBillRows(bills, { ...exportOptions, paymentMethod: "Cash", rng: createRng("golden/export") }),
+        stock: buildStockRows(stockMap),
+    });
+});
+
+test('cash bills round to whole rupees and record the round-off', () => {
+    const rows = buildBillRows(fixtureBills, { ...exportOptions, paymentMethod: "Cash" });
+    const firstBill = rows.filter(r => r["Bill No"] === "INV0041");
+
+    firstBill.forEach(row => {
+        assert.equal(row["Bill Total (Unrounded)"], 1346.4);
+        assert.equal(row["Bill Total (Final)"], 1346);
+        assert.equal(row["Round off"], -0.4);
+    });
+});
+
+test('UPI bills are not rounded', () => {
+    const rows = buildBillRows(fixtureBills, { ...exportOptions, paymentMethod: "UPI" });
+    rows.forEach(row => {
+        assert.equal(row["Round off"], 0);
+        assert.equal(row["Bill Total (Final)"], row["Bill Total (Unrounded)"]);
+    });
+});
+
+test('every row of a bill carries its payment reference', () => {
+    const bills = [{ ...fixtureBills[0], paymentReference: "412345678901" }, fixtureBills[1]];
+    const rows = buildBillRows(bills, { ...exportOptions, paymentMethod: "UPI" });
+    rows.forEach(row => {
+        assert.equal(row["Payment Reference"], row["Bill No"] === "INV0041" ? "412345678901" : "");
+    });
+});
+
+test('tax-inclusive stock bills at its price and exports reconciling columns', async () => {
+    const { bills } = await generateUpiBills([
+        { "Item Details": "Soap", "Qty.": 20, "Unit": "PCS", "Price": 59, "GST PERCENT": 18, "Tax Inclusive": "Yes" },
+        { "Item Details": "Biscuits", "Qty.": 20, "Unit": "PCS", "Price": 25, "GST PERCENT": 18, "CESS%": 0, "MRP": 25, "Tax Inclusive": "yes" },
+    ], [{ amount: 168, date: "2024-04-01" }], { seed: "inclusive" });
+    assert.equal(bills.length, 1);
+    assert.equal(bills[0].total, 168);
+
+    const rows = buildBillRows(bills, { ...exportOptions, paymentMethod: "UPI" });
+    rows.forEach(row => {
+        assert.equal(row["Item Total"], row["Price Incl. Tax"] * row["Quantity"]);
+        assert.equal(toPaise(row["Item Price"]) + toPaise(row["Total Tax Amount"]) + toPaise(row["CESS Tax Amount"]), toPaise(row["Item Total"]));
+        assert.ok(Math.abs(toPaise(row["Unit Price"]) * row["Quantity"] - toPaise(row["Item Price"])) <= row["Quantity"]);
+    });
+    const hsn = buildHsnSummaryRows(bills, exportOptions);
+    assert.equal(hsn.reduce((sum, row) => sum + toPaise(row["Total Value"]), 0), 16800);
+});
+
+test('each row splits its tax into CGST/SGST or IGST and adds up to the item total', () => {
+    const rows = buildBillRows(fixtureBills, { ...exportOptions, paymentMethod: "UPI" });
+    rows.forEach(row => {
+        const interState = row["Place of Supply"] !== row["Seller State Code"];
+        if (interState) {
+            assert.equal(row["CGST Amount"] + row["SGST Amount"], 0);
+            assert.equal(row["IGST Amount"], row["Total Tax Amount"]);
+        } else {
+            assert.equal(row["IGST Amount"], 0);
+        }
+        const rebuilt = row["Item Price"] + row["Total Tax Amount"] + row["CESS Tax Amount"];
+        assert.ok(Math.abs(rebuilt - row["Item Total"]) < 0.011, `${row["Item Name"]}: ${rebuilt} vs ${row["Item Total"]}`);
+    });
+});
+
+test('seeded run reconciles to the paisa: lines to bills, bills to days', async () => {
+    const targets = [
+        { date: "2024-04-01", targetAmount: 9000 },
+        { date: "2024-04-02", targetAmount: 7500.55 },
+    ];
+    const { bills } = await generateCashBills(randomStockRows(11, { items: 20 }), targets, { minBill: 1000, maxBill: 3000, seed: "reconcile" });
+    const rows = buildBillRows(bills, { ...exportOptions, paymentMethod: "Cash", placeOfSupply: "27" });
+    const paise = value => Math.round(value * 100);
+
+    const byBill = new Map();
+    rows.forEach(row => {
+        assert.equal(paise(row["CGST Amount"]) + paise(row["SGST Amount"]) + paise(row["IGST Amount"]), paise(row["Total Tax Amount"]));
+        assert.equal(paise(row["Item Price"]) + paise(row["Total Tax Amount"]) + paise(row["CESS Tax Amount"]), paise(row["Item Total"]));
+        assert.equal(paise(row["Bill Total (Unrounded)"]) + paise(row["Round off"]), paise(row["Bill Total (Final)"]));
+        byBill.set(row["Bill No"], (byBill.get(row["Bill No"]) || 0) + paise(row["Item Total"]));
+    });
+
+    rows.forEach(row => assert.equal(byBill.get(row["Bill No"]), paise(row["Bill Total (Unrounded)"])));
+    bills.forEach(bill => {
+        const lineSum = bill.items.reduce((sum, line) => sum + paise(line.itemTotal), 0);
+        assert.equal(lineSum, paise(bill.total));
+    });
+});
+
+test('stock rows carry remaining quantities', () => {
+    const stockMap = buildStockMap([{ "Item Details": "Pen", "HSN": "9608", "Qty.": 10, "Unit": "PCS", "Price": 10, "GST PERCENT": 18, "MRP": 15 }]);
+    stockMap.get("Pen").remainingQty = 4;
+    assert.deepEqual(buildStockRows(stockMap), [
+        { "Item Details": "Pen", "HSN": "9608", "Qty.": 4, "Unit": "PCS", "Price": 10, "GST PERCENT": 18, "CESS%": 0, "MRP": 15, "Qty Step": "", "Tax Inclusive": "No", "Amount": 40 },
+    ]);
+});
+
+test('stock ledger shows sales per date and reconciles with the bills', () => {
+    const stockMap = buildStockMap([
+        { "Item Details": "Pen", "HSN": "9608", "Qty.": "10", "Unit": "PCS", "Price": 10, "GST PERCENT": 18, "MRP": 15 },
+        { "Item Details": "Rice", "HSN": "1006", "Qty.": 5.5, "Unit": "KG", "Price": 40, "GST PERCENT": 5, "MRP": 50 },
+    ]);
+    const sell = (name, qty, date) => {
+        const item = stockMap.get(name);
+        item.remainingQty = Math.round((item.remainingQty - qty) * 1000) / 1000;
+        return buildBillLine(item, qty, date);
+    };
+    const bill = items => ({ items, total: sumBillLines(items) });
+    const bills = [
+        bill([sell("Pen", 2, "2024-04-01"), sell("Rice", 1.2, "2024-04-01")]),
+        bill([sell("Pen", 3, "2024-04-02"), sell("Rice", 0.1, "2024-04-02")]),
+    ];
+
+    const { rows, checks } = buildStockLedger(stockMap, bills);
+    assert.deepEqual(rows[0], {
+        "Item Details": "Pen", "HSN": "9608", "Unit": "PCS", "Opening Qty": 10,
+        "Sold 01/04/2024": 2, "Sold 02/04/2024": 3, "Total Sold": 5, "Closing Qty": 5,
+        "Price": 10, "Closing Value": 50, "Sales Value": 59, "Check": "OK"
+    });
+    assert.equal(rows[1]["Total Sold"], 1.3);
+    assert.equal(rows[1]["Closing Qty"], 4.2);
+    assert.equal(rows[1]["Check"], "OK");
+    assert.ok(checks.every(check => check.Result !== "MISMATCH"));
+    assert.equal(checks[1].Actual, checks[1].Expected);
+});
+
+test('stock ledger flags items whose quantities do not reconcile', () => {
+    const stockMap = buildStockMap([{ "Item Details": "Pen", "HSN": "9608", "Qty.": 10, "Unit": "PCS", "Price": 10, "GST PERCENT": 18, "MRP": 15 }]);
+    const line = buildBillLine(stockMap.get("Pen"), 2, "2024-04-01");
+    // Stock not reduced: 10 - 2 != 10
+    const { rows, checks } = buildStockLedger(stockMap, [{ items: [line], total: sumBillLines([line]) + 1 }]);
+
+    assert.equal(rows[0]["Check"], "MISMATCH");
+    assert.equal(checks[0].Result, "MISMATCH");
+    assert.equal(checks[1].Result, "MISMATCH");
+    assert.deepEqual(checks.find(check => check.Check === "Items not reconciling").Actual, "Pen");
+});
+
+test('seeded cash run reconciles in the stock ledger', async () => {
+    const { bills, stockMap } = await generateCashBills(randomStockRows(3, { items: 15 }), [
+        { date: "2024-04-01", targetAmount: 7000 },
+        { date: "2024-04-02", targetAmount: 4000 },
+    ], { minBill: 1000, maxBill: 2500, seed: "golden" });
+
+    const { rows, checks } = buildStockLedger(stockMap, bills);
+    assert.equal(rows.length, stockMap.size);
+    assert.ok(checks.every(check => check.Result !== "MISMATCH"), JSON.stringify(checks));
+});
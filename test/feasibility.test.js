@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeRun } = require('../feasibility');
+
+const stock = [
+    { "Item Details": "Pen", "Qty.": 100, "Price": 10, "GST PERCENT": 18 },
+    { "Item Details": "Rice", "Qty.": 20, "Unit": "KG", "Price": 50, "GST PERCENT": 5 },
+    { "Item Details": "Phone", "Qty.": 2, "Price": 12000, "GST PERCENT": 18 },
+];
+// Pen ₹1180 + Rice ₹1050 + Phone ₹28,320, tax included
+const STOCK_VALUE = 1180 + 1050 + 28320;
+
+test('stock is valued as billed, tax included', () => {
+    const analysis = analyzeRun(stock);
+    assert.equal(analysis.stockValue, STOCK_VALUE);
+    assert.deepEqual(analysis.cheapest, { name: "Rice", amount: 2.63 });
+    assert.deepEqual(analysis.dearest, { name: "Phone", amount: 14160 });
+    assert.deepEqual(analysis.findings, []);
+});
+
+test('items dearer than the max bill are left out of the cash stock', () => {
+    const analysis = analyzeRun(stock, {
+        cashTargets: [{ date: "2024-04-01", targetAmount: 1500 }, { date: "2024-04-02", targetAmount: 1500 }],
+        minBill: 100, maxBill: 1000
+    });
+
+    assert.deepEqual(analysis.findings.map(f => f.level), ["warning", "error", "warning"]);
+    assert.match(analysis.findings[1].message, /only ₹2,230.00 of stock fits under the max bill/);
+    assert.deepEqual(analysis.days.map(day => day.status), ["ok", "short"]);
+    // Raising the max bill would not help: the phone is over the ₹10,000 cap
+    assert.deepEqual(analysis.suggestions.map(s => s.maxBill || s.cashScale || null), [0.669, null]);
+    assert.match(analysis.suggestions[1].message, /Add about ₹1,103.34 of stock/);
+});
+
+test('UPI amounts the cheapest item cannot match are flagged', () => {
+    const analysis = analyzeRun([{ "Item Details": "Phone", "Qty.": 2, "Price": 12000, "GST PERCENT": 18 }], {
+        upiTargets: [{ amount: 500, date: "2024-04-01" }]
+    });
+    assert.equal(analysis.days[0].status, "short");
+    assert.match(analysis.days[0].notes[0], /UPI ₹500.00 is below the cheapest item \(₹14,160.00\)/);
+});
+
+test('days are walked in date order with UPI amounts first', () => {
+    const analysis = analyzeRun(stock, {
+        upiTargets: [{ amount: 28000, date: "02/04/2024" }, { amount: 1, date: "01/04/2024" }, { amount: "x", date: "01/04/2024" }],
+        cashTargets: [{ date: "2024-04-01", targetAmount: 500 }, { date: "2024-04-02", targetAmount: 1500 }],
+        minBill: 100, maxBill: 20000
+    });
+
+    assert.equal(analysis.upiTotal, 28001);
+    assert.equal(analysis.cashTotal, 2000);
+    assert.deepEqual(analysis.days.map(day => [day.date, day.upi, day.cash, day.cumulative, day.status]), [
+        ["2024-04-01", 1, 500, 501, "ok"],
+        ["2024-04-02", 28000, 1500, 30001, "at risk"],
+    ]);
+    // The phone is over the ₹10,000 cash bill cap, and the run uses 98% of the stock
+    assert.deepEqual(analysis.findings.map(f => f.level), ["warning", "warning"]);
+});
+
+test('a max bill that leaves items out gets a raise suggestion', () => {
+    const analysis = analyzeRun(stock.slice(0, 2), {
+        cashTargets: [{ date: "2024-04-01", targetAmount: 500 }],
+        minBill: 1, maxBill: 2
+    });
+    assert.deepEqual(analysis.suggestions[0], { message: "Raise the max bill to ₹12 so 2 of 2 items can go on cash bills.", minBill: 1, maxBill: 12 });
+});
+
+test('targets beyond the stock are flagged with a scale and a purchase suggestion', () => {
+    const analysis = analyzeRun(stock.slice(0, 2), {
+        upiTargets: [{ amount: 2, date: "2024-04-01" }],
+        cashTargets: [{ date: "2024-04-01", targetAmount: 2000 }, { date: "2024-04-02", targetAmount: 2000 }],
+        minBill: 500, maxBill: 200
+    });
+
+    assert.match(analysis.findings[0].message, /Min bill ₹500 is above max bill ₹200/);
+    assert.match(analysis.findings[1].message, /₹1,772.00 short/);
+    assert.deepEqual(analysis.days.map(day => day.status), ["ok", "short"]);
+    assert.match(analysis.days[1].notes[0], /the stock runs out by this date/);
+
+    const [swap, scale, purchase] = analysis.suggestions;
+    assert.deepEqual([swap.minBill, swap.maxBill], [200, 500]);
+    assert.equal(scale.cashScale, 0.501);
+    assert.match(purchase.message, /Add about ₹2,216.67 of stock/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeStateCode, isInterState, splitRates, toUqc, readTaxInclusive } = require('../gst');
+
+test('normalizeStateCode reads codes, coded names and names', () => {
+    assert.equal(normalizeStateCode("27"), "27");
+    assert.equal(normalizeStateCode(7), "07");
+    assert.equal(normalizeStateCode("29-Karnataka"), "29");
+    assert.equal(normalizeStateCode("tamil nadu"), "33");
+    assert.equal(normalizeStateCode("25"), null);
+    assert.equal(normalizeStateCode("Atlantis"), null);
+    assert.equal(normalizeStateCode(""), null);
+});
+
+test('isInterState needs both states and compares codes', () => {
+    assert.equal(isInterState("27", "Maharashtra"), false);
+    assert.equal(isInterState("27", "29"), true);
+    assert.equal(isInterState("", "29"), false);
+});
+
+test('splitRates halves intra-state rates and keeps IGST whole', () => {
+    assert.deepEqual(splitRates(18, false), { cgstRate: 9, sgstRate: 9, igstRate: 0 });
+    assert.deepEqual(splitRates(18, true), { cgstRate: 0, sgstRate: 0, igstRate: 18 });
+});
+
+test('toUqc maps unit spellings to GSTR-1 codes', () => {
+    assert.equal(toUqc("Pcs"), "PCS");
+    assert.equal(toUqc("kg"), "KGS");
+    assert.equal(toUqc("Litre"), "LTR");
+    assert.equal(toUqc("bundle of joy"), "OTH");
+    assert.equal(toUqc(undefined), "OTH");
+});
+
+test('readTaxInclusive reads yes/no answers and defaults blanks to no', () => {
+    assert.equal(readTaxInclusive("Yes"), true);
+    assert.equal(readTaxInclusive(" incl "), true);
+    assert.equal(readTaxInclusive(1), true);
+    assert.equal(readTaxInclusive("N"), false);
+    assert.equal(readTaxInclusive(""), false);
+    assert.equal(readTaxInclusive(undefined), false);
+    assert.equal(readTaxInclusive("maybe"), null);
+});
@@ -0,0 +1,26 @@
+// Golden-file assertions. Run with UPDATE_GOLDEN=1 to rewrite the files
+// after an intended output change, then review the diff.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'fixtures', 'golden');
+
+function assertGolden(name, actual) {
+    const file = path.join(GOLDEN_DIR, `${name}.json`);
+    const serialized = JSON.parse(JSON.stringify(actual));
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(serialized, null, 2) + '\n');
+        return;
+    }
+
+    assert.ok(fs.existsSync(file), `missing golden file ${name}.json (run with UPDATE_GOLDEN=1)`);
+
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual(serialized, expected, `output differs from golden file ${name}.json`);
+}
+
+module.exports = { assertGolden };
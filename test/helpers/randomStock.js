@@ -0,0 +1,37 @@
+// Builds random stock sheets for property tests. Everything is drawn from
+// the engine's seeded PRNG so a failing seed can be replayed on its own.
+
+const { createRng } = require('../../engine');
+
+const GST_RATES = [0, 5, 12, 18, 28];
+const UNITS = ["PCS", "KG", "NOS", "BOX"];
+
+function pick(rng, list) {
+    return list[Math.floor(rng() * list.length)];
+}
+
+function randomStockRows(seed, { items = 25 } = {}) {
+    const rng = createRng(`stock/${seed}`);
+    const rows = [];
+    for (let i = 0; i < items; i++) {
+        const fractional = rng() < 0.2;
+        const expensive = rng() < 0.1;
+        const price = expensive ? 9000 + Math.round(rng() * 20000) : 5 + Math.round(rng() * 2500 * 100) / 100;
+        const qty = fractional ? Math.round((0.5 + rng() * 40) * 100) / 100 : 1 + Math.floor(rng() * 60);
+        const hasCess = rng() < 0.15;
+
+        rows.push({
+            "Item Details": `Item ${seed}-${i}`,
+            "HSN": String(1000 + Math.floor(rng() * 9000)),
+            "Qty.": qty,
+            "Unit": pick(rng, UNITS),
+            "Price": price,
+            "GST PERCENT": pick(rng, GST_RATES),
+            "CESS%": hasCess ? pick(rng, [1, 12, 22]) : 0,
+            "MRP": Math.round(price * (1.1 + rng() * 0.5) * 100) / 100,
+        });
+    }
+    return rows;
+}
+
+module.exports = { randomStockRows };
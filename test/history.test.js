@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sha256Hex, summarizeDays, buildRunRecord, auditTrail, auditSheets } = require('../history');
+const fixtureBills = require('./fixtures/bills.json');
+
+function sampleRecord() {
+    return {
+        id: 7,
+        ...buildRunRecord({
+            paymentMethod: "Cash",
+            status: "exported",
+            seed: "abc",
+            settings: { "Min Bill": 500, "Max Bill": 2000 },
+            inputs: [{ role: "Stock", name: "stock.xlsx", size: 1024, sha256: "ff", sheet: "Sheet1" }],
+            bills: fixtureBills,
+            targets: [{ date: "2024-04-01", targetAmount: 1400 }, { date: "2024-04-03", targetAmount: 900 }],
+            skipped: [{ date: "2024-04-03", targetAmount: 900, message: "SKIPPED: 03/04/2024" }],
+            numbering: { prefix: "INV", start: 41, year: "2024-25" },
+            outputs: { bills: [{ "Bill No": "INV0041" }] },
+            createdAt: "2024-04-04T10:00:00.000Z",
+        })
+    };
+}
+
+test('sha256Hex hashes file bytes', async () => {
+    assert.equal(await sha256Hex(new TextEncoder().encode("abc")), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad");
+});
+
+test('summarizeDays totals bills per date and keeps days that only had a target', () => {
+    assert.deepEqual(summarizeDays(fixtureBills, [{ date: "2024-04-03", targetAmount: 900 }, { date: "2024-04-05", targetAmount: 0 }]), [
+        { date: "2024-04-01", bills: 1, total: 1346.4, target: null },
+        { date: "2024-04-02", bills: 1, total: 531, target: null },
+        { date: "2024-04-03", bills: 0, total: 0, target: 900 },
+    ]);
+});
+
+test('a run record holds the bill range, totals and skips', () => {
+    const record = sampleRecord();
+    assert.deepEqual(record.billRange, { prefix: "INV", year: "2024-25", start: 41, count: 2, first: "INV0041", last: "INV0042" });
+    assert.equal(record.total, 1877.4);
+    assert.deepEqual(record.skipped, [{ date: "2024-04-03", message: "SKIPPED: 03/04/2024" }]);
+    assert.equal(record.days[0].target, 1400);
+});
+
+test('audit exports leave out stored outputs and flatten to sheets', () => {
+    const [trail] = auditTrail([sampleRecord()]);
+    assert.equal(trail.outputs, undefined);
+    assert.equal(trail.hasOutputs, true);
+
+    const sheets = auditSheets([sampleRecord()]);
+    assert.equal(sheets["Runs"][0]["Settings"], "Min Bill: 500; Max Bill: 2000");
+    assert.equal(sheets["Runs"][0]["Last Bill"], "INV0042");
+    assert.equal(sheets["Days"].length, 3);
+    assert.equal(sheets["Inputs"][0]["SHA-256"], "ff");
+    assert.equal(sheets["Skipped"][0]["Run ID"], 7);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isTextFile, decodeText, detectDelimiter, parseDelimited, readDelimitedFile, cellsToRows } = require('../ingest');
+
+const utf8 = text => new TextEncoder().encode(text);
+
+test('CSV, TSV and text files are read as delimited text', () => {
+    assert.equal(isTextFile("stock.CSV"), true);
+    assert.equal(isTextFile("stock.tsv"), true);
+    assert.equal(isTextFile("stock.xlsx"), false);
+});
+
+test('decodeText honours byte-order marks and falls back to Windows-1252', () => {
+    assert.deepEqual(decodeText(Uint8Array.from([0xEF, 0xBB, 0xBF, ...utf8("Item,₹")])), { text: "Item,₹", encoding: "utf-8" });
+    assert.deepEqual(decodeText(Uint8Array.from([0xFF, 0xFE, 0x41, 0x00, 0x2C, 0x00])), { text: "A,", encoding: "utf-16le" });
+    assert.deepEqual(decodeText(utf8("Café")), { text: "Café", encoding: "utf-8" });
+    // "Café" written by a Windows-1252 application
+    assert.deepEqual(decodeText(Uint8Array.from([0x43, 0x61, 0x66, 0xE9])), { text: "Café", encoding: "windows-1252" });
+});
+
+test('detectDelimiter prefers the delimiter that splits every line the same way', () => {
+    assert.equal(detectDelimiter("a,b,c\n1,2,3"), ",");
+    assert.equal(detectDelimiter("a\tb\n1,5\t2"), "\t");
+    assert.equal(detectDelimiter("Item;Price\n\"Rice, Basmati\";40"), ";");
+    assert.equal(detectDelimiter("single column\nvalue"), ",");
+});
+
+test('parseDelimited handles quotes, embedded breaks and CRLF', () => {
+    assert.deepEqual(parseDelimited('a,"b, c","say ""hi"""\r\n1,"line\nbreak",3\r\n', ","), [
+        ["a", "b, c", 'say "hi"'],
+        ["1", "line\nbreak", "3"],
+    ]);
+    assert.deepEqual(parseDelimited("x,y\n1,", ","), [["x", "y"], ["1", ""]]);
+});
+
+test('a semicolon CSV becomes header-keyed rows', () => {
+    const { cells, delimiterName, encoding } = readDelimitedFile(utf8('Item Details;Qty.;Price\n"Rice, 5kg";10;420\n;;\nSoap; 4 ;20\n'));
+    assert.equal(delimiterName, "semicolon");
+    assert.equal(encoding, "utf-8");
+    assert.deepEqual(cellsToRows(cells), [
+        { "Item Details": "Rice, 5kg", "Qty.": "10", "Price": "420" },
+        { "Item Details": "Soap", "Qty.": "4", "Price": "20" },
+    ]);
+});
+
+test('cellsToRows names blank and repeated headers', () => {
+    assert.deepEqual(cellsToRows([["Name", "", "Name"], ["a", "b", "c"], ["d", null, ""]]), [
+        { "Name": "a", "Column 2": "b", "Name_1": "c" },
+        { "Name": "d" },
+    ]);
+});
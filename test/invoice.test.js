@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { amountInWords, buildInvoicesHtml } = require('../invoice');
+const fixtureBills = require('./fixtures/bills.json');
+
+const seller = { name: "Shree & Sons", gstin: "27ABCDE1234F1Z5", address: "12 Market Road\nPune" };
+
+test('amountInWords uses Indian grouping and spells out paise', () => {
+    assert.equal(amountInWords(0), "Rupees Zero Only");
+    assert.equal(amountInWords(1346), "Rupees One Thousand Three Hundred Forty Six Only");
+    assert.equal(amountInWords(120050.5), "Rupees One Lakh Twenty Thousand Fifty and Fifty Paise Only");
+    assert.equal(amountInWords(25000000), "Rupees Two Crore Fifty Lakh Only");
+    assert.equal(amountInWords(1500000000), "Rupees One Hundred Fifty Crore Only");
+});
+
+test('cash invoice shows seller, bill number, CGST/SGST and round-off', () => {
+    const html = buildInvoicesHtml([{ bill: fixtureBills[0], index: 0 }], {
+        prefix: "INV", startIndex: 41, paymentMethod: "Cash", sellerState: "27", seller
+    });
+
+    assert.match(html, /Invoice No: <strong>INV0041<\/strong>/);
+    assert.match(html, /Shree &amp; Sons/);
+    assert.match(html, /12 Market Road<br>Pune/);
+    assert.match(html, /GSTIN: 27ABCDE1234F1Z5/);
+    assert.match(html, /Billed To: Asha Traders/);
+    assert.match(html, /<td>CGST<\/td>/);
+    assert.doesNotMatch(html, /<td>IGST<\/td>/);
+    assert.match(html, /<td>Round off<\/td><td class="num">-0.40<\/td>/);
+    assert.match(html, /Rupees One Thousand Three Hundred Forty Six Only/);
+});
+
+test('inter-state invoice uses IGST and numbers bills by their run position', () => {
+    const html = buildInvoicesHtml(fixtureBills.map((bill, index) => ({ bill, index })), {
+        prefix: "INV", startIndex: 41, paymentMethod: "UPI", sellerState: "27", seller
+    });
+
+    assert.equal((html.match(/class="invoice"/g) || []).length, 2);
+    assert.match(html, /INV0042/);
+    assert.match(html, /Place of Supply: Karnataka \(29\)/);
+    assert.match(html, /<td>IGST<\/td><td class="num">81.00<\/td>/);
+    assert.match(html, /Rupees Five Hundred Thirty One Only/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toPaise, toMilli, toBasisPoints, mulDivRound, lineAmounts, splitGst, roundToRupee } = require('../money');
+const { createRng } = require('../engine');
+
+test('toPaise rounds half-up on the decimal text, not the binary float', () => {
+    assert.equal(toPaise(1.005), 101);
+    assert.equal(toPaise("40.11"), 4011);
+    assert.equal(toPaise(-0.4), -40);
+    assert.equal(toPaise(1e-7), 0);
+    assert.equal(toPaise(""), 0);
+    assert.equal(toMilli(1.2345), 1235);
+    assert.equal(toBasisPoints(0.25), 25);
+});
+
+test('mulDivRound rounds half-up and stays exact for large products', () => {
+    assert.equal(mulDivRound(5, 1, 10), 1);
+    assert.equal(mulDivRound(4, 1, 10), 0);
+    assert.equal(mulDivRound(99999999999, 9999999, 1000), 999999899990000);
+});
+
+test('lineAmounts rounds each component per line', () => {
+    // 95.50 x 3 at 28% GST, 12% cess on MRP 110
+    assert.deepEqual(lineAmounts(95.5, 3, 28, 12, 110), { taxable: 28650, gst: 8022, cess: 3960, total: 40632 });
+    // 44.25 x 1.25 = 55.3125 -> 55.31; 5% of 55.31 = 2.7655 -> 2.77
+    assert.deepEqual(lineAmounts(44.25, 1.25, 5, 0, 0), { taxable: 5531, gst: 277, cess: 0, total: 5808 });
+});
+
+test('tax-inclusive lines back the taxable value out of price x qty', () => {
+    assert.deepEqual(lineAmounts(118, 1, 18, 0, 0, true), { taxable: 10000, gst: 1800, cess: 0, total: 11800 });
+    // 100 / 1.18 = 84.745... -> 84.75, GST takes the remaining 15.25
+    assert.deepEqual(lineAmounts(100, 1, 18, 0, 0, true), { taxable: 8475, gst: 1525, cess: 0, total: 10000 });
+    // Cess on MRP comes off first: 200 - 24 = 176, / 1.28 = 137.50
+    assert.deepEqual(lineAmounts(100, 2, 28, 12, 100, true), { taxable: 13750, gst: 3850, cess: 2400, total: 20000 });
+});
+
+test('property: tax-inclusive lines total price x qty and charge GST to within a paisa', () => {
+    const rng = createRng("inclusive");
+    for (let i = 0; i < 2000; i++) {
+        const price = Math.round(rng() * 500000) / 100 + 1;
+        const qty = rng() < 0.5 ? 1 + Math.floor(rng() * 50) : Math.round(rng() * 50000) / 1000;
+        const gstRate = [0, 0.25, 3, 5, 12, 18, 28, 40][Math.floor(rng() * 8)];
+        const line = lineAmounts(price, qty, gstRate, 0, 0, true);
+
+        assert.equal(line.total, mulDivRound(toPaise(price), toMilli(qty), 1000));
+        assert.equal(line.taxable + line.gst + line.cess, line.total);
+        assert.ok(Math.abs(line.gst - mulDivRound(line.taxable, toBasisPoints(gstRate), 10000)) <= 1, `${price} x ${qty} at ${gstRate}%`);
+    }
+});
+
+test('splitGst gives CGST the odd paisa', () => {
+    assert.deepEqual(splitGst(8023, false), { cgst: 4012, sgst: 4011, igst: 0 });
+    assert.deepEqual(splitGst(8023, true), { cgst: 0, sgst: 0, igst: 8023 });
+});
+
+test('roundToRupee rounds half-up and reports the difference', () => {
+    assert.deepEqual(roundToRupee(134640), { rounded: 134600, roundOff: -40 });
+    assert.deepEqual(roundToRupee(134650), { rounded: 134700, roundOff: 50 });
+});
+
+test('property: line components always reconcile to the line total', () => {
+    const rng = createRng("money");
+    for (let i = 0; i < 2000; i++) {
+        const price = Math.round(rng() * 500000) / 100;
+        const qty = rng() < 0.5 ? 1 + Math.floor(rng() * 50) : Math.round(rng() * 50000) / 1000;
+        const gstRate = [0, 0.25, 3, 5, 12, 18, 28][Math.floor(rng() * 7)];
+        const line = lineAmounts(price, qty, gstRate, rng() < 0.2 ? 12 : 0, price * 1.2);
+        const split = splitGst(line.gst, false);
+
+        assert.equal(line.taxable + line.gst + line.cess, line.total);
+        assert.equal(split.cgst + split.sgst, line.gst);
+        assert.ok(split.cgst - split.sgst === 0 || split.cgst - split.sgst === 1);
+    }
+});
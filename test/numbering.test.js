@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { financialYear, financialYearsOf, nextStartIndex, findOverlaps, recordIssuedRange, mergeIssuedRanges, issuedRanges } = require('../numbering');
+
+test('financial years start on 1 April', () => {
+    assert.equal(financialYear("2024-03-31"), "2023-24");
+    assert.equal(financialYear("2024-04-01"), "2024-25");
+    assert.equal(financialYear("2099-12-31"), "2099-00");
+    assert.deepEqual(financialYearsOf(["2024-04-02", "2024-03-30", "2024-04-01", null]), ["2023-24", "2024-25"]);
+});
+
+test('the next start index follows the highest issued number of the series', () => {
+    const registry = {};
+    assert.equal(nextStartIndex(registry, "BILL", "2024-25"), 1);
+
+    recordIssuedRange(registry, { prefix: "BILL", year: "2024-25", start: 1, count: 40, paymentMethod: "UPI", issuedAt: "t1" });
+    recordIssuedRange(registry, { prefix: "BILL", year: "2024-25", start: 41, count: 10, paymentMethod: "Cash", issuedAt: "t2" });
+    assert.equal(nextStartIndex(registry, "BILL", "2024-25"), 51);
+
+    // Other prefixes, other years and continuous numbering are separate series
+    assert.equal(nextStartIndex(registry, "CASH", "2024-25"), 1);
+    assert.equal(nextStartIndex(registry, "BILL", "2025-26"), 1);
+    assert.equal(nextStartIndex(registry, "BILL", null), 1);
+
+    // An empty run issues nothing
+    recordIssuedRange(registry, { prefix: "BILL", year: "2024-25", start: 51, count: 0 });
+    assert.equal(issuedRanges(registry, "BILL", "2024-25").length, 2);
+});
+
+test('overlapping ranges are reported', () => {
+    const registry = recordIssuedRange({}, { prefix: "BILL", year: null, start: 10, count: 5, paymentMethod: "UPI", issuedAt: "t1" });
+
+    assert.deepEqual(findOverlaps(registry, "BILL", null, 1, 9), []);
+    assert.deepEqual(findOverlaps(registry, "BILL", null, 15, 3), []);
+    assert.equal(findOverlaps(registry, "BILL", null, 14, 1).length, 1);
+    assert.equal(findOverlaps(registry, "BILL", null, 1, 20).length, 1);
+    assert.deepEqual(findOverlaps(registry, "BILL", "2024-25", 10, 5), []);
+});
+
+test('ranges issued elsewhere merge in once', () => {
+    const registry = {};
+    recordIssuedRange(registry, { prefix: "BILL", year: "2024-25", start: 1, count: 10, paymentMethod: "UPI", issuedAt: "t1" });
+    const carried = [
+        { start: 1, end: 10, paymentMethod: "UPI", issuedAt: "t1" },
+        { start: 11, end: 25, paymentMethod: "Cash", issuedAt: "t2" },
+    ];
+
+    assert.equal(mergeIssuedRanges(registry, "BILL", "2024-25", carried), 1);
+    assert.equal(nextStartIndex(registry, "BILL", "2024-25"), 26);
+    assert.equal(mergeIssuedRanges(registry, "BILL", "2024-25", carried), 0);
+    assert.equal(issuedRanges(registry, "BILL", "2024-25").length, 2);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildStockMap, buildBillLine, summarizeBill } = require('../engine');
+const { groupBillsByDate, setLineQuantity, removeLine, addLine, removeBill } = require('../review');
+
+function setup() {
+    const stockMap = buildStockMap([
+        { "Item Details": "Soap", "Qty.": 10, "Price": 20, "GST PERCENT": 18 },
+        { "Item Details": "Rice", "Qty.": 5.5, "Unit": "KG", "Price": 40, "GST PERCENT": 5 },
+        { "Item Details": "Pen", "Qty.": 3, "Price": 10, "GST PERCENT": 12 },
+    ]);
+    const soap = stockMap.get("Soap");
+    soap.remainingQty = 8;
+    const bill = { items: [buildBillLine(soap, 2, "2024-04-01")], total: 47.2 };
+    return { stockMap, bill };
+}
+
+test('changing a quantity moves the difference to or from stock', () => {
+    const { stockMap, bill } = setup();
+
+    assert.equal(setLineQuantity(stockMap, bill, 0, 5), null);
+    assert.equal(stockMap.get("Soap").remainingQty, 5);
+    assert.equal(bill.items[0].qty, 5);
+    assert.equal(bill.total, 118);
+
+    assert.equal(setLineQuantity(stockMap, bill, 0, 1), null);
+    assert.equal(stockMap.get("Soap").remainingQty, 9);
+    assert.equal(bill.total, 23.6);
+});
+
+test('edits that break stock or unit rules are refused without changes', () => {
+    const { stockMap, bill } = setup();
+
+    assert.match(setLineQuantity(stockMap, bill, 0, 11), /Only 10 of Soap/);
+    assert.match(setLineQuantity(stockMap, bill, 0, 1.5), /whole units/);
+    assert.match(setLineQuantity(stockMap, bill, 0, 0), /more than 0/);
+    assert.match(addLine(stockMap, bill, "Pen", 4), /Only 3 of Pen/);
+    assert.match(addLine(stockMap, bill, "Rice", 1.23), /steps of 0.05 KG/);
+    assert.match(removeLine(stockMap, bill, 0), /at least one line/);
+
+    assert.equal(stockMap.get("Soap").remainingQty, 8);
+    assert.equal(stockMap.get("Pen").remainingQty, 3);
+    assert.equal(bill.items.length, 1);
+    assert.equal(bill.total, 47.2);
+});
+
+test('adding and removing lines keeps totals and stock in step', () => {
+    const { stockMap, bill } = setup();
+
+    assert.equal(addLine(stockMap, bill, "Rice", 1.25), null);
+    assert.equal(bill.items[1].date, "2024-04-01");
+    assert.equal(stockMap.get("Rice").remainingQty, 4.25);
+    assert.equal(bill.total, 47.2 + 52.5);
+    assert.equal(bill.tempUsedMap.get("Rice"), 1.25);
+
+    // Adding an item already on the bill tops up its line
+    assert.equal(addLine(stockMap, bill, "Soap", 1), null);
+    assert.equal(bill.items.length, 2);
+    assert.equal(bill.items[0].qty, 3);
+
+    assert.equal(removeLine(stockMap, bill, 1), null);
+    assert.equal(stockMap.get("Rice").remainingQty, 5.5);
+    assert.equal(bill.total, 70.8);
+
+    const summary = summarizeBill(bill, { sellerState: "27", paymentMethod: "Cash" });
+    assert.equal(summary.cgst + summary.sgst, 10.8);
+    assert.equal(summary.finalTotal, 71);
+});
+
+test('removing a bill returns all its stock', () => {
+    const { stockMap, bill } = setup();
+    const bills = [bill];
+
+    assert.equal(removeBill(stockMap, bills, 0), null);
+    assert.equal(bills.length, 0);
+    assert.equal(stockMap.get("Soap").remainingQty, 10);
+});
+
+test('bills are grouped by date in date order with exact day totals', () => {
+    const line = (date, itemTotal) => ({ date, itemTotal });
+    const groups = groupBillsByDate([
+        { items: [line("2024-04-02", 0.1)], total: 0.1 },
+        { items: [line("2024-04-01", 10)], total: 10 },
+        { items: [line("2024-04-02", 0.2)], total: 0.2 },
+    ]);
+
+    assert.deepEqual(groups.map(g => g.date), ["2024-04-01", "2024-04-02"]);
+    assert.deepEqual(groups[1].bills.map(b => b.index), [0, 2]);
+    assert.equal(groups[1].total, 0.3);
+});
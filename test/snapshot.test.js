@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildSnapshot, readSnapshot, mergePurchases } = require('../snapshot');
+const { buildStockMap, generateCashBills } = require('../engine');
+const { randomStockRows } = require('./helpers/randomStock');
+
+const numbering = { prefix: "INV", year: "2024-25", ranges: [{ start: 1, end: 7, paymentMethod: "Cash", issuedAt: "t1" }] };
+
+test('a snapshot round-trips the closing stock losslessly', async () => {
+    const stockRows = randomStockRows(5, { items: 12 });
+    const { stockMap } = await generateCashBills(stockRows, [{ date: "2024-04-01", targetAmount: 5000 }],
+        { minBill: 1000, maxBill: 2500, seed: "snapshot" });
+
+    const snapshot = buildSnapshot(stockMap, { paymentMethod: "Cash", lastDate: "2024-04-01", numbering, createdAt: "2024-04-01T18:00:00Z" });
+    const { snapshot: read, errors } = readSnapshot(JSON.stringify(snapshot));
+    assert.deepEqual(errors, []);
+
+    const reloaded = buildStockMap(read.items);
+    for (const [name, item] of stockMap) {
+        const again = reloaded.get(name);
+        assert.equal(again.remainingQty, item.remainingQty, name);
+        ["HSN", "Unit", "Price", "GST PERCENT", "CESS%", "MRP"].forEach(column => {
+            assert.equal(again[column], item[column], `${name} ${column}`);
+        });
+    }
+});
+
+test('a snapshot keeps whether each item was priced with tax included', () => {
+    const stockMap = buildStockMap([
+        { "Item Details": "Soap", "Qty.": 4, "Price": 59, "GST PERCENT": 18, "Tax Inclusive": "Yes" },
+        { "Item Details": "Pen", "Qty.": 4, "Price": 10, "GST PERCENT": 18 },
+    ]);
+    const snapshot = buildSnapshot(stockMap, { paymentMethod: "Cash", lastDate: "", numbering, createdAt: "t" });
+    assert.deepEqual(snapshot.items.map(item => item["Tax Inclusive"]), ["Yes", "No"]);
+
+    const reloaded = buildStockMap(snapshot.items);
+    assert.deepEqual(Array.from(reloaded.values()).map(item => [item.taxInclusive, item.singleUnitCost]), [[true, 59], [false, 11.8]]);
+});
+
+test('unreadable or incomplete snapshots are rejected', () => {
+    assert.match(readSnapshot("not json").errors[0], /Not a snapshot file/);
+    assert.match(readSnapshot({ version: 99, items: [], numbering }).errors[0], /Unsupported snapshot version/);
+
+    const { snapshot, errors } = readSnapshot({ version: 1, items: [{ "Item Details": "Pen", "Qty.": -1 }] });
+    assert.equal(snapshot, null);
+    assert.deepEqual(errors, ["Item 1 has an invalid quantity", "Snapshot has no bill numbering"]);
+});
+
+test('purchases top up stock and add new items', () => {
+    const stock = [
+        { "Item Details": "Pen", "HSN": "9608", "Qty.": 2.5, "Unit": "PCS", "Price": 10, "GST PERCENT": 18, "CESS%": 0, "MRP": 15 },
+        { "Item Details": "Ink", "HSN": "3215", "Qty.": 0, "Unit": "PCS", "Price": 50, "GST PERCENT": 18, "CESS%": 0, "MRP": 60 },
+        { "Item Details": "Glue", "HSN": "3506", "Qty.": 0, "Unit": "PCS", "Price": 20, "GST PERCENT": 18, "CESS%": 0, "MRP": 25 },
+    ];
+    const purchases = [
+        { "Item Details": "Pen", "Qty.": "0.1" },
+        { "Item Details": " Pen ", "Qty.": 4, "GST PERCENT": 12 },
+        { "Item Details": "Ink", "Qty.": 3 },
+        { "Item Details": "Stapler", "Qty.": 2, "Price": 120, "GST PERCENT": 18, "HSN": "8472" },
+    ];
+
+    const { rows, added, restocked, report } = mergePurchases(stock, purchases);
+    assert.deepEqual(rows.map(row => [row["Item Details"], row["Qty."]]), [["Pen", 6.6], ["Ink", 3], ["Stapler", 2]]);
+    assert.deepEqual(rows[2], { "Item Details": "Stapler", "HSN": "8472", "Qty.": 2, "Price": 120, "GST PERCENT": 18 });
+    assert.equal(added, 1);
+    assert.equal(restocked, 2);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(report.warnings.map(w => [w.row, w.field]), [[3, "GST PERCENT"]]);
+
+    // The input rows are left alone
+    assert.equal(stock[0]["Qty."], 2.5);
+});
+
+test('bad purchase rows are reported and skipped', () => {
+    const stock = [{ "Item Details": "Pen", "Qty.": 2, "Price": 10, "GST PERCENT": 18 }];
+    const { rows, report } = mergePurchases(stock, [
+        { "Qty.": 1 },
+        { "Item Details": "Pen", "Qty.": "two" },
+        { "Item Details": "Stapler", "Qty.": 1, "GST PERCENT": 18 },
+        { "Item Details": "Clip", "Qty.": 1, "Price": 5 },
+    ]);
+
+    assert.deepEqual(rows, stock);
+    assert.deepEqual(report.errors.map(e => [e.row, e.field]), [[2, "Item Details"], [3, "Qty."], [4, "Price"], [5, "GST PERCENT"]]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { solveExact } = require('../solver');
+const { createRng } = require('../engine');
+
+// A line of `unitPaise` per step, up to `maxSteps` steps
+const line = (unitPaise, maxSteps) => ({ maxSteps, lineTotal: steps => steps * unitPaise });
+const totalOf = (candidates, lines) => lines.reduce((sum, { index, steps }) => sum + candidates[index].lineTotal(steps), 0);
+
+test('finds an exact total when one exists', () => {
+    const candidates = [line(700, 5), line(300, 4), line(45, 10)];
+    const result = solveExact(candidates, { targetPaise: 2390, rng: createRng("exact") });
+
+    assert.equal(result.status, "found");
+    assert.equal(result.totalPaise, 2390);
+    assert.equal(totalOf(candidates, result.lines), 2390);
+    result.lines.forEach(({ index, steps }) => assert.ok(steps >= 1 && steps <= candidates[index].maxSteps));
+});
+
+test('returns the closest total within the margin', () => {
+    const result = solveExact([line(1000, 3), line(250, 2)], { targetPaise: 2320, marginPaise: 200, rng: createRng("near") });
+    assert.equal(result.status, "found");
+    assert.equal(result.totalPaise, 2250);
+});
+
+test('proves a target out of reach', () => {
+    // Multiples of 300 only, and not enough stock for the larger ones
+    assert.equal(solveExact([line(600, 2), line(300, 1)], { targetPaise: 1000, marginPaise: 50 }).status, "infeasible");
+    assert.equal(solveExact([line(600, 2), line(300, 1)], { targetPaise: 1500, marginPaise: 0 }).status, "found");
+    assert.equal(solveExact([line(600, 2)], { targetPaise: 2400 }).status, "infeasible");
+    assert.equal(solveExact([], { targetPaise: 100 }).status, "infeasible");
+});
+
+test('line limits narrow what counts as a bill', () => {
+    const candidates = [line(500, 1), line(400, 1), line(100, 1)];
+    assert.equal(solveExact(candidates, { targetPaise: 1000, minLines: 3 }).lines.length, 3);
+    assert.equal(solveExact(candidates, { targetPaise: 1000, maxLines: 2 }).status, "infeasible");
+});
+
+test('gives up when the node budget runs out', () => {
+    // Every line total is even, so no odd target is reachable
+    const candidates = Array.from({ length: 30 }, (_, i) => line(2 * (i + 1), 50));
+    const result = solveExact(candidates, { targetPaise: 20001, maxNodes: 500 });
+    assert.equal(result.status, "gave-up");
+    assert.equal(result.nodes, 501);
+});
+
+test('uneven line totals from per-line rounding are used as given', () => {
+    // 0.333 per step rounds differently at each quantity
+    const candidates = [{ maxSteps: 9, lineTotal: steps => Math.round(steps * 33.3) }];
+    const result = solveExact(candidates, { targetPaise: 233 });
+    assert.deepEqual(result.lines, [{ index: 0, steps: 7 }]);
+});
+
+test('a long candidate list does not deepen the search', () => {
+    // Only the last of 20,000 lines closes the bill; the rest are tried and skipped
+    const candidates = Array.from({ length: 20000 }, () => line(300, 1));
+    candidates.push(line(700, 1));
+    const result = solveExact(candidates, { targetPaise: 700, maxLines: 1, maxNodes: 100000 });
+    assert.equal(result.status, "found");
+    assert.deepEqual(result.lines, [{ index: 20000, steps: 1 }]);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findHeaderRow, extractReference, narrationFilter, readStatement, receiptsToTargetRows } = require('../statement');
+const { collectHeaders, autoDetectMapping, applyMapping } = require('../columns');
+const { cellsToRows } = require('../ingest');
+
+// A savings account export with account details above the table.
+const statementCells = [
+    ["Account Statement"],
+    ["Account No", "XXXX1234"],
+    [],
+    ["Date", "Narration", "Chq./Ref.No.", "Value Dt", "Withdrawal Amt.", "Deposit Amt.", "Closing Balance"],
+    ["01/04/24", "UPI-ASHA K-asha@okaxis-UTIB0001234-412345678901-PAYMENT", "0000412345678901", "01/04/24", "", "1,250.00", "11,250.00"],
+    ["01/04/24", "NEFT-SUPPLIER PAYMENT", "N123", "01/04/24", "5,000.00", "", "6,250.00"],
+    ["02/04/24", "UPI/CR/412345678902/RAVI/SBIN/ravi@oksbi", "0000412345678902", "02/04/24", "", "640.5", "6,890.50"],
+    ["03/04/24", "CASH DEPOSIT", "", "03/04/24", "", "2,000.00", "8,890.50"],
+    ["", "", "", "", "", "", "8,890.50"],
+];
+
+function mappedRows(cells) {
+    const headerRow = findHeaderRow(cells);
+    const rows = cellsToRows(cells.slice(headerRow));
+    const mapping = autoDetectMapping("bankStatement", collectHeaders(rows));
+    return { headerRow, rows: applyMapping("bankStatement", rows, mapping) };
+}
+
+test('the header row is found below the account details', () => {
+    assert.equal(findHeaderRow(statementCells), 3);
+    assert.equal(findHeaderRow([["Amount", "Date"], [100, "2024-04-01"]]), 0);
+});
+
+test('credits are read with their dates, references and filter match', () => {
+    const { headerRow, rows } = mappedRows(statementCells);
+    const { entries, debits, report } = readStatement(rows, { headerRow });
+
+    assert.equal(debits, 1);
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual(report.warnings.map(w => [w.row, w.field]), [[5, "Date"]]);
+    assert.match(report.warnings[0].message, /read as day\/month \(and so on for the other dates\)/);
+    assert.deepEqual(entries.map(e => [e.row, e.date, e.amount, e.reference, e.matches]), [
+        [5, "2024-04-01", 1250, "412345678901", true],
+        [7, "2024-04-02", 640.5, "412345678902", true],
+        [8, "2024-04-03", 2000, "", false],
+    ]);
+});
+
+test('a single amount column is split by its Dr/Cr flag or sign', () => {
+    const { entries, debits } = readStatement([
+        { date: "2024-04-01", narration: "UPI/1", amount: "500.00", type: "CR" },
+        { date: "2024-04-01", narration: "UPI/2", amount: "500.00", type: "DR" },
+        { date: "2024-04-02", narration: "UPI/3", amount: "₹ 1,000.00 Cr" },
+        { date: "2024-04-02", narration: "UPI/4", amount: -75 },
+        { date: "2024-04-03", narration: "UPI/5", amount: "1,250.00Cr" },
+        { date: "2024-04-03", narration: "UPI/6", amount: "500Dr." },
+    ]);
+    assert.equal(debits, 3);
+    assert.deepEqual(entries.map(e => e.amount), [500, 1000, 1250]);
+});
+
+test('unreadable credits and dates are reported against sheet rows', () => {
+    const { entries, report } = readStatement([
+        { date: "2024-04-01", narration: "UPI", credit: "abc" },
+        { date: "Total", narration: "", credit: "9,999.00" },
+        { date: "2024-04-02", narration: "UPI 412345678901", credit: 10 },
+        { date: "2024-04-03", narration: "UPI 412345678901", credit: 20 },
+    ], { headerRow: 2 });
+
+    assert.equal(entries.length, 2);
+    assert.deepEqual(report.errors.map(e => [e.row, e.field]), [[4, "Credit"]]);
+    assert.deepEqual(report.warnings.map(w => [w.row, w.field]), [[5, "Date"], [7, "Reference"]]);
+});
+
+test('references come from the narration before the reference column', () => {
+    assert.equal(extractReference("UPI/412345678901/x", "999"), "412345678901");
+    assert.equal(extractReference("IMPS P2A 1234", "0000412345678901"), "412345678901");
+    assert.equal(extractReference("UPI", " N123 "), "N123");
+    assert.equal(extractReference("ACCT 12345678901234", ""), "");
+});
+
+test('the narration filter matches any listed word, ignoring case', () => {
+    const matches = narrationFilter("upi/, UPI-");
+    assert.equal(matches("UPI/CR/1"), true);
+    assert.equal(matches("upi-asha"), true);
+    assert.equal(matches("NEFT UPIX"), false);
+    assert.equal(narrationFilter("  ")("anything"), true);
+});
+
+test('ticked receipts become bill amount rows with their reference', () => {
+    const rows = receiptsToTargetRows([{ row: 5, date: "2024-04-01", amount: 1250, reference: "412345678901", narration: "", matches: true }]);
+    assert.deepEqual(rows, [{ "Amount": 1250, "Date": "2024-04-01", "Payment Reference": "412345678901" }]);
+    assert.deepEqual(autoDetectMapping("billTargets", Object.keys(rows[0])),
+        { amount: "Amount", date: "Date", placeOfSupply: "", paymentReference: "Payment Reference" });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { quantityStep, floorToStep, isOnStep, isValidStep, isMeasuredUnit } = require('../units');
+
+test('measured units take their step and counted units whole units', () => {
+    assert.equal(quantityStep({ "Unit": "kg" }), 0.05);
+    assert.equal(quantityStep({ "Unit": "Litre" }), 0.05);
+    assert.equal(quantityStep({ "Unit": "ml" }), 1);
+    assert.equal(quantityStep({ "Unit": "pcs" }), 1);
+    assert.equal(quantityStep({ "Unit": "BOX" }), 1);
+    assert.equal(quantityStep({}), 1);
+    assert.ok(isMeasuredUnit("Meter"));
+    assert.ok(!isMeasuredUnit("Nos"));
+});
+
+test('configured steps and per-item overrides take precedence', () => {
+    assert.equal(quantityStep({ "Unit": "KG" }, { KGS: 0.25 }), 0.25);
+    assert.equal(quantityStep({ "Unit": "KG", "Qty Step": "0.5" }, { KGS: 0.25 }), 0.5);
+    assert.equal(quantityStep({ "Unit": "PCS", "Qty Step": 2 }), 2);
+    // Unusable values fall back to the next rule
+    assert.equal(quantityStep({ "Unit": "KG", "Qty Step": "abc" }, { KGS: 0 }), 0.05);
+    assert.ok(!isValidStep(0.0005));
+    assert.ok(!isValidStep(-1));
+});
+
+test('quantities floor to the step in thousandths', () => {
+    assert.equal(floorToStep(2.37, 0.05), 2.35);
+    assert.equal(floorToStep(0.3, 0.1), 0.3);
+    assert.equal(floorToStep(7, 2), 6);
+    assert.ok(isOnStep(1.15, 0.05));
+    assert.ok(!isOnStep(1.16, 0.05));
+    assert.ok(isOnStep(4, 1));
+});
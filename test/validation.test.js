@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateStockRows, validateBillTargetRows, validateDailyTargetRows, validatePurchaserRows } = require('../validation');
+
+test('stock validation reports bad numbers, negatives and duplicates', () => {
+    const { errors, warnings } = validateStockRows([
+        { "Item Details": "Pen", "Qty.": -1, "Price": "abc", "GST PERCENT": 7 },
+        { "Item Details": "Pen", "Qty.": 2, "Price": 5, "GST PERCENT": 18 },
+        { "Qty.": 1, "Price": 1, "GST PERCENT": 5 },
+    ]);
+
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [
+        [2, "Qty."], [2, "Price"], [3, "Item Details"], [4, "Item Details"],
+    ]);
+    assert.deepEqual(warnings.map(w => [w.row, w.field]), [[2, "GST PERCENT"]]);
+});
+
+test('clean stock rows pass', () => {
+    const report = validateStockRows([{ "Item Details": "Pen", "Qty.": 5, "Price": 10, "GST PERCENT": 18, "CESS%": "", "MRP": 15 }]);
+    assert.deepEqual(report, { errors: [], warnings: [] });
+});
+
+test('target validation checks amounts, dates and states', () => {
+    const { errors, warnings } = validateBillTargetRows([
+        { amount: "x", date: "2024-04-01" },
+        { amount: 100, date: "31/02/2024" },
+        { amount: 100, date: "5/3/2024", placeOfSupply: "Atlantis" },
+    ]);
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[2, "Amount"], [3, "Date"]]);
+    assert.deepEqual(warnings.map(w => [w.row, w.field]), [[4, "Date"], [4, "Place of Supply"]]);
+});
+
+test('target validation warns when a payment reference repeats', () => {
+    const { errors, warnings } = validateBillTargetRows([
+        { amount: 100, date: "2024-04-01", paymentReference: "412345678901" },
+        { amount: 200, date: "2024-04-01", paymentReference: "412345678902" },
+        { amount: 100, date: "2024-04-02", paymentReference: " 412345678901" },
+    ]);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [{ row: 4, field: "Payment Reference", message: "Reference 412345678901 is also on row 2" }]);
+});
+
+test('purchaser validation warns about blanks and duplicates', () => {
+    const { errors, warnings } = validatePurchaserRows([["Name"], ["Asha"], ["asha"], [null, "x"]]);
+    assert.equal(errors.length, 0);
+    assert.deepEqual(warnings.map(w => w.row), [3, 4]);
+});
+
+test('stock validation checks quantity steps against the unit', () => {
+    const { errors, warnings } = validateStockRows([
+        { "Item Details": "Rice", "Qty.": 2.53, "Unit": "KG", "Price": 40, "GST PERCENT": 5 },
+        { "Item Details": "Dal", "Qty.": 2.53, "Unit": "KG", "Price": 90, "GST PERCENT": 5, "Qty Step": 0.01 },
+        { "Item Details": "Pen", "Qty.": 2.5, "Unit": "PCS", "Price": 10, "GST PERCENT": 18 },
+        { "Item Details": "Oil", "Qty.": 2, "Unit": "LTR", "Price": 150, "GST PERCENT": 5, "Qty Step": "-1" },
+    ], { unitSteps: { KGS: 0.01 } });
+
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[5, "Qty Step"]]);
+    assert.deepEqual(warnings.map(w => [w.row, w.field]), [[4, "Qty."]]);
+});
+
+test('stock validation checks the tax-inclusive flag against the cess', () => {
+    const { errors, warnings } = validateStockRows([
+        { "Item Details": "Soap", "Qty.": 5, "Price": 59, "GST PERCENT": 18, "Tax Inclusive": "Yes" },
+        { "Item Details": "Gutka", "Qty.": 5, "Price": 10, "GST PERCENT": 28, "CESS%": 160, "MRP": 10, "Tax Inclusive": "Yes" },
+        { "Item Details": "Pen", "Qty.": 5, "Price": 10, "GST PERCENT": 18, "Tax Inclusive": "sometimes" },
+    ]);
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[3, "CESS%"]]);
+    assert.deepEqual(warnings.map(w => [w.row, w.field]), [[4, "Tax Inclusive"]]);
+});
+
+test('daily targets report bad amounts, duplicate dates and closed days', () => {
+    const { errors, warnings } = validateDailyTargetRows([
+        { date: "2024-10-01", amount: 5000 },
+        { date: "01-Oct-2024", amount: 100 },
+        { date: "2024-10-02", amount: "x" },
+        { date: "someday", amount: 10 },
+        { date: "2024-10-03", amount: 0 },
+    ], { isOpen: iso => iso !== "2024-10-02" });
+
+    assert.deepEqual(errors.map(e => [e.row, e.field]), [[3, "Date"], [4, "Amount"], [5, "Date"]]);
+    assert.deepEqual(warnings.map(w => [w.row, w.field]), [[4, "Date"]]);
+    assert.match(warnings[0].message, /off-day or holiday/);
+});
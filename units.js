@@ -0,0 +1,76 @@
+// ==========================================
+// QUANTITY RULES (headless)
+// ------------------------------------------
+// How finely each item may be sold, driven by its "Unit". Measured goods
+// (kg, g, L, ml, m) go in steps such as 0.05 kg; counted goods (pcs, box,
+// nos and any unit not recognised) in whole units only. A "Qty Step"
+// column on the stock sheet overrides the unit's step for one item.
+// Steps are compared in thousandths, the precision quantities are kept in.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./gst'), require('./money'));
+    } else {
+        root.BillUnits = factory(root.BillGst, root.BillMoney);
+    }
+}(typeof self !== 'undefined' ? self : this, function (gst, money) {
+    'use strict';
+
+    // Default steps of the measured units, keyed by UQC.
+    const DEFAULT_UNIT_STEPS = { KGS: 0.05, GMS: 1, LTR: 0.05, MLT: 1, MTR: 0.05 };
+
+    const STEP_HEADER = "Qty Step";
+
+    function toNumber(value) {
+        if (value === undefined || value === null || String(value).trim() === "") return NaN;
+        return Number(value);
+    }
+
+    /** True for a usable step: positive and a whole number of thousandths. */
+    function isValidStep(step) {
+        return Number.isFinite(step) && step >= 0.001 && Math.abs(step * 1000 - money.toMilli(step)) < 1e-6;
+    }
+
+    /** True when the unit is one of the measured units sold in steps. */
+    function isMeasuredUnit(unit) {
+        return Object.prototype.hasOwnProperty.call(DEFAULT_UNIT_STEPS, gst.toUqc(unit));
+    }
+
+    /**
+     * Selling step of a stock item: its own "Qty Step", else its unit's
+     * step (from `unitSteps`, falling back to the defaults), else 1.
+     * @param {Object} item  Stock row or stock map item.
+     * @param {Object} [unitSteps]  Configured steps keyed by UQC, e.g. `{ KGS: 0.1 }`.
+     */
+    function quantityStep(item, unitSteps = {}) {
+        const override = toNumber(item[STEP_HEADER]);
+        if (isValidStep(override)) return override;
+
+        const uqc = gst.toUqc(item["Unit"]);
+        if (!isMeasuredUnit(uqc)) return 1;
+        const configured = toNumber(unitSteps[uqc]);
+        return isValidStep(configured) ? configured : DEFAULT_UNIT_STEPS[uqc];
+    }
+
+    /** Largest whole number of steps not above `qty`: rounding up could sell more than is left. */
+    function floorToStep(qty, step) {
+        const stepMilli = money.toMilli(step);
+        return Math.floor(qty / step + 1e-9) * stepMilli / 1000;
+    }
+
+    /** True when `qty` is a whole number of steps. */
+    function isOnStep(qty, step) {
+        return money.toMilli(qty) % money.toMilli(step) === 0;
+    }
+
+    return {
+        DEFAULT_UNIT_STEPS,
+        STEP_HEADER,
+        isValidStep,
+        isMeasuredUnit,
+        quantityStep,
+        floorToStep,
+        isOnStep
+    };
+}));
@@ -0,0 +1,232 @@
+// ==========================================
+// INPUT VALIDATION (headless)
+// ------------------------------------------
+// Row-level checks on uploaded sheets before a run. Errors block
+// generation; warnings are shown but the run may go ahead.
+// Row numbers are spreadsheet rows, i.e. the header is row 1.
+// ==========================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./gst'), require('./dates'), require('./units'));
+    } else {
+        root.BillValidation = factory(root.BillGst, root.BillDates, root.BillUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (gst, dates, units) {
+    'use strict';
+
+    const STANDARD_GST_SLABS = [0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28, 40];
+
+    function isBlank(value) {
+        return value === undefined || value === null || String(value).trim() === "";
+    }
+
+    // Mirrors how the engine reads numbers (Number()), so anything accepted
+    // here is read back as the same value during generation.
+    function toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+        return Number(String(value).trim());
+    }
+
+    function createReport() {
+        const report = { errors: [], warnings: [] };
+        report.error = (row, field, message) => report.errors.push({ row, field, message });
+        report.warn = (row, field, message) => report.warnings.push({ row, field, message });
+        return report;
+    }
+
+    // Strips the helper methods so the report can be stored or posted.
+    function finish(report) {
+        return { errors: report.errors, warnings: report.warnings };
+    }
+
+    function checkNumber(report, row, field, value, { required, allowZero = true }) {
+        if (isBlank(value)) {
+            if (required) report.error(row, field, `${field} is missing`);
+            return null;
+        }
+        const number = toNumber(value);
+        if (isNaN(number)) {
+            report.error(row, field, `${field} "${value}" is not a number`);
+            return null;
+        }
+        if (number < 0) {
+            report.error(row, field, `${field} is negative (${number})`);
+        } else if (number === 0 && !allowZero) {
+            report.warn(row, field, `${field} is 0`);
+        }
+        return number;
+    }
+
+    /**
+     * Checks mapped stock rows (canonical "Item Details", "Qty.", ... headers).
+     * @param {Object} [options]
+     * @param {Object} [options.unitSteps]  Configured unit steps, as passed to the engine.
+     * @returns {{errors: Object[], warnings: Object[]}}
+     */
+    function validateStockRows(rows, options = {}) {
+        const report = createReport();
+        const firstSeen = new Map();
+
+        rows.forEach((item, index) => {
+            const row = index + 2;
+            const name = item["Item Details"];
+
+            if (isBlank(name)) {
+                report.error(row, "Item Details", "Item name is missing");
+            } else {
+                const key = String(name).trim();
+                if (firstSeen.has(key)) {
+                    report.error(row, "Item Details", `Duplicate item "${key}" (first seen on row ${firstSeen.get(key)})`);
+                } else {
+                    firstSeen.set(key, row);
+                }
+            }
+
+            const qty = checkNumber(report, row, "Qty.", item["Qty."], { required: true, allowZero: false });
+            const price = checkNumber(report, row, "Price", item["Price"], { required: true, allowZero: false });
+            const cessRate = checkNumber(report, row, "CESS%", item["CESS%"], { required: false });
+            const mrp = checkNumber(report, row, "MRP", item["MRP"], { required: false });
+
+            const taxInclusive = gst.readTaxInclusive(item[gst.TAX_INCLUSIVE_HEADER]);
+            if (taxInclusive === null) {
+                report.warn(row, gst.TAX_INCLUSIVE_HEADER, `"${item[gst.TAX_INCLUSIVE_HEADER]}" is not Yes or No; the price is read as excluding tax`);
+            } else if (taxInclusive && price > 0 && mrp * cessRate / 100 >= price) {
+                report.error(row, "CESS%", `Cess on the MRP (₹${(mrp * cessRate / 100).toFixed(2)} a unit) leaves nothing of the tax-inclusive price ₹${price}`);
+            }
+
+            const gstRate = checkNumber(report, row, "GST PERCENT", item["GST PERCENT"], { required: true });
+            if (gstRate !== null && gstRate >= 0 && !STANDARD_GST_SLABS.includes(gstRate)) {
+                report.warn(row, "GST PERCENT", `GST rate ${gstRate}% is not a standard slab`);
+            }
+
+            const stepOverride = item[units.STEP_HEADER];
+            if (!isBlank(stepOverride) && !units.isValidStep(toNumber(stepOverride))) {
+                report.error(row, units.STEP_HEADER, `Qty Step "${stepOverride}" must be a positive number with at most 3 decimals`);
+            } else if (qty !== null && qty > 0) {
+                const step = units.quantityStep(item, options.unitSteps);
+                if (!units.isOnStep(qty, step)) {
+                    report.warn(row, "Qty.", `${qty} is not a multiple of the selling step ${step}; the remainder will not be billed`);
+                }
+            }
+        });
+
+        return finish(report);
+    }
+
+    /**
+     * Checks mapped daily cash target rows ({ date, amount }).
+     * @param {Object} [options]
+     * @param {boolean} [options.dayFirst=true]  Day/month order for dates like 5/3/2024.
+     * @param {Function} [options.isOpen]  Called with an ISO date; false marks a
+     *        day the business calendar closes, whose amount is left out.
+     */
+    function validateDailyTargetRows(rows, options = {}) {
+        const report = createReport();
+        const firstSeen = new Map();
+
+        rows.forEach((target, index) => {
+            const row = index + 2;
+            checkNumber(report, row, "Amount", target.amount, { required: true });
+
+            const parsed = dates.parseDate(target.date, options);
+            if (parsed.error) {
+                report.error(row, "Date", parsed.error);
+                return;
+            }
+            if (parsed.warning) report.warn(row, "Date", parsed.warning);
+            if (firstSeen.has(parsed.iso)) {
+                report.error(row, "Date", `Duplicate date ${parsed.iso} (first seen on row ${firstSeen.get(parsed.iso)})`);
+            } else {
+                firstSeen.set(parsed.iso, row);
+            }
+            if (options.isOpen && !options.isOpen(parsed.iso)) {
+                report.warn(row, "Date", `${parsed.iso} is an off-day or holiday in the business calendar; its amount is left out`);
+            }
+        });
+
+        return finish(report);
+    }
+
+    /**
+     * Checks mapped UPI bill-amount rows ({ amount, date, placeOfSupply, paymentReference }).
+     * @param {Object} [options]
+     * @param {boolean} [options.dayFirst=true]  Day/month order for dates like 5/3/2024.
+     */
+    function validateBillTargetRows(rows, options = {}) {
+        const report = createReport();
+        const referenceSeen = new Map();
+
+        rows.forEach((target, index) => {
+            const row = index + 2;
+
+            const amount = checkNumber(report, row, "Amount", target.amount, { required: true });
+            if (amount === 0) report.error(row, "Amount", "Amount is 0");
+
+            const parsed = dates.parseDate(target.date, options);
+            if (parsed.error) {
+                report.error(row, "Date", parsed.error);
+            } else if (parsed.warning) {
+                report.warn(row, "Date", parsed.warning);
+            }
+
+            if (!isBlank(target.placeOfSupply) && !gst.normalizeStateCode(target.placeOfSupply)) {
+                report.warn(row, "Place of Supply", `Unknown state "${target.placeOfSupply}", the batch place of supply will be used`);
+            }
+
+            // The same receipt billed twice is more likely a copying slip than two sales
+            if (!isBlank(target.paymentReference)) {
+                const reference = String(target.paymentReference).trim();
+                if (referenceSeen.has(reference)) {
+                    report.warn(row, "Payment Reference", `Reference ${reference} is also on row ${referenceSeen.get(reference)}`);
+                } else {
+                    referenceSeen.set(reference, row);
+                }
+            }
+        });
+
+        return finish(report);
+    }
+
+    /**
+     * Checks the purchaser sheet, read as arrays with the header in row 1
+     * and names in the first column.
+     */
+    function validatePurchaserRows(sheetRows) {
+        const report = createReport();
+        const firstSeen = new Map();
+
+        sheetRows.slice(1).forEach((cells, index) => {
+            const row = index + 2;
+            const name = cells && cells[0];
+
+            if (isBlank(name)) {
+                if (cells && cells.some(cell => !isBlank(cell))) {
+                    report.warn(row, "Name", "Name is blank, row ignored");
+                }
+                return;
+            }
+
+            const key = String(name).trim().toLowerCase();
+            if (firstSeen.has(key)) {
+                report.warn(row, "Name", `Duplicate purchaser "${name}" (first seen on row ${firstSeen.get(key)})`);
+            } else {
+                firstSeen.set(key, row);
+            }
+        });
+
+        if (firstSeen.size === 0) {
+            report.warn(1, "Name", "No purchaser names found, bills will use N/A");
+        }
+
+        return finish(report);
+    }
+
+    return {
+        STANDARD_GST_SLABS,
+        validateStockRows,
+        validateBillTargetRows,
+        validateDailyTargetRows,
+        validatePurchaserRows
+    };
+}));
@@ -0,0 +1,51 @@
+// ==========================================
+// GENERATION WORKER
+// ------------------------------------------
+// Runs the engine off the page's main thread so the UI stays responsive.
+//
+// Page -> worker:
+//   { type: "start", mode: "upi" | "cash" | "combined", stockRows, targets, options }
+//     (combined runs take targets as { upi, cash })
+//   { type: "cancel" }
+// Worker -> page:
+//   { type: "progress", progress }   the engine's onProgress payload
+//   { type: "done", result }         the engine's result
+//   { type: "error", message }
+// ==========================================
+
+importScripts('money.js', 'gst.js', 'units.js', 'solver.js', 'dates.js', 'engine.js');
+
+let cancelRequested = false;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === "cancel") {
+        cancelRequested = true;
+        return;
+    }
+    if (message.type !== "start") return;
+
+    cancelRequested = false;
+    // Callbacks cannot be posted, so they are rebuilt on this side
+    const options = {
+        ...message.options,
+        onProgress: progress => self.postMessage({ type: "progress", progress }),
+        isCancelled: () => cancelRequested
+    };
+
+    try {
+        const { stockRows, targets } = message;
+        let result;
+        if (message.mode === "upi") {
+            result = await BillEngine.generateUpiBills(stockRows, targets, options);
+        } else if (message.mode === "cash") {
+            result = await BillEngine.generateCashBills(stockRows, targets, options);
+        } else {
+            result = await BillEngine.generateCombinedBills(stockRows, targets.upi, targets.cash, options);
+        }
+        self.postMessage({ type: "done", result });
+    } catch (err) {
+        self.postMessage({ type: "error", message: err && err.message ? err.message : String(err) });
+    }
+};